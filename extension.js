@@ -8,15 +8,39 @@ import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 
 import { WindowManager } from './modules/WindowManager.js';
 import { ConfigManager } from './modules/ConfigManager.js';
+import { PROFILES_FILENAME, getConfigFile } from './modules/ConfigStore.js';
 import { Highlighter } from './modules/Highlighter.js';
 import { ProfileManager } from './modules/ProfileManager.js';
 import { SystemTray } from './modules/SystemTray.js';
+import { DBusService } from './modules/DBusService.js';
+import { getMonitorFingerprint } from './modules/MonitorFingerprint.js';
 
 const log = msg => console.log(`[TabbedTiling] ${msg}`);
 
 const KEYBINDING_CYCLE_NEXT = 'cycle-next-tab';
 const KEYBINDING_CYCLE_PREV = 'cycle-prev-tab';
 const KEYBINDING_LOG_PRESS = 'log-key-press';
+const ZONE_DIRECTIONS = ['left', 'right', 'up', 'down'];
+// send-to-zone-1 … send-to-zone-9, activate-tab-1 … activate-tab-9
+const SEND_TO_ZONE_COUNT = 9;
+const ACTIVATE_TAB_COUNT = 9;
+
+// Keybinding name → handler taking the WindowManager and the Meta.KeyBinding
+const KEYBINDING_ACTIONS = {
+    [KEYBINDING_CYCLE_NEXT]: (wm, binding) => wm.cycleTabNextInFocusedZone(binding),
+    [KEYBINDING_CYCLE_PREV]: (wm, binding) => wm.cycleTabPreviousInFocusedZone(binding),
+    [KEYBINDING_LOG_PRESS]: wm => wm.toggleTabBarsLayer(),
+};
+for (const direction of ZONE_DIRECTIONS) {
+    KEYBINDING_ACTIONS[`move-window-${direction}`] = wm => wm.moveFocusedWindowToNeighbour(direction);
+    KEYBINDING_ACTIONS[`focus-zone-${direction}`] = wm => wm.focusNeighbourZone(direction);
+}
+for (let n = 1; n <= SEND_TO_ZONE_COUNT; n++)
+    KEYBINDING_ACTIONS[`send-to-zone-${n}`] = wm => wm.sendFocusedWindowToZone(n);
+for (let n = 1; n <= ACTIVATE_TAB_COUNT; n++)
+    KEYBINDING_ACTIONS[`activate-tab-${n}`] = wm => wm.activateTabInFocusedZone(n);
+KEYBINDING_ACTIONS['activate-last-used-tab'] = wm => wm.activateLastUsedTabInFocusedZone();
+KEYBINDING_ACTIONS['toggle-floating'] = wm => wm.toggleFocusedWindowFloating();
 
 export default class TabbedTilingExtension extends Extension {
     constructor(metadata) {
@@ -26,6 +50,7 @@ export default class TabbedTilingExtension extends Extension {
         this._highlighter = null;
         this._profileManager = null;
         this._systemTray = null;
+        this._dbusService = null;
         this._configFileMonitor = null;
         this._previewFileMonitor = null;
         this._profilesFileMonitor = null;
@@ -88,6 +113,11 @@ export default class TabbedTilingExtension extends Extension {
             this._highlighter = new Highlighter();
             this._profileManager = new ProfileManager().load();
             this._windowManager = new WindowManager(this._configManager, this._highlighter, this._profileManager);
+            // Docking or undocking may have switched to another profile
+            this._windowManager.connect('monitor-profile-selected', (_wm, name) => {
+                log(`Profile for the connected monitors: ${name}`);
+                if (this._systemTray) this._systemTray.refresh();
+            });
 
             // Read persisted enabled state
             const tilingEnabled = this._tilingEnabled;
@@ -111,10 +141,18 @@ export default class TabbedTilingExtension extends Extension {
                         this._setTilingEnabled(enabled);
                     },
                     getEnabled: () => this._tilingEnabled,
+                    getMonitorFingerprint,
                     extensionUuid: this.metadata.uuid || 'tabbedtiling@george.com',
                 });
                 Main.panel.addToStatusArea('tabbedtiling-profile-switcher', this._systemTray);
 
+                // Session bus interface for scripts and other tools
+                this._dbusService = new DBusService(this._windowManager, this._profileManager, {
+                    switchProfile: (name) => this._switchProfile(name),
+                    setTilingEnabled: (enabled) => this._setTilingEnabled(enabled),
+                    getEnabled: () => this._tilingEnabled,
+                });
+
                 log('Enabled successfully.');
             } catch (e) {
                 log(`Error during enable: ${e}`);
@@ -148,11 +186,39 @@ export default class TabbedTilingExtension extends Extension {
                     this._highlighter.destroyPreviews();
                 }
             }
+            // Keep the tray switch in sync when toggled over D-Bus
+            if (this._systemTray) {
+                this._systemTray.setToggleState(enabled);
+            }
+            if (this._dbusService) {
+                this._dbusService.notifyTilingToggled(enabled);
+            }
         } catch (e) {
             logError(e, 'TabbedTiling: Error in _setTilingEnabled');
         }
     }
 
+    // Profile switch requested over D-Bus (the tray menu has its own path)
+    _switchProfile(name) {
+        try {
+            if (this._isDisabled || !this._profileManager) return false;
+            if (name === this._profileManager.getActiveProfile()) return true;
+            if (!this._profileManager.setActiveProfile(name)) return false;
+
+            log(`Profile switched via D-Bus: ${name}`);
+            if (this._tilingEnabled && this._windowManager) {
+                this._windowManager.reloadConfiguration();
+            }
+            if (this._systemTray) {
+                this._systemTray.refresh();
+            }
+            return true;
+        } catch (e) {
+            logError(e, 'TabbedTiling: Error in _switchProfile');
+            return false;
+        }
+    }
+
     disable() {
         // Fix 5: Wrap entire disable() in try-catch
         try {
@@ -183,6 +249,11 @@ export default class TabbedTilingExtension extends Extension {
                 this._profilesFileMonitor = null;
             }
 
+            if (this._dbusService) {
+                this._dbusService.destroy();
+                this._dbusService = null;
+            }
+
             if (this._systemTray) {
                 this._systemTray.destroy();
                 this._systemTray = null;
@@ -211,31 +282,31 @@ export default class TabbedTilingExtension extends Extension {
     // Fix 3: Null-check _windowManager in keybinding callbacks + try-catch
     _addKeybindings() {
         const add = (name) => {
-            Main.wm.addKeybinding(
+            return Main.wm.addKeybinding(
                 name,
                 this._settings,
                 Meta.KeyBindingFlags.NONE,
                 Shell.ActionMode.NORMAL,
-                () => {
+                (_display, _window, _event, binding) => {
                     try {
                         if (!this._windowManager) return;
-                        if (name === KEYBINDING_CYCLE_NEXT) this._windowManager.cycleTabNextInFocusedZone();
-                        else if (name === KEYBINDING_CYCLE_PREV) this._windowManager.cycleTabPreviousInFocusedZone();
-                        else if (name === KEYBINDING_LOG_PRESS) this._windowManager.toggleTabBarsLayer();
+                        KEYBINDING_ACTIONS[name](this._windowManager, binding);
                     } catch (e) {
                         logError(e, 'TabbedTiling: Error in keybinding handler');
                     }
                 }
             );
         };
-        add(KEYBINDING_CYCLE_NEXT);
-        add(KEYBINDING_CYCLE_PREV);
-        add(KEYBINDING_LOG_PRESS);
+        const actions = {};
+        for (const name of Object.keys(KEYBINDING_ACTIONS))
+            actions[name] = add(name);
+        this._windowManager?.setCycleKeybindingActions(
+            actions[KEYBINDING_CYCLE_NEXT], actions[KEYBINDING_CYCLE_PREV]);
     }
 
     // Fix 4: Safe keybinding removal with try-catch
     _removeKeybindings() {
-        for (const name of [KEYBINDING_CYCLE_NEXT, KEYBINDING_CYCLE_PREV, KEYBINDING_LOG_PRESS]) {
+        for (const name of Object.keys(KEYBINDING_ACTIONS)) {
             try {
                 Main.wm.removeKeybinding(name);
             } catch (e) {
@@ -306,9 +377,7 @@ export default class TabbedTilingExtension extends Extension {
         // Fix 6: Wrap profiles file monitor setup in try-catch
         try {
             // Monitor profiles.json for active profile changes from prefs window
-            const profilesFile = Gio.File.new_for_path(
-                GLib.build_filenamev([GLib.get_user_config_dir(), 'tabbedtiling', 'profiles.json'])
-            );
+            const profilesFile = getConfigFile(PROFILES_FILENAME);
             if (profilesFile.query_exists(null)) {
                 this._profilesFileMonitor = profilesFile.monitor(Gio.FileMonitorFlags.NONE, null);
                 this._profilesFileMonitor.connect('changed', (monitor, file, otherFile, eventType) => {
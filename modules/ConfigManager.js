@@ -1,69 +1,24 @@
 // modules/ConfigManager.js
-import Gio from 'gi://Gio';
-import GLib from 'gi://GLib';
+// Shell-side access to config.json, preview.json and windows.json. Paths,
+// defaults and validation are shared with the prefs window (ConfigStore.js).
+import {
+    CONFIG_FILENAME,
+    PREVIEW_FILENAME,
+    getConfigFile,
+    getDefaultConfig,
+    loadConfig,
+    saveConfig,
+    loadPreview,
+    saveWindowSnapshot,
+} from './ConfigStore.js';
 
 const log = msg => console.log(`[TabbedTiling.ConfigManager] ${msg}`);
-const CONFIG_DIR = 'tabbedtiling';
-const CONFIG_FILENAME = 'config.json';
-const PREVIEW_FILENAME = 'preview.json';
 
 export class ConfigManager {
     constructor() {
-        this._configDir = Gio.File.new_for_path(GLib.get_user_config_dir()).get_child(CONFIG_DIR);
-        this._configFile = this._configDir.get_child(CONFIG_FILENAME);
-        this._previewFile = this._configDir.get_child(PREVIEW_FILENAME);
+        this._configFile = getConfigFile(CONFIG_FILENAME);
+        this._previewFile = getConfigFile(PREVIEW_FILENAME);
         this._config = null;
-
-        this._ensureDirExists();
-    }
-
-    _ensureDirExists() {
-        try {
-            if (!this._configDir.query_exists(null)) {
-                log('Config directory not found, creating it.');
-                this._configDir.make_directory_with_parents(null);
-            }
-        } catch (e) {
-            log(`Error in _ensureDirExists: ${e}`);
-        }
-    }
-    
-    _getDefaultConfig() {
-        return {
-            zones: [],
-            tabBar: {
-                height: 32,
-                backgroundColor: 'rgba(30, 30, 30, 0.85)',
-                // NEW: user-tunable colors
-                activeBgColor: 'rgba(0, 110, 200, 0.8)',
-                groupBorderColor: '#4A90E2',
-                globalActiveBgColor: 'rgba(255, 230, 0, 0.9)', // NEW: global active tab color
-                cornerRadius: 8,
-                iconSize: 16,
-            fontSize: 10, // in points (pt)
-            spacing: 4, // between tabs
-            maxWidth: 250, // max width of a single tab
-            titleSource: 'windowTitle', // 'windowTitle', 'appName', 'wmClass'
-            groupingCriteria: 'appName', // 'appName', 'wmClass'
-            closeButtonSize: 12,
-            sortingCriteria: 'windowTitle', // 'windowTitle', 'appName', 'wmClass'
-            sortingOrder: 'ASC', // 'ASC', 'DESC'            
-            },
-            // NEW: exclusion settings
-            exclusions: {
-                list: [], // e.g., ['Guake', 'gnome-calculator']
-                criteria: 'wmClass' // 'wmClass' or 'appName'
-            },
-            // NEW: persisted defaults for the Zone Generator UI
-            zoneGenerator: {
-                monitorIndex: 0,
-                resW: 1920,
-                resH: 1080,
-                startX: 0,
-                startY: 0,
-                numZones: 2,
-            },
-        };
     }
 
     getConfigFile() {
@@ -76,34 +31,11 @@ export class ConfigManager {
 
     load() {
         try {
-            if (!this._configFile.query_exists(null)) {
-                log('Config file not found, creating a default one.');
-                this._config = this._getDefaultConfig();
-                this.save(this._config);
-            } else {
-                try {
-                    const [ok, contents] = this._configFile.load_contents(null);
-                    if (ok) {
-                        const parsed = JSON.parse(new TextDecoder().decode(contents));
-                        // Merge missing top-level keys from defaults
-                        const defaults = this._getDefaultConfig();
-                        for (const key of Object.keys(defaults)) {
-                            if (!(key in parsed)) {
-                                parsed[key] = defaults[key];
-                            }
-                        }
-                        this._config = parsed;
-                    } else {
-                        throw new Error("Failed to load file contents.");
-                    }
-                } catch (e) {
-                    log(`Error reading or parsing config file: ${e}. Using default config.`);
-                    this._config = this._getDefaultConfig();
-                }
-            }
+            // Problems are logged by ConfigStore; the prefs window shows them
+            this._config = loadConfig().value;
         } catch (e) {
             log(`Error in load(): ${e}. Using default config.`);
-            this._config = this._getDefaultConfig();
+            this._config = getDefaultConfig();
         }
         return this._config;
     }
@@ -113,54 +45,27 @@ export class ConfigManager {
             return this._config || this.load();
         } catch (e) {
             log(`Error in getConfig(): ${e}. Using default config.`);
-            this._config = this._getDefaultConfig();
+            this._config = getDefaultConfig();
             return this._config;
         }
     }
 
     save(configObject) {
-        try {
-            const data = JSON.stringify(configObject, null, 2);
-            const bytes = new TextEncoder().encode(data);
-            this._configFile.replace_contents(
-                bytes,
-                null,
-                false,
-                Gio.FileCreateFlags.REPLACE_DESTINATION,
-                null
-            );
+        if (saveConfig(configObject)) {
             this._config = configObject;
             log('Configuration saved successfully.');
-        } catch (e) {
-            log(`Error saving configuration: ${e}`);
         }
     }
 
-    savePreviewZones(zones) {
-        try {
-            const data = JSON.stringify(zones);
-            const bytes = new TextEncoder().encode(data);
-            this._previewFile.replace_contents(
-                bytes, null, false,
-                Gio.FileCreateFlags.REPLACE_DESTINATION, null
-            );
-        } catch (e) {
-            log(`Error saving preview file: ${e}`);
-        }
+    /**
+     * Publish the open windows' properties for the prefs rule preview.
+     * The prefs process cannot list Shell windows itself.
+     */
+    saveWindowSnapshot(windows) {
+        saveWindowSnapshot(windows);
     }
 
     loadPreviewZones() {
-        try {
-            if (!this._previewFile.query_exists(null)) {
-                return null;
-            }
-            const [ok, contents] = this._previewFile.load_contents(null);
-            if (ok) {
-                return JSON.parse(new TextDecoder().decode(contents));
-            }
-        } catch (e) {
-            log(`Error loading preview file: ${e}`);
-        }
-        return null;
+        return loadPreview();
     }
 }
@@ -0,0 +1,430 @@
+// modules/ConfigSchema.js — Versions, migrations and validation of the JSON files
+//
+// config.json, profiles.json and profiles/<name>/zones.json carry a `version`.
+// Files without one predate versioning and count as version 1. prepare()
+// migrates a parsed file up to SCHEMA_VERSION, then checks it against the
+// schema below and repairs what it can:
+//   - a bad setting falls back to its default,
+//   - a bad optional field is dropped,
+//   - a zone, rule or profile that can't be repaired is removed.
+// Every repair is reported as { file, path, reason }, e.g.
+//   { file: 'profiles/Work/zones.json', path: 'zones[2].width',
+//     reason: 'must be greater than 0; the zone was removed' }
+//
+// Pure logic with no GI imports, shared by the Shell and the prefs window.
+
+import { RULE_TARGETS, getRuleError } from './PlacementRules.js';
+
+export const SCHEMA_VERSION = 2;
+
+export const FILE_KINDS = ['config', 'profiles', 'zones'];
+
+const SPLIT_DIRECTIONS = ['none', 'horizontal', 'vertical'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// ---------------------------------------------------------------------------
+// Migrations
+// ---------------------------------------------------------------------------
+
+// Zones used to have one numeric `gap` for all four sides
+function migrateGap(zone) {
+    if (!isPlainObject(zone)) return zone;
+    if (typeof zone.gap === 'number') {
+        if (!isPlainObject(zone.gaps))
+            zone.gaps = { top: zone.gap, right: zone.gap, bottom: zone.gap, left: zone.gap };
+        delete zone.gap;
+    }
+    if (Array.isArray(zone.childZones)) zone.childZones = zone.childZones.map(migrateGap);
+    return zone;
+}
+
+// MIGRATIONS[kind][n] upgrades a file from version n + 1 to n + 2
+const MIGRATIONS = {
+    config: [
+        data => {
+            if (Array.isArray(data.zones)) data.zones = data.zones.map(migrateGap);
+            // Before layout templates the generator only made equal columns
+            const generator = data.zoneGenerator;
+            if (isPlainObject(generator) && 'numZones' in generator) {
+                if (!isPlainObject(generator.templateParams)) generator.templateParams = {};
+                generator.templateParams.columns ??= { count: generator.numZones };
+                delete generator.numZones;
+            }
+            return data;
+        },
+    ],
+    profiles: [
+        data => data,
+    ],
+    zones: [
+        data => {
+            if (Array.isArray(data.zones)) data.zones = data.zones.map(migrateGap);
+            return data;
+        },
+    ],
+};
+
+/**
+ * Upgrade a parsed file to SCHEMA_VERSION. Mutates and returns `data`.
+ * @param {string} kind - One of FILE_KINDS
+ * @param {any} data
+ * @returns {any}
+ */
+export function migrate(kind, data) {
+    if (!isPlainObject(data)) return data;
+    const version = Number.isInteger(data.version) ? data.version : 1;
+    for (let v = version; v < SCHEMA_VERSION; v++)
+        data = MIGRATIONS[kind][v - 1](data);
+    if (version < SCHEMA_VERSION) data.version = SCHEMA_VERSION;
+    return data;
+}
+
+// ---------------------------------------------------------------------------
+// Schema nodes
+// ---------------------------------------------------------------------------
+
+// Every node takes `fallback`, used (and reported) when the value is missing
+// or invalid; settings fall back to the defaults passed to validate() instead.
+// number: min, max, above (exclusive minimum), integer
+const number = (opts = {}) => ({ type: 'number', ...opts });
+// string: values (allowed values), nonEmpty
+const string = (opts = {}) => ({ type: 'string', ...opts });
+const boolean = () => ({ type: 'boolean' });
+// object: props; repair(value, report) fixes cross-field problems in place,
+// or returns a reason to reject the whole object. Unknown keys are kept.
+const object = (props, opts = {}) => ({ type: 'object', props, ...opts });
+// array: removed — what the report says happened to a bad item
+const array = (items, opts = {}) => ({ type: 'array', items, ...opts });
+// map: an object with arbitrary keys, each matching `keys`
+const map = (values, opts = {}) => ({ type: 'map', values, ...opts });
+const optional = node => ({ ...node, optional: true });
+
+const GAPS = object({
+    top: number({ min: 0, integer: true }),
+    right: number({ min: 0, integer: true }),
+    bottom: number({ min: 0, integer: true }),
+    left: number({ min: 0, integer: true }),
+});
+
+// A split needs exactly two children; anything else is loaded as a leaf
+function repairSplit(zone, report) {
+    const direction = zone.splitDirection ?? 'none';
+    const children = zone.childZones ?? [];
+    if (direction === 'none' && children.length > 0) {
+        report('childZones', 'is only used by split zones; the children were removed');
+        delete zone.childZones;
+    } else if (direction !== 'none' && children.length !== 2) {
+        report('childZones', `must hold exactly two zones for a ${direction} split; the split was removed`);
+        zone.splitDirection = 'none';
+        delete zone.childZones;
+        delete zone.splitRatio;
+    }
+}
+
+const SPLIT_PROPS = {
+    name: optional(string()),
+    gaps: optional(GAPS),
+    splitDirection: optional(string({ values: SPLIT_DIRECTIONS })),
+    splitRatio: optional(number({ min: 0.1, max: 0.9 })),
+    childZones: optional(array(() => CHILD_ZONE, { removed: 'the child zone was removed' })),
+};
+
+// Children take their geometry from the parent's split
+const CHILD_ZONE = object(SPLIT_PROPS, {
+    repair: repairSplit,
+});
+
+const ZONE = object({
+    ...SPLIT_PROPS,
+    monitorIndex: number({ min: 0, integer: true, fallback: 0 }),
+    monitorConnector: optional(string({ nonEmpty: true })),
+    monitorId: optional(string({ nonEmpty: true })),
+    units: optional(string({ values: ['px', 'percent'] })),
+    x: number({ min: 0 }),
+    y: number({ min: 0 }),
+    width: number({ above: 0 }),
+    height: number({ above: 0 }),
+    clipToWorkArea: optional(boolean()),
+    isPrimary: optional(boolean()),
+}, {
+    repair: (zone, report) => {
+        if (zone.units === 'percent') {
+            if (zone.x >= 100) return 'starts past the right edge of the monitor (x of 100% or more)';
+            if (zone.y >= 100) return 'starts past the bottom edge of the monitor (y of 100% or more)';
+            if (zone.x + zone.width > 100) {
+                report('width', 'runs past the right edge of the monitor (over 100%); it was shortened');
+                zone.width = 100 - zone.x;
+            }
+            if (zone.y + zone.height > 100) {
+                report('height', 'runs past the bottom edge of the monitor (over 100%); it was shortened');
+                zone.height = 100 - zone.y;
+            }
+        }
+        repairSplit(zone, report);
+        return null;
+    },
+});
+
+const ZONES = array(ZONE, { removed: 'the zone was removed' });
+
+const RULE = object({
+    enabled: optional(boolean()),
+    wmClass: optional(string()),
+    appId: optional(string()),
+    title: optional(string()),
+    role: optional(string()),
+    target: optional(string({ values: RULE_TARGETS })),
+    zone: optional(string()),
+    monitor: optional(number({ min: 0, integer: true })),
+}, {
+    repair: (rule, report) => {
+        const error = getRuleError(rule);
+        if (error) report('title', 'is not a valid regular expression; the rule never matches');
+        return null;
+    },
+});
+
+const SCHEMAS = {
+    config: object({
+        version: optional(number({ min: 1, integer: true })),
+        zones: ZONES,
+        tabBar: object({
+            height: number({ min: 16, max: 256 }),
+            backgroundColor: string({ nonEmpty: true }),
+            activeBgColor: string({ nonEmpty: true }),
+            groupBorderColor: string({ nonEmpty: true }),
+            globalActiveBgColor: string({ nonEmpty: true }),
+            cornerRadius: number({ min: 0, max: 32 }),
+            iconSize: number({ min: 8, max: 48 }),
+            fontSize: number({ min: 6, max: 24 }),
+            spacing: number({ min: 0, max: 32 }),
+            maxWidth: number({ min: 50, max: 1000 }),
+            titleSource: string({ values: ['windowTitle', 'appName', 'wmClass'] }),
+            groupingCriteria: string({ values: ['appName', 'wmClass'] }),
+            closeButtonSize: number({ min: 8, max: 32 }),
+            sortingCriteria: string({ values: ['windowTitle', 'appName', 'wmClass', 'manual'] }),
+            sortingOrder: string({ values: ['ASC', 'DESC'] }),
+            cyclingMode: string({ values: ['linear', 'wrap', 'mru'] }),
+            cyclingPopup: boolean(),
+        }),
+        exclusions: object({
+            list: array(string({ nonEmpty: true }), { removed: 'the entry was removed' }),
+            criteria: string({ values: ['wmClass', 'appName'] }),
+        }),
+        rules: array(RULE, { removed: 'the rule was removed' }),
+        zoneGenerator: object({
+            monitorIndex: number({ min: 0, integer: true }),
+            resW: number({ above: 0 }),
+            resH: number({ above: 0 }),
+            startX: number({ min: 0 }),
+            startY: number({ min: 0 }),
+            template: string({ nonEmpty: true }),
+            templateParams: map(object({})),
+            output: string({ values: ['zones', 'split'] }),
+            units: string({ values: ['px', 'percent'] }),
+            gaps: number({ min: 0 }),
+        }),
+    }),
+
+    profiles: object({
+        version: optional(number({ min: 1, integer: true })),
+        activeProfile: string({ nonEmpty: true }),
+        profiles: array(object({
+            name: string({ nonEmpty: true }),
+            createdAt: optional(string()),
+            monitorFingerprint: optional(object({
+                monitors: array(object({})),
+            })),
+        }), { removed: 'the profile was removed' }),
+        workspaceProfiles: optional(map(string({ nonEmpty: true }), { keys: /^\d+$/ })),
+    }, {
+        repair: (data, report) => {
+            const seen = new Set();
+            data.profiles = data.profiles.filter((profile, i) => {
+                if (!seen.has(profile.name)) {
+                    seen.add(profile.name);
+                    return true;
+                }
+                report(`profiles[${i}].name`, `"${profile.name}" is used by another profile; the duplicate was removed`);
+                return false;
+            });
+            if (data.profiles.length > 0 && !seen.has(data.activeProfile)) {
+                report('activeProfile', `names a profile that doesn't exist; using "${data.profiles[0].name}"`);
+                data.activeProfile = data.profiles[0].name;
+            }
+            return null;
+        },
+    }),
+
+    zones: object({
+        version: optional(number({ min: 1, integer: true })),
+        zones: ZONES,
+        clipToWorkArea: optional(boolean()),
+    }),
+};
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+function joinPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    if (typeof key === 'string' && !/^[A-Za-z_$][\w$]*$/.test(key)) return `${path}["${key}"]`;
+    return path ? `${path}.${key}` : key;
+}
+
+function describeFallback(value) {
+    return value !== null && typeof value === 'object' ? 'the default' : JSON.stringify(value);
+}
+
+// Reason a value doesn't match a node's own type and limits, or null
+function typeError(node, value) {
+    switch (node.type) {
+    case 'number':
+        if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+        if (node.integer && !Number.isInteger(value)) return 'must be a whole number';
+        if (node.min !== undefined && value < node.min) return `must be at least ${node.min}`;
+        if (node.max !== undefined && value > node.max) return `must be at most ${node.max}`;
+        if (node.above !== undefined && value <= node.above) return `must be greater than ${node.above}`;
+        return null;
+    case 'string':
+        if (typeof value !== 'string') return 'must be text';
+        if (node.nonEmpty && !value.trim()) return 'must not be empty';
+        if (node.values && !node.values.includes(value))
+            return `must be one of ${node.values.map(v => `"${v}"`).join(', ')}`;
+        return null;
+    case 'boolean':
+        return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'array':
+        return Array.isArray(value) ? null : 'must be a list';
+    default:
+        return isPlainObject(value) ? null : 'must be an object';
+    }
+}
+
+/**
+ * Check a value against a node. Problems that were repaired go to `report`;
+ * a problem that makes the value unusable is returned for the caller to
+ * handle (default, drop or reject its own parent).
+ * @returns {{value: any}|{path: string, reason: string}}
+ */
+function check(node, value, path, report, defaults) {
+    if (typeof node === 'function') node = node();
+    const reason = typeError(node, value);
+    if (reason) return { path, reason };
+
+    if (node.type === 'array') {
+        const items = [];
+        value.forEach((item, i) => {
+            const checked = check(node.items, item, joinPath(path, i), report);
+            if ('value' in checked) items.push(checked.value);
+            else report(checked.path, `${checked.reason}; ${node.removed}`);
+        });
+        return { value: items };
+    }
+
+    if (node.type === 'map') {
+        const entries = {};
+        for (const [key, item] of Object.entries(value)) {
+            const itemPath = joinPath(path, key);
+            if (node.keys && !node.keys.test(key)) {
+                report(itemPath, 'has an invalid key; the entry was removed');
+                continue;
+            }
+            const checked = check(node.values, item, itemPath, report);
+            if ('value' in checked) entries[key] = checked.value;
+            else report(checked.path, `${checked.reason}; the entry was removed`);
+        }
+        return { value: entries };
+    }
+
+    if (node.type !== 'object') return { value };
+
+    const result = { ...value };
+    for (const [key, child] of Object.entries(node.props)) {
+        const childPath = joinPath(path, key);
+        const fallback = defaults?.[key] ?? child.fallback;
+        if (value[key] === undefined) {
+            // Missing settings quietly take their default
+            if (defaults?.[key] !== undefined) result[key] = clone(fallback);
+            else if (fallback !== undefined) {
+                report(childPath, `is missing; using ${describeFallback(fallback)}`);
+                result[key] = clone(fallback);
+            } else if (!child.optional) return { path: childPath, reason: 'is missing' };
+            continue;
+        }
+        const checked = check(child, value[key], childPath, report, defaults?.[key]);
+        if ('value' in checked) {
+            result[key] = checked.value;
+        } else if (fallback !== undefined) {
+            report(checked.path, `${checked.reason}; using ${describeFallback(fallback)}`);
+            result[key] = clone(fallback);
+        } else if (child.optional) {
+            report(checked.path, `${checked.reason}; it was ignored`);
+            delete result[key];
+        } else {
+            return checked;
+        }
+    }
+    const rejected = node.repair?.(result, (subPath, why) => report(path ? `${path}.${subPath}` : subPath, why));
+    if (rejected) return { path, reason: rejected };
+    return { value: result };
+}
+
+/**
+ * Check a migrated file and repair what can be repaired.
+ * @param {string} kind - One of FILE_KINDS
+ * @param {any} data - Parsed file contents
+ * @param {object} [options]
+ * @param {string} [options.file] - File name used in problem reports
+ * @param {object} [options.defaults] - Defaults for settings that fail validation
+ * @returns {{value: object|null, problems: Array<{file: string, path: string, reason: string}>}}
+ *   `value` is null when the file as a whole is unusable
+ */
+export function validate(kind, data, { file = '', defaults } = {}) {
+    const problems = [];
+    const report = (path, reason) => problems.push({ file, path, reason });
+    const checked = check(SCHEMAS[kind], data, '', report, defaults);
+    if ('value' in checked) return { value: checked.value, problems };
+    report(checked.path, `${checked.reason}; the file was ignored`);
+    return { value: null, problems };
+}
+
+/**
+ * Migrate and validate a parsed file.
+ * @param {string} kind - One of FILE_KINDS
+ * @param {any} data - Parsed file contents
+ * @param {object} [options] - See validate()
+ * @returns {{value: object|null, problems: Array<{file: string, path: string, reason: string}>}}
+ */
+export function prepare(kind, data, options = {}) {
+    const newer = isPlainObject(data) && Number.isInteger(data.version) && data.version > SCHEMA_VERSION;
+    const result = validate(kind, migrate(kind, data), options);
+    if (newer) {
+        result.problems.unshift({
+            file: options.file ?? '',
+            path: 'version',
+            reason: `is ${data.version}, newer than this extension understands (${SCHEMA_VERSION}); unknown settings may be lost`,
+        });
+    }
+    return result;
+}
+
+/**
+ * One-line description, e.g. "profiles/Work/zones.json: zones[2].width must be
+ * greater than 0; the zone was removed".
+ * @param {{file: string, path: string, reason: string}} problem
+ * @returns {string}
+ */
+export function formatProblem({ file, path, reason }) {
+    const where = [file, path].filter(Boolean);
+    if (where.length === 2) return `${file}: ${path} ${reason}`;
+    return where.length ? `${where[0]} ${reason}` : reason;
+}
@@ -0,0 +1,704 @@
+// modules/ConfigStore.js — The extension's settings files
+//
+// Everything lives in ~/.config/tabbedtiling/:
+//   config.json                  tab bar, exclusions, rules, generator settings
+//   profiles.json                profile list, active profile, workspace profiles
+//   profiles/<name>/zones.json   zones of one profile
+//   preview.json                 live-edit zones from the prefs window
+//   windows.json                 open windows published by the extension
+//   session.json                 window placements kept across Shell restarts
+//   backups/<file>/<time>.json   earlier versions of the first three
+//
+// The Shell (ConfigManager, ProfileManager) and the prefs window (ConfigIO)
+// both go through this module, so paths, defaults and profile operations
+// can't drift apart. Files are migrated and validated by ConfigSchema.js on
+// load. Only Gio/GLib are imported; no Shell or GTK imports here.
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import { SCHEMA_VERSION, prepare, formatProblem } from './ConfigSchema.js';
+
+const log = msg => console.log(`[TabbedTiling.ConfigStore] ${msg}`);
+
+const CONFIG_DIR_NAME = 'tabbedtiling';
+export const CONFIG_FILENAME = 'config.json';
+export const PROFILES_FILENAME = 'profiles.json';
+export const PREVIEW_FILENAME = 'preview.json';
+export const WINDOWS_FILENAME = 'windows.json';
+export const SESSION_FILENAME = 'session.json';
+const PROFILES_SUBDIR = 'profiles';
+const ZONES_FILENAME = 'zones.json';
+const BACKUPS_SUBDIR = 'backups';
+
+// Versions of each file kept in backups/
+export const BACKUP_LIMIT = 10;
+// A file is backed up at most this often, so a burst of autosaves doesn't
+// push every older version out
+const BACKUP_INTERVAL_MS = 5 * 60 * 1000;
+
+// ---------------------------------------------------------------------------
+// Paths
+// ---------------------------------------------------------------------------
+
+/**
+ * @returns {Gio.File} ~/.config/tabbedtiling/
+ */
+export function getConfigDir() {
+    return Gio.File.new_for_path(GLib.build_filenamev([GLib.get_user_config_dir(), CONFIG_DIR_NAME]));
+}
+
+/**
+ * @param {string} name - File name, e.g. CONFIG_FILENAME
+ * @returns {Gio.File}
+ */
+export function getConfigFile(name) {
+    return getConfigDir().get_child(name);
+}
+
+/**
+ * Directory name of a profile. Characters that are unsafe in file names are
+ * replaced, and names made only of dots can't point outside profiles/.
+ * @param {string} name - Profile name
+ * @returns {string}
+ */
+export function sanitizeProfileName(name) {
+    const sanitized = String(name).replace(/[/\\:*?"<>|\x00-\x1f]/g, '_');
+    return /^\.*$/.test(sanitized) ? sanitized.replace(/\./g, '_') || '_' : sanitized;
+}
+
+/**
+ * @param {string} name - Profile name
+ * @returns {Gio.File} profiles/<name>/
+ */
+export function getProfileDir(name) {
+    return getConfigDir().get_child(PROFILES_SUBDIR).get_child(sanitizeProfileName(name));
+}
+
+/**
+ * @param {string} name - Profile name
+ * @returns {Gio.File} profiles/<name>/zones.json
+ */
+export function getProfileZonesFile(name) {
+    return getProfileDir(name).get_child(ZONES_FILENAME);
+}
+
+/**
+ * Path of a file relative to the config dir, as used in problem reports.
+ * @param {Gio.File} file
+ * @returns {string}
+ */
+export function describeFile(file) {
+    return getConfigDir().get_relative_path(file) ?? file.get_path();
+}
+
+function _ensureDir(dir) {
+    try {
+        if (!dir.query_exists(null))
+            dir.make_directory_with_parents(null);
+    } catch (e) {
+        // Another process may have created it in the meantime
+        if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS))
+            log(`Error creating ${dir.get_path()}: ${e}`);
+    }
+}
+
+/**
+ * Create the config dir and profiles/ if they are missing.
+ */
+export function ensureConfigDirs() {
+    _ensureDir(getConfigDir().get_child(PROFILES_SUBDIR));
+}
+
+// ---------------------------------------------------------------------------
+// Defaults
+// ---------------------------------------------------------------------------
+
+/**
+ * @returns {object} A fresh default config.json
+ */
+export function getDefaultConfig() {
+    return {
+        // Zones of the pre-profile layout; profiles keep theirs in zones.json
+        zones: [],
+        tabBar: {
+            height: 32,
+            backgroundColor: 'rgba(30, 30, 30, 0.85)',
+            activeBgColor: 'rgba(0, 110, 200, 0.8)',
+            groupBorderColor: '#4A90E2',
+            globalActiveBgColor: 'rgba(255, 230, 0, 0.9)',
+            cornerRadius: 8,
+            iconSize: 16,
+            fontSize: 10, // in points (pt)
+            spacing: 4, // between tabs
+            maxWidth: 250, // max width of a single tab
+            titleSource: 'windowTitle', // 'windowTitle', 'appName', 'wmClass'
+            groupingCriteria: 'appName', // 'appName', 'wmClass'
+            closeButtonSize: 12,
+            sortingCriteria: 'windowTitle', // 'windowTitle', 'appName', 'wmClass', 'manual'
+            sortingOrder: 'ASC', // 'ASC', 'DESC'
+            cyclingMode: 'linear', // 'linear' (stop at the ends), 'wrap', 'mru'
+            cyclingPopup: true, // show a switcher while the shortcut's modifier is held
+        },
+        exclusions: {
+            list: [], // e.g., ['Guake', 'gnome-calculator']
+            criteria: 'wmClass', // 'wmClass' or 'appName'
+        },
+        // Window placement rules, evaluated before the primary zone
+        // (see PlacementRules.js for the rule format)
+        rules: [],
+        // Persisted state of the Zone Generator in the prefs window
+        zoneGenerator: {
+            monitorIndex: 0,
+            resW: 1920,
+            resH: 1080,
+            startX: 0,
+            startY: 0,
+            template: 'columns',
+            templateParams: {},
+            output: 'zones',
+            units: 'px',
+            gaps: 8,
+        },
+    };
+}
+
+/**
+ * @returns {object} A fresh default profiles.json
+ */
+export function getDefaultProfilesData() {
+    return {
+        activeProfile: 'Default',
+        profiles: [
+            { name: 'Default', createdAt: new Date().toISOString() },
+        ],
+    };
+}
+
+/**
+ * @returns {object} A fresh, empty zones.json
+ */
+export function getDefaultZonesData() {
+    return { zones: [] };
+}
+
+// ---------------------------------------------------------------------------
+// Reading and writing
+// ---------------------------------------------------------------------------
+
+/**
+ * Read and parse a JSON file.
+ * @param {Gio.File} file
+ * @returns {{data: any, error: Error|null}} `data` is null when the file is
+ *   missing or unreadable; `error` is only set for the latter
+ */
+export function readJson(file) {
+    try {
+        const [, contents] = file.load_contents(null);
+        return { data: JSON.parse(new TextDecoder().decode(contents)), error: null };
+    } catch (e) {
+        if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND))
+            return { data: null, error: null };
+        return { data: null, error: e };
+    }
+}
+
+function _writeText(file, text) {
+    const parent = file.get_parent();
+    if (parent) _ensureDir(parent);
+    // replace_contents() writes a temporary file, syncs it and renames it
+    // over the old one, so a crash leaves either the old or the new version
+    file.replace_contents(
+        new TextEncoder().encode(text),
+        null,
+        false,
+        Gio.FileCreateFlags.REPLACE_DESTINATION,
+        null
+    );
+}
+
+/**
+ * Write `data` as JSON, atomically. Throws on failure.
+ * @param {Gio.File} file
+ * @param {any} data
+ * @param {boolean} [pretty=true] - Use indented formatting
+ */
+export function writeJson(file, data, pretty = true) {
+    _writeText(file, pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data));
+}
+
+/**
+ * @param {Gio.File} file
+ * @returns {string|null} The file's text, or null if it can't be read
+ */
+export function readText(file) {
+    try {
+        const [, contents] = file.load_contents(null);
+        return new TextDecoder().decode(contents);
+    } catch (e) {
+        return null;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Backups
+// ---------------------------------------------------------------------------
+
+// backups/<file relative to the config dir, URI-escaped>/
+function _backupDir(file) {
+    return getConfigDir().get_child(BACKUPS_SUBDIR).get_child(encodeURIComponent(describeFile(file)));
+}
+
+// File names are ISO timestamps with ':' replaced, e.g. 2026-01-31T09-15-00.000Z.json
+function _backupName(date) {
+    return `${date.toISOString().replace(/:/g, '-')}.json`;
+}
+
+function _backupDate(name) {
+    const date = new Date(name.replace(/\.json$/, '').replace(/T(\d\d)-(\d\d)-/, 'T$1:$2:'));
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Backups of one settings file, newest first.
+ * @param {Gio.File} file - The settings file
+ * @returns {Array<{file: Gio.File, source: Gio.File, date: Date}>}
+ */
+export function listBackups(file) {
+    const dir = _backupDir(file);
+    const backups = [];
+    try {
+        const enumerator = dir.enumerate_children('standard::name', Gio.FileQueryInfoFlags.NONE, null);
+        let info;
+        while ((info = enumerator.next_file(null)) !== null) {
+            const date = _backupDate(info.get_name());
+            if (date) backups.push({ file: dir.get_child(info.get_name()), source: file, date });
+        }
+        enumerator.close(null);
+    } catch (e) {
+        if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND))
+            log(`Error listing backups of ${describeFile(file)}: ${e}`);
+    }
+    return backups.sort((a, b) => b.date - a.date);
+}
+
+/**
+ * Every settings file that has backups, with its backups newest first.
+ * @returns {Array<{source: Gio.File, backups: Array<{file: Gio.File, source: Gio.File, date: Date}>}>}
+ */
+export function listAllBackups() {
+    const result = [];
+    try {
+        const enumerator = getConfigDir().get_child(BACKUPS_SUBDIR)
+            .enumerate_children('standard::name', Gio.FileQueryInfoFlags.NONE, null);
+        let info;
+        while ((info = enumerator.next_file(null)) !== null) {
+            let source;
+            try {
+                source = getConfigDir().resolve_relative_path(decodeURIComponent(info.get_name()));
+            } catch (e) {
+                continue;
+            }
+            const backups = listBackups(source);
+            if (backups.length > 0) result.push({ source, backups });
+        }
+        enumerator.close(null);
+    } catch (e) {
+        if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND))
+            log(`Error listing backups: ${e}`);
+    }
+    return result.sort((a, b) => describeFile(a.source).localeCompare(describeFile(b.source)));
+}
+
+/**
+ * Copy a settings file into its backup folder before it is replaced with
+ * `newText`, then drop the oldest backups beyond BACKUP_LIMIT.
+ * @param {Gio.File} file
+ * @param {string} newText
+ * @param {boolean} [force=false] - Ignore BACKUP_INTERVAL_MS
+ */
+function _backUp(file, newText, force = false) {
+    const current = readText(file);
+    if (current === null || current === newText) return;
+
+    const backups = listBackups(file);
+    const now = new Date();
+    if (!force && backups.length > 0 && now - backups[0].date < BACKUP_INTERVAL_MS) return;
+
+    _writeText(_backupDir(file).get_child(_backupName(now)), current);
+    for (const old of backups.slice(BACKUP_LIMIT - 1)) {
+        try {
+            old.file.delete(null);
+        } catch (e) {
+            log(`Error removing old backup ${describeFile(old.file)}: ${e}`);
+        }
+    }
+}
+
+/**
+ * Put a backup back in place. The version it replaces is backed up first.
+ * @param {{file: Gio.File, source: Gio.File}} backup - From listBackups()
+ * @returns {boolean} true on success
+ */
+export function restoreBackup(backup) {
+    try {
+        const text = readText(backup.file);
+        if (text === null) throw new Error('the backup could not be read');
+        JSON.parse(text);
+        _backUp(backup.source, text, true);
+        _writeText(backup.source, text);
+        log(`Restored ${describeFile(backup.source)} from ${backup.file.get_basename()}`);
+        return true;
+    } catch (e) {
+        log(`Error restoring ${describeFile(backup.source)}: ${e}`);
+        return false;
+    }
+}
+
+/**
+ * Read, migrate and validate one of the settings files.
+ * @param {string} kind - 'config' | 'profiles' | 'zones' (see ConfigSchema.js)
+ * @param {Gio.File} file
+ * @param {object} defaults - Used for a missing or unusable file, and for
+ *   settings that fail validation
+ * @returns {{value: object, problems: Array<{file: string, path: string, reason: string}>, exists: boolean}}
+ */
+export function loadFile(kind, file, defaults) {
+    const fileName = describeFile(file);
+    const { data, error } = readJson(file);
+    if (error) {
+        // Fall back to the newest backup that can still be read
+        for (const backup of listBackups(file)) {
+            const { data: backupData } = readJson(backup.file);
+            if (!backupData) continue;
+            const { value, problems } = prepare(kind, backupData, { file: fileName, defaults });
+            if (!value) continue;
+            problems.unshift({
+                file: fileName,
+                path: '',
+                reason: `could not be read (${error.message}); using the backup from ${backup.date.toLocaleString()}`,
+            });
+            problems.forEach(p => log(formatProblem(p)));
+            return { value, problems, exists: true };
+        }
+        const problems = [{ file: fileName, path: '', reason: `could not be read (${error.message}); using defaults` }];
+        problems.forEach(p => log(formatProblem(p)));
+        return { value: defaults, problems, exists: true };
+    }
+    if (data === null)
+        return { value: defaults, problems: [], exists: false };
+
+    const { value, problems } = prepare(kind, data, { file: fileName, defaults });
+    problems.forEach(p => log(formatProblem(p)));
+    return { value: value ?? defaults, problems, exists: true };
+}
+
+/**
+ * Write one of the settings files, stamped with the current schema version.
+ * The version it replaces goes to backups/ first.
+ * @param {Gio.File} file
+ * @param {object} data
+ * @returns {boolean} true on success
+ */
+export function saveFile(file, data) {
+    try {
+        const text = JSON.stringify({ version: SCHEMA_VERSION, ...data }, null, 2);
+        try {
+            _backUp(file, text);
+        } catch (e) {
+            // A failed backup mustn't stop the save
+            log(`Error backing up ${describeFile(file)}: ${e}`);
+        }
+        _writeText(file, text);
+        return true;
+    } catch (e) {
+        log(`Error saving ${describeFile(file)}: ${e}`);
+        return false;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// config.json
+// ---------------------------------------------------------------------------
+
+/**
+ * Load config.json. A missing file is created with the defaults; a broken
+ * one is left alone until something is saved over it.
+ * @returns {{value: object, problems: Array<object>}}
+ */
+export function loadConfig() {
+    ensureConfigDirs();
+    const file = getConfigFile(CONFIG_FILENAME);
+    const { value, problems, exists } = loadFile('config', file, getDefaultConfig());
+    if (!exists) {
+        log('Config file not found, creating a default one.');
+        saveFile(file, value);
+    }
+    return { value, problems };
+}
+
+/**
+ * @param {object} config
+ * @returns {boolean} true on success
+ */
+export function saveConfig(config) {
+    return saveFile(getConfigFile(CONFIG_FILENAME), config);
+}
+
+// ---------------------------------------------------------------------------
+// profiles.json and profiles/<name>/zones.json
+// ---------------------------------------------------------------------------
+
+/**
+ * Load profiles.json. A missing file is created along with the Default
+ * profile's directory.
+ * @returns {{value: object, problems: Array<object>}}
+ */
+export function loadProfiles() {
+    ensureConfigDirs();
+    const file = getConfigFile(PROFILES_FILENAME);
+    const { value, problems, exists } = loadFile('profiles', file, getDefaultProfilesData());
+    if (!exists) {
+        log('Profiles file not found, creating default.');
+        saveFile(file, value);
+        for (const profile of value.profiles) {
+            if (!getProfileZonesFile(profile.name).query_exists(null))
+                saveProfileZones(profile.name, getDefaultZonesData());
+        }
+    }
+    return { value, problems };
+}
+
+/**
+ * @param {object} data - { activeProfile, profiles, workspaceProfiles }
+ * @returns {boolean} true on success
+ */
+export function saveProfiles(data) {
+    return saveFile(getConfigFile(PROFILES_FILENAME), data);
+}
+
+/**
+ * @param {string} name - Profile name
+ * @returns {{value: object, problems: Array<object>}} value is { zones, clipToWorkArea? }
+ */
+export function loadProfileZones(name) {
+    const { value, problems } = loadFile('zones', getProfileZonesFile(name), getDefaultZonesData());
+    return { value, problems };
+}
+
+/**
+ * Save a profile's zones, creating its directory if needed.
+ * @param {string} name - Profile name
+ * @param {object} zones - { zones: Array, clipToWorkArea? }
+ * @returns {boolean} true on success
+ */
+export function saveProfileZones(name, zones) {
+    return saveFile(getProfileZonesFile(name), zones);
+}
+
+function _deleteRecursive(file) {
+    if (file.query_file_type(Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null) === Gio.FileType.DIRECTORY) {
+        const enumerator = file.enumerate_children('standard::name', Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
+        let info;
+        while ((info = enumerator.next_file(null)) !== null)
+            _deleteRecursive(file.get_child(info.get_name()));
+        enumerator.close(null);
+    }
+    file.delete(null);
+}
+
+// Profile operations take the loaded profiles.json data, update it in place
+// and save it. They log and return false when the operation isn't possible.
+
+function _findProfile(data, name) {
+    return (data.profiles ?? []).find(p => p.name === name) ?? null;
+}
+
+/**
+ * Add a profile with the given zones.
+ * @param {object} data - Loaded profiles.json data
+ * @param {string} name
+ * @param {object} [zones] - { zones: Array, clipToWorkArea? }
+ * @returns {boolean}
+ */
+export function createProfile(data, name, zones = getDefaultZonesData()) {
+    name = String(name ?? '').trim();
+    if (!name) {
+        log('Cannot create a profile without a name');
+        return false;
+    }
+    if (_findProfile(data, name)) {
+        log(`Profile already exists: ${name}`);
+        return false;
+    }
+    // Different names can share a directory name once sanitized
+    const dir = getProfileDir(name);
+    if ((data.profiles ?? []).some(p => getProfileDir(p.name).equal(dir))) {
+        log(`Profile directory already in use: ${describeFile(dir)}`);
+        return false;
+    }
+    if (!saveProfileZones(name, zones)) return false;
+    data.profiles ??= [];
+    data.profiles.push({ name, createdAt: new Date().toISOString() });
+    saveProfiles(data);
+    log(`Created profile: ${name}`);
+    return true;
+}
+
+/**
+ * Add a profile with a copy of another profile's zones.
+ * @param {object} data - Loaded profiles.json data
+ * @param {string} sourceName
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function duplicateProfile(data, sourceName, name) {
+    if (!_findProfile(data, sourceName)) {
+        log(`Source profile not found: ${sourceName}`);
+        return false;
+    }
+    return createProfile(data, name, loadProfileZones(sourceName).value);
+}
+
+/**
+ * Rename a profile, its directory and every reference to it.
+ * @param {object} data - Loaded profiles.json data
+ * @param {string} oldName
+ * @param {string} newName
+ * @returns {boolean}
+ */
+export function renameProfile(data, oldName, newName) {
+    newName = String(newName ?? '').trim();
+    const profile = _findProfile(data, oldName);
+    if (!profile) {
+        log(`Profile not found: ${oldName}`);
+        return false;
+    }
+    if (!newName || _findProfile(data, newName)) {
+        log(`Profile name not available: ${newName}`);
+        return false;
+    }
+
+    const oldDir = getProfileDir(oldName);
+    const newDir = getProfileDir(newName);
+    if (!oldDir.equal(newDir)) {
+        if (newDir.query_exists(null)) {
+            log(`Profile directory already exists: ${describeFile(newDir)}`);
+            return false;
+        }
+        try {
+            if (oldDir.query_exists(null))
+                oldDir.set_display_name(sanitizeProfileName(newName), null);
+        } catch (e) {
+            log(`Error renaming profile directory: ${e}`);
+            return false;
+        }
+    }
+
+    profile.name = newName;
+    if (data.activeProfile === oldName) data.activeProfile = newName;
+    for (const [ws, name] of Object.entries(data.workspaceProfiles ?? {})) {
+        if (name === oldName) data.workspaceProfiles[ws] = newName;
+    }
+    saveProfiles(data);
+    log(`Renamed profile: ${oldName} -> ${newName}`);
+    return true;
+}
+
+/**
+ * Delete a profile and its directory. The last profile can't be deleted;
+ * deleting the active profile activates the first remaining one.
+ * @param {object} data - Loaded profiles.json data
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function deleteProfile(data, name) {
+    const profiles = data.profiles ?? [];
+    const index = profiles.findIndex(p => p.name === name);
+    if (index === -1) {
+        log(`Profile not found: ${name}`);
+        return false;
+    }
+    if (profiles.length <= 1) {
+        log('Cannot delete the last profile');
+        return false;
+    }
+    profiles.splice(index, 1);
+
+    // Workspaces that used it fall back to the active profile
+    for (const [ws, profileName] of Object.entries(data.workspaceProfiles ?? {})) {
+        if (profileName === name) delete data.workspaceProfiles[ws];
+    }
+    if (data.activeProfile === name) data.activeProfile = profiles[0].name;
+    saveProfiles(data);
+
+    try {
+        const dir = getProfileDir(name);
+        if (dir.query_exists(null)) _deleteRecursive(dir);
+    } catch (e) {
+        log(`Error deleting profile directory for ${name}: ${e}`);
+    }
+    log(`Deleted profile: ${name}`);
+    return true;
+}
+
+// ---------------------------------------------------------------------------
+// preview.json and windows.json
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {object|Array} data - Typically `{ zones: [...], persistent }`
+ * @returns {boolean} true on success
+ */
+export function savePreview(data) {
+    try {
+        writeJson(getConfigFile(PREVIEW_FILENAME), data, false);
+        return true;
+    } catch (e) {
+        log(`Error saving preview: ${e}`);
+        return false;
+    }
+}
+
+/**
+ * @returns {object|Array|null} Preview data, or null when there is none
+ */
+export function loadPreview() {
+    const { data, error } = readJson(getConfigFile(PREVIEW_FILENAME));
+    if (error) log(`Error loading preview file: ${error}`);
+    return data;
+}
+
+/**
+ * Remove preview.json; the extension reads its absence as "no preview".
+ */
+export function clearPreview() {
+    try {
+        getConfigFile(PREVIEW_FILENAME).delete(null);
+    } catch (e) {
+        if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND))
+            log(`Error clearing preview: ${e}`);
+    }
+}
+
+/**
+ * Publish the open windows' properties for the prefs rule preview.
+ * @param {Array<object>} windows - { wmClass, appId, title, role } each
+ */
+export function saveWindowSnapshot(windows) {
+    try {
+        writeJson(getConfigFile(WINDOWS_FILENAME), { updatedAt: new Date().toISOString(), windows }, false);
+    } catch (e) {
+        log(`Error saving window snapshot: ${e}`);
+    }
+}
+
+/**
+ * @returns {{updatedAt: string|null, windows: Array<object>}}
+ */
+export function loadWindowSnapshot() {
+    const { data } = readJson(getConfigFile(WINDOWS_FILENAME));
+    if (!data || !Array.isArray(data.windows))
+        return { updatedAt: null, windows: [] };
+    return { updatedAt: data.updatedAt ?? null, windows: data.windows };
+}
@@ -0,0 +1,202 @@
+// modules/DBusService.js — Session bus interface for scripting the extension
+//
+// Example:
+//   gdbus call --session --dest org.gnome.Shell.Extensions.TabbedTiling \
+//     --object-path /org/gnome/Shell/Extensions/TabbedTiling \
+//     --method org.gnome.Shell.Extensions.TabbedTiling.ListZones
+//
+// Windows are identified by their Mutter stable sequence number, as returned
+// in the "id" field of each tab by ListZones.
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import { getMonitorIdentities } from './MonitorIdentity.js';
+
+const log = msg => console.log(`[TabbedTiling.DBusService] ${msg}`);
+
+export const BUS_NAME = 'org.gnome.Shell.Extensions.TabbedTiling';
+export const OBJECT_PATH = '/org/gnome/Shell/Extensions/TabbedTiling';
+
+export const INTERFACE_XML = `
+<node>
+  <interface name="${BUS_NAME}">
+    <!-- JSON array of zone trees: name, monitorIndex, geometry, isPrimary,
+         splitDirection, childZones, and for leaf zones the tabs
+         ({ id, title, wmClass, appId, active }) in display order -->
+    <method name="ListZones">
+      <arg type="s" direction="out" name="zones"/>
+    </method>
+    <!-- JSON array of the connected monitors: index (as zones use it in
+         monitorIndex), connectors and ids (EDID "vendor:product:serial",
+         as zones use it in monitorId) -->
+    <method name="ListMonitors">
+      <arg type="s" direction="out" name="monitors"/>
+    </method>
+    <method name="ActivateTab">
+      <arg type="u" direction="in" name="windowId"/>
+      <arg type="b" direction="out" name="ok"/>
+    </method>
+    <!-- windowId 0 moves the focused window -->
+    <method name="MoveWindowToZone">
+      <arg type="u" direction="in" name="windowId"/>
+      <arg type="s" direction="in" name="zoneName"/>
+      <arg type="b" direction="out" name="ok"/>
+    </method>
+    <!-- direction: "horizontal" (top/bottom) or "vertical" (left/right) -->
+    <method name="SplitZone">
+      <arg type="s" direction="in" name="zoneName"/>
+      <arg type="s" direction="in" name="direction"/>
+      <arg type="b" direction="out" name="ok"/>
+    </method>
+    <!-- Accepts the split zone or either of its children -->
+    <method name="MergeZone">
+      <arg type="s" direction="in" name="zoneName"/>
+      <arg type="b" direction="out" name="ok"/>
+    </method>
+    <method name="ListProfiles">
+      <arg type="as" direction="out" name="profiles"/>
+    </method>
+    <method name="SwitchProfile">
+      <arg type="s" direction="in" name="name"/>
+      <arg type="b" direction="out" name="ok"/>
+    </method>
+    <method name="SetTilingEnabled">
+      <arg type="b" direction="in" name="enabled"/>
+    </method>
+    <property name="ActiveProfile" type="s" access="read"/>
+    <property name="TilingEnabled" type="b" access="read"/>
+    <!-- reason: "windows" (tab added/removed), "order" (tabs reordered),
+         "layout" (split, merge or resize) -->
+    <signal name="ZoneChanged">
+      <arg type="s" name="zoneName"/>
+      <arg type="s" name="reason"/>
+    </signal>
+    <signal name="ProfileChanged">
+      <arg type="s" name="name"/>
+    </signal>
+    <signal name="TilingToggled">
+      <arg type="b" name="enabled"/>
+    </signal>
+  </interface>
+</node>`;
+
+export class DBusService {
+    /**
+     * @param {WindowManager} windowManager
+     * @param {ProfileManager} profileManager
+     * @param {object} callbacks
+     * @param {function(string): boolean} callbacks.switchProfile
+     * @param {function(boolean): void} callbacks.setTilingEnabled
+     * @param {function(): boolean} callbacks.getEnabled
+     */
+    constructor(windowManager, profileManager, { switchProfile, setTilingEnabled, getEnabled }) {
+        this._windowManager = windowManager;
+        this._profileManager = profileManager;
+        this._switchProfile = switchProfile;
+        this._setTilingEnabled = setTilingEnabled;
+        this._getEnabled = getEnabled;
+
+        this._dbusImpl = Gio.DBusExportedObject.wrapJSObject(INTERFACE_XML, this);
+        this._dbusImpl.export(Gio.DBus.session, OBJECT_PATH);
+        this._ownerId = Gio.bus_own_name_on_connection(
+            Gio.DBus.session, BUS_NAME, Gio.BusNameOwnerFlags.NONE, null,
+            () => log(`Lost bus name ${BUS_NAME}; is another instance running?`)
+        );
+
+        this._zoneChangedId = windowManager.connect('zone-changed', (_wm, zoneName, reason) => {
+            this._emitSignal('ZoneChanged', new GLib.Variant('(ss)', [zoneName, reason]));
+        });
+        this._profileChangedId = profileManager.connect('profile-changed', (_pm, name) => {
+            this._emitSignal('ProfileChanged', new GLib.Variant('(s)', [name]));
+            this._dbusImpl?.emit_property_changed('ActiveProfile', new GLib.Variant('s', name));
+        });
+        log(`Exported ${BUS_NAME} at ${OBJECT_PATH}`);
+    }
+
+    /**
+     * Called by the extension whenever tiling is switched on or off.
+     */
+    notifyTilingToggled(enabled) {
+        this._emitSignal('TilingToggled', new GLib.Variant('(b)', [enabled]));
+        this._dbusImpl?.emit_property_changed('TilingEnabled', new GLib.Variant('b', enabled));
+    }
+
+    _emitSignal(name, params) {
+        try {
+            this._dbusImpl?.emit_signal(name, params);
+        } catch (e) {
+            logError(e, `TabbedTiling: Error emitting D-Bus signal ${name}`);
+        }
+    }
+
+    // -----------------------------------------------------------------------
+    // D-Bus methods (names must match INTERFACE_XML)
+    // -----------------------------------------------------------------------
+
+    ListZones() {
+        return JSON.stringify(this._windowManager.describeZones());
+    }
+
+    ListMonitors() {
+        return JSON.stringify(getMonitorIdentities());
+    }
+
+    ActivateTab(windowId) {
+        return this._windowManager.activateWindowById(windowId);
+    }
+
+    MoveWindowToZone(windowId, zoneName) {
+        return this._windowManager.moveWindowToZone(windowId, zoneName);
+    }
+
+    SplitZone(zoneName, direction) {
+        return this._windowManager.splitZone(zoneName, direction);
+    }
+
+    MergeZone(zoneName) {
+        return this._windowManager.mergeZone(zoneName);
+    }
+
+    ListProfiles() {
+        return this._profileManager.getProfiles().map(p => p.name);
+    }
+
+    SwitchProfile(name) {
+        return this._switchProfile(name);
+    }
+
+    SetTilingEnabled(enabled) {
+        this._setTilingEnabled(enabled);
+    }
+
+    get ActiveProfile() {
+        return this._profileManager.getActiveProfile();
+    }
+
+    get TilingEnabled() {
+        return this._getEnabled();
+    }
+
+    destroy() {
+        if (this._zoneChangedId) {
+            this._windowManager.disconnect(this._zoneChangedId);
+            this._zoneChangedId = 0;
+        }
+        if (this._profileChangedId) {
+            this._profileManager.disconnect(this._profileChangedId);
+            this._profileChangedId = 0;
+        }
+        if (this._ownerId) {
+            Gio.bus_unown_name(this._ownerId);
+            this._ownerId = 0;
+        }
+        if (this._dbusImpl) {
+            try {
+                this._dbusImpl.unexport();
+            } catch (e) { }
+            this._dbusImpl = null;
+        }
+        this._windowManager = null;
+        this._profileManager = null;
+    }
+}
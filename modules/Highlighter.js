@@ -4,6 +4,9 @@ import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import GLib from 'gi://GLib';
 import Clutter from 'gi://Clutter';
 
+import { resolveZoneRect } from './ZoneGeometry.js';
+import { getMonitorIdentities, resolveMonitorIndex } from './MonitorIdentity.js';
+
 const PREVIEW_TIMEOUT_MS = 5000; // 5 seconds
 
 export class Highlighter {
@@ -94,6 +97,7 @@ export class Highlighter {
     /**
      * Show preview overlays for the given zones.
      * @param {Array} zones - Zone data objects with monitorIndex, x, y, width, height
+     *                        (and optionally units: 'percent')
      * @param {boolean} persistent - If true, overlays are placed BELOW windows (non-blocking)
      *                               and stay visible until explicitly cleared (no auto-hide timeout)
      */
@@ -106,18 +110,20 @@ export class Highlighter {
                 this._previewTimeoutId = 0;
             }
 
+            const identities = getMonitorIdentities();
             zones.forEach(zone => {
                 if (!zone || !zone.monitor && zone.monitorIndex === undefined) return;
 
-                const monitor = Main.layoutManager.monitors[zone.monitorIndex];
+                const monitor = Main.layoutManager.monitors[resolveMonitorIndex(zone, identities)];
                 if (!monitor) return;
 
                 // Persistent previews use reduced opacity; non-persistent use full opacity
                 const actor = persistent
                     ? this._createPersistentHighlightActor('zone-highlight')
                     : this._createHighlightActor('zone-highlight');
-                actor.set_position(monitor.x + zone.x, monitor.y + zone.y);
-                actor.set_size(zone.width, zone.height);
+                const rect = resolveZoneRect(zone, monitor);
+                actor.set_position(monitor.x + rect.x, monitor.y + rect.y);
+                actor.set_size(rect.width, rect.height);
                 actor.show();
                 this._previewHighlights.push(actor);
             });
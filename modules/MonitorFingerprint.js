@@ -0,0 +1,63 @@
+// modules/MonitorFingerprint.js — Identifies a monitor setup so profiles can
+// follow the user between a dock and the laptop panel.
+//
+// A fingerprint is { count, monitors: [{ connector, width, height }] } with
+// monitors sorted by connector. Profiles store the fingerprint they were
+// linked to as `monitorFingerprint` in profiles.json.
+//
+// Only getMonitorFingerprint() needs the Shell; the rest is shared with the
+// prefs window and tabbedtiling-ctl.
+
+import { getMonitorIdentities } from './MonitorIdentity.js';
+
+const byConnector = (a, b) =>
+    a.connector.localeCompare(b.connector) || a.width - b.width || a.height - b.height;
+
+/**
+ * Fingerprint of the monitors currently connected (Shell process only).
+ * @returns {{count: number, monitors: Array<{connector: string, width: number, height: number}>}}
+ */
+export function getMonitorFingerprint() {
+    // Connector names per monitor index; mirrored monitors share an index.
+    // Without connector names, matching falls back to resolutions.
+    const connectors = new Map(getMonitorIdentities()
+        .map(m => [m.index, [...m.connectors].sort().join('+')]));
+
+    const monitors = [];
+    for (let i = 0; i < global.display.get_n_monitors(); i++) {
+        const { width, height } = global.display.get_monitor_geometry(i);
+        monitors.push({ connector: connectors.get(i) ?? '', width, height });
+    }
+    monitors.sort(byConnector);
+    return { count: monitors.length, monitors };
+}
+
+/**
+ * How well a saved fingerprint matches the current one.
+ * @returns {number} 2 — same connectors and resolutions; 1 — same resolutions
+ *   on different connectors (e.g. another dock of the same model); 0 — no match
+ */
+export function matchFingerprint(saved, current) {
+    const a = saved?.monitors ?? [];
+    const b = current?.monitors ?? [];
+    if (a.length === 0 || a.length !== b.length) return 0;
+
+    const sameConnectors = a.every((m, i) =>
+        m.connector === b[i].connector && m.width === b[i].width && m.height === b[i].height);
+    if (sameConnectors) return 2;
+
+    const sizes = list => list.map(m => `${m.width}x${m.height}`).sort().join(',');
+    return sizes(a) === sizes(b) ? 1 : 0;
+}
+
+/**
+ * One-line summary for menus and settings, e.g. "eDP-1 1920×1080, DP-3 2560×1440".
+ * @returns {string}
+ */
+export function describeFingerprint(fingerprint) {
+    const monitors = fingerprint?.monitors ?? [];
+    if (monitors.length === 0) return 'No monitors';
+    return monitors
+        .map(m => `${m.connector || 'Monitor'} ${m.width}×${m.height}`)
+        .join(', ');
+}
@@ -0,0 +1,59 @@
+// modules/MonitorIdentity.js — Which connected monitor a zone belongs to
+//
+// Zones bind to a monitor by `monitorIndex`, but GNOME may renumber monitors
+// after a hotplug. A zone can also name the monitor's connector
+// (`monitorConnector`, e.g. "DP-2") or the display itself (`monitorId`,
+// "vendor:product:serial" from its EDID). The first of monitorId,
+// monitorConnector and monitorIndex that matches a connected monitor wins.
+//
+// Identities are [{ index, connectors: [...], ids: [...] }], one per monitor
+// index (mirrored displays share an index). Only getMonitorIdentities() needs
+// the Shell; the prefs window builds identities from Gdk.
+
+const log = msg => console.log(`[TabbedTiling.MonitorIdentity] ${msg}`);
+
+// EDID identity of a Meta.Monitor, or null when the EDID is missing
+function displayId(monitor) {
+    const vendor = monitor.get_vendor();
+    const product = monitor.get_product();
+    if (!vendor || !product) return null;
+    return [vendor, product, monitor.get_serial() ?? ''].join(':');
+}
+
+/**
+ * Identities of the monitors currently connected (Shell process only).
+ * @returns {Array<{index: number, connectors: string[], ids: string[]}>}
+ */
+export function getMonitorIdentities() {
+    const identities = [];
+    try {
+        const monitorManager = global.backend.get_monitor_manager();
+        for (const logicalMonitor of monitorManager.get_logical_monitors()) {
+            const monitors = logicalMonitor.get_monitors();
+            identities.push({
+                index: logicalMonitor.get_number(),
+                connectors: monitors.map(m => m.get_connector()),
+                ids: monitors.map(displayId).filter(Boolean),
+            });
+        }
+    } catch (e) {
+        // Zones fall back to their monitorIndex
+        log(`Could not read monitor identities: ${e}`);
+    }
+    return identities.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Monitor index a zone should be placed on.
+ * @param {object} zoneData - Zone config ({ monitorIndex, monitorConnector, monitorId })
+ * @param {Array<{index: number, connectors: string[], ids: string[]}>} identities
+ * @returns {number}
+ */
+export function resolveMonitorIndex(zoneData, identities) {
+    const { monitorId, monitorConnector } = zoneData ?? {};
+    const byId = monitorId && identities.find(m => m.ids.includes(monitorId));
+    if (byId) return byId.index;
+    const byConnector = monitorConnector && identities.find(m => m.connectors.includes(monitorConnector));
+    if (byConnector) return byConnector.index;
+    return zoneData?.monitorIndex ?? 0;
+}
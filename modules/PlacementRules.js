@@ -0,0 +1,112 @@
+// modules/PlacementRules.js — Window-to-zone placement rules
+// Pure matching logic with no GI imports, so both the shell (WindowManager)
+// and the prefs window (rule preview) can load it.
+//
+// A rule in config.json looks like:
+//   {
+//     "enabled": true,
+//     "wmClass": "firefox",        // case-insensitive substring of WM_CLASS
+//     "appId": "org.gnome.Terminal", // app id, with or without ".desktop"
+//     "title": "^Meet - ",         // regular expression on the window title
+//     "role": "browser",           // exact WM_WINDOW_ROLE
+//     "target": "zone",            // 'zone' | 'monitor' | 'float'
+//     "zone": "Zone 2",            // target === 'zone'
+//     "monitor": 1                 // target === 'monitor'
+//   }
+// Empty criteria are ignored; every non-empty criterion must match. A rule
+// without any criteria never matches. Rules are evaluated in list order and
+// the first match wins.
+
+export const RULE_TARGETS = ['zone', 'monitor', 'float'];
+
+/**
+ * Fill in defaults so callers can rely on every field being present.
+ * @param {object} rule
+ * @returns {object}
+ */
+export function normalizeRule(rule) {
+    return {
+        enabled: rule?.enabled ?? true,
+        wmClass: String(rule?.wmClass ?? ''),
+        appId: String(rule?.appId ?? ''),
+        title: String(rule?.title ?? ''),
+        role: String(rule?.role ?? ''),
+        target: RULE_TARGETS.includes(rule?.target) ? rule.target : 'zone',
+        zone: String(rule?.zone ?? ''),
+        monitor: Number(rule?.monitor ?? 0),
+    };
+}
+
+/**
+ * Validate a rule's title pattern.
+ * @param {object} rule
+ * @returns {string|null} Error message, or null if the pattern compiles
+ */
+export function getRuleError(rule) {
+    const { title } = normalizeRule(rule);
+    if (!title) return null;
+    try {
+        new RegExp(title);
+        return null;
+    } catch (e) {
+        return `Invalid title pattern: ${e.message}`;
+    }
+}
+
+function _stripDesktop(id) {
+    return id.replace(/\.desktop$/i, '');
+}
+
+/**
+ * @param {object} rule
+ * @param {{wmClass: string, appId: string, title: string, role: string}} props
+ *   Window properties, e.g. from the shell or the open-window snapshot
+ * @returns {boolean}
+ */
+export function ruleMatches(rule, props) {
+    const r = normalizeRule(rule);
+    if (!r.enabled) return false;
+    if (!r.wmClass && !r.appId && !r.title && !r.role) return false;
+
+    if (r.wmClass && !String(props.wmClass ?? '').toLowerCase().includes(r.wmClass.toLowerCase()))
+        return false;
+    if (r.appId && _stripDesktop(String(props.appId ?? '')) !== _stripDesktop(r.appId))
+        return false;
+    if (r.role && String(props.role ?? '') !== r.role)
+        return false;
+    if (r.title) {
+        try {
+            if (!new RegExp(r.title).test(String(props.title ?? '')))
+                return false;
+        } catch (e) {
+            return false; // invalid pattern never matches
+        }
+    }
+    return true;
+}
+
+/**
+ * @param {Array<object>} rules
+ * @param {object} props - See ruleMatches()
+ * @returns {{rule: object, index: number}|null} First matching rule
+ */
+export function findMatchingRule(rules, props) {
+    if (!Array.isArray(rules)) return null;
+    for (let i = 0; i < rules.length; i++) {
+        if (ruleMatches(rules[i], props))
+            return { rule: normalizeRule(rules[i]), index: i };
+    }
+    return null;
+}
+
+/**
+ * Short human-readable description of where a rule sends a window.
+ * @param {object} rule
+ * @returns {string}
+ */
+export function describeRuleTarget(rule) {
+    const r = normalizeRule(rule);
+    if (r.target === 'float') return 'Float';
+    if (r.target === 'monitor') return `Monitor ${r.monitor}`;
+    return r.zone ? `Zone "${r.zone}"` : 'Zone (unnamed)';
+}
@@ -1,11 +1,24 @@
 // modules/ProfileManager.js
-import Gio from 'gi://Gio';
-import GLib from 'gi://GLib';
+// Shell-side access to profiles.json and the profiles' zones. The files and
+// profile operations are shared with the prefs window (ConfigStore.js).
 import GObject from 'gi://GObject';
 
+import {
+    getDefaultProfilesData,
+    getDefaultZonesData,
+    loadProfiles,
+    saveProfiles,
+    loadProfileZones,
+    saveProfileZones,
+    createProfile,
+    deleteProfile,
+    renameProfile,
+    duplicateProfile,
+} from './ConfigStore.js';
+import { prepare, formatProblem } from './ConfigSchema.js';
+import { matchFingerprint } from './MonitorFingerprint.js';
+
 const log = msg => console.log(`[TabbedTiling.ProfileManager] ${msg}`);
-const PROFILES_DIR = 'tabbedtiling';
-const PROFILES_FILENAME = 'profiles.json';
 
 export const ProfileManager = GObject.registerClass({
     Signals: {
@@ -14,134 +27,17 @@ export const ProfileManager = GObject.registerClass({
 }, class ProfileManager extends GObject.Object {
     constructor() {
         super();
-        this._configDir = Gio.File.new_for_path(GLib.get_user_config_dir()).get_child(PROFILES_DIR);
-        this._profilesDir = this._configDir.get_child('profiles');
-        this._profilesFile = this._configDir.get_child(PROFILES_FILENAME);
         this._profiles = null;
         this._activeProfile = null;
-
-        this._ensureDirExists();
-    }
-
-    _ensureDirExists() {
-        try {
-            if (!this._configDir.query_exists(null)) {
-                log('Config directory not found, creating it.');
-                this._configDir.make_directory_with_parents(null);
-            }
-        } catch (e) {
-            log(`Error creating config directory: ${e}`);
-        }
-        try {
-            if (!this._profilesDir.query_exists(null)) {
-                log('Profiles directory not found, creating it.');
-                this._profilesDir.make_directory_with_parents(null);
-            }
-        } catch (e) {
-            log(`Error creating profiles directory: ${e}`);
-        }
-    }
-
-    _getDefaultProfilesData() {
-        return {
-            activeProfile: 'Default',
-            profiles: [
-                { name: 'Default', createdAt: new Date().toISOString() }
-            ]
-        };
-    }
-
-    _getDefaultZonesConfig() {
-        return {
-            zones: []
-        };
-    }
-
-    _loadProfilesFile() {
-        try {
-            if (!this._profilesFile.query_exists(null)) {
-                log('Profiles file not found, creating default.');
-                const defaultData = this._getDefaultProfilesData();
-                this._saveProfilesFile(defaultData);
-                // Create default profile directory with empty zones
-                this._createProfileDir('Default');
-                return defaultData;
-            }
-            try {
-                const [ok, contents] = this._profilesFile.load_contents(null);
-                if (ok) {
-                    const data = JSON.parse(new TextDecoder().decode(contents));
-                    // Null-safety: ensure expected properties exist
-                    data.profiles = data.profiles ?? [];
-                    data.activeProfile = data.activeProfile ?? 'Default';
-                    return data;
-                }
-            } catch (e) {
-                log(`Error loading profiles file: ${e}`);
-            }
-        } catch (e) {
-            log(`Error in _loadProfilesFile: ${e}`);
-        }
-        return this._getDefaultProfilesData();
-    }
-
-    _saveProfilesFile(data) {
-        try {
-            const json = JSON.stringify(data, null, 2);
-            const bytes = new TextEncoder().encode(json);
-            this._profilesFile.replace_contents(
-                bytes,
-                null,
-                false,
-                Gio.FileCreateFlags.REPLACE_DESTINATION,
-                null
-            );
-            log('Profiles file saved successfully.');
-        } catch (e) {
-            log(`Error saving profiles file: ${e}`);
-        }
-    }
-
-    _createProfileDir(name) {
-        const profileDir = this._profilesDir.get_child(this._sanitizeName(name));
-        try {
-            if (!profileDir.query_exists(null)) {
-                profileDir.make_directory_with_parents(null);
-                const zonesFile = profileDir.get_child('zones.json');
-                const defaultZones = this._getDefaultZonesConfig();
-                const json = JSON.stringify(defaultZones, null, 2);
-                const bytes = new TextEncoder().encode(json);
-                zonesFile.replace_contents(
-                    bytes,
-                    null,
-                    false,
-                    Gio.FileCreateFlags.REPLACE_DESTINATION,
-                    null
-                );
-                log(`Created profile directory: ${name}`);
-            }
-        } catch (e) {
-            log(`Error creating profile directory: ${e}`);
-        }
-        return profileDir;
-    }
-
-    _sanitizeName(name) {
-        // Replace characters that are problematic for file paths
-        return name.replace(/[\/\\:*?"<>|]/g, '_');
-    }
-
-    _getProfileDir(name) {
-        return this._profilesDir.get_child(this._sanitizeName(name));
     }
 
     load() {
         try {
-            this._profiles = this._loadProfilesFile();
+            this._profiles = loadProfiles().value;
             this._activeProfile = this._profiles.activeProfile ?? 'Default';
         } catch (e) {
             log(`Error in load(): ${e}`);
-            this._profiles = this._getDefaultProfilesData();
+            this._profiles = getDefaultProfilesData();
             this._activeProfile = 'Default';
         }
         return this;
@@ -185,7 +81,7 @@ export const ProfileManager = GObject.registerClass({
             }
             this._activeProfile = name;
             this._profiles.activeProfile = name;
-            this._saveProfilesFile(this._profiles);
+            saveProfiles(this._profiles);
             this.emit('profile-changed', name);
             log(`Active profile set to: ${name}`);
             return true;
@@ -195,281 +91,205 @@ export const ProfileManager = GObject.registerClass({
         }
     }
 
-    createProfile(name) {
+    /**
+     * Profile assigned to a workspace, or null if it follows the active profile.
+     * Mappings are stored in profiles.json as `workspaceProfiles`, keyed by
+     * workspace index.
+     * @param {number} index - Workspace index
+     * @returns {string|null}
+     */
+    getWorkspaceProfile(index) {
         try {
             if (!this._profiles) {
                 this.load();
             }
-            const profiles = this._profiles.profiles ?? [];
-            // Check if name already exists
-            if (profiles.find(p => p.name === name)) {
-                log(`Profile already exists: ${name}`);
-                return false;
-            }
-            const newProfile = {
-                name: name,
-                createdAt: new Date().toISOString()
-            };
-            this._profiles.profiles.push(newProfile);
-            this._createProfileDir(name);
-            this._saveProfilesFile(this._profiles);
-            log(`Created profile: ${name}`);
-            return true;
+            const name = this._profiles.workspaceProfiles?.[index] ?? null;
+            // Ignore mappings to profiles that no longer exist
+            if (name && !(this._profiles.profiles ?? []).some(p => p.name === name))
+                return null;
+            return name;
         } catch (e) {
-            log(`Error in createProfile(): ${e}`);
-            return false;
+            log(`Error in getWorkspaceProfile(): ${e}`);
+            return null;
         }
     }
 
-    deleteProfile(name) {
+    /**
+     * @param {number} index - Workspace index
+     * @param {string|null} name - Profile name, or null to follow the active profile
+     */
+    setWorkspaceProfile(index, name) {
         try {
             if (!this._profiles) {
                 this.load();
             }
-            const profiles = this._profiles.profiles ?? [];
-            // Cannot delete the last profile
-            if (profiles.length <= 1) {
-                log('Cannot delete the last profile');
-                return false;
-            }
-            const index = profiles.findIndex(p => p.name === name);
-            if (index === -1) {
-                log(`Profile not found: ${name}`);
-                return false;
-            }
-            this._profiles.profiles.splice(index, 1);
-            
-            // If deleting active profile, switch to first remaining
-            if (this._activeProfile === name) {
-                this._activeProfile = this._profiles.profiles[0].name;
-                this._profiles.activeProfile = this._activeProfile;
-            }
-            
-            this._saveProfilesFile(this._profiles);
-            
-            // Delete the profile directory
-            try {
-                const profileDir = this._getProfileDir(name);
-                if (profileDir.query_exists(null)) {
-                    this._deleteDirRecursive(profileDir);
-                }
-            } catch (e) {
-                log(`Error deleting profile directory for ${name}: ${e}`);
-            }
-            
-            log(`Deleted profile: ${name}`);
+            this._profiles.workspaceProfiles ??= {};
+            if (name)
+                this._profiles.workspaceProfiles[index] = name;
+            else
+                delete this._profiles.workspaceProfiles[index];
+            saveProfiles(this._profiles);
             return true;
         } catch (e) {
-            log(`Error in deleteProfile(): ${e}`);
+            log(`Error in setWorkspaceProfile(): ${e}`);
             return false;
         }
     }
 
-    renameProfile(oldName, newName) {
+    /**
+     * Monitor setup a profile is linked to, or null.
+     * @param {string} name - Profile name
+     * @returns {object|null} Fingerprint (see MonitorFingerprint.js)
+     */
+    getProfileFingerprint(name) {
+        return this.getProfiles().find(p => p.name === name)?.monitorFingerprint ?? null;
+    }
+
+    /**
+     * Link a profile to a monitor setup, so it is activated whenever that
+     * setup is connected. A setup is linked to one profile at a time.
+     * @param {string} name - Profile name
+     * @param {object|null} fingerprint - null unlinks the profile
+     * @returns {boolean}
+     */
+    setProfileFingerprint(name, fingerprint) {
         try {
             if (!this._profiles) {
                 this.load();
             }
             const profiles = this._profiles.profiles ?? [];
-            // Check if old profile exists
-            const profile = profiles.find(p => p.name === oldName);
+            const profile = profiles.find(p => p.name === name);
             if (!profile) {
-                log(`Profile not found: ${oldName}`);
-                return false;
-            }
-            // Check if new name already exists
-            if (profiles.find(p => p.name === newName)) {
-                log(`Profile name already exists: ${newName}`);
+                log(`Cannot link monitors: profile ${name} not found`);
                 return false;
             }
-            
-            const oldDir = this._getProfileDir(oldName);
-            
-            // Rename directory
-            if (oldDir.query_exists(null)) {
-                try {
-                    oldDir.set_display_name(this._sanitizeName(newName));
-                } catch (e) {
-                    log(`Error renaming profile directory: ${e}`);
-                    return false;
+            if (fingerprint) {
+                for (const other of profiles) {
+                    if (other !== profile && matchFingerprint(other.monitorFingerprint, fingerprint) === 2)
+                        delete other.monitorFingerprint;
                 }
+                profile.monitorFingerprint = fingerprint;
+            } else {
+                delete profile.monitorFingerprint;
             }
-            
-            // Update profiles list
-            profile.name = newName;
-            
-            // Update active profile if needed
-            if (this._activeProfile === oldName) {
-                this._activeProfile = newName;
-                this._profiles.activeProfile = newName;
-            }
-            
-            this._saveProfilesFile(this._profiles);
-            log(`Renamed profile: ${oldName} -> ${newName}`);
+            saveProfiles(this._profiles);
             return true;
         } catch (e) {
-            log(`Error in renameProfile(): ${e}`);
+            log(`Error in setProfileFingerprint(): ${e}`);
             return false;
         }
     }
 
-    duplicateProfile(sourceName, newName) {
+    /**
+     * Profile linked to the given monitor setup. An exact match wins over
+     * one that only agrees on resolutions.
+     * @param {object} fingerprint - Current monitor setup
+     * @returns {string|null}
+     */
+    findProfileForFingerprint(fingerprint) {
+        let best = null;
+        let bestScore = 0;
+        for (const profile of this.getProfiles()) {
+            const score = matchFingerprint(profile.monitorFingerprint, fingerprint);
+            if (score > bestScore) {
+                best = profile.name;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+
+    createProfile(name) {
         try {
             if (!this._profiles) {
                 this.load();
             }
-            const profiles = this._profiles.profiles ?? [];
-            // Check if source exists
-            const source = profiles.find(p => p.name === sourceName);
-            if (!source) {
-                log(`Source profile not found: ${sourceName}`);
-                return false;
-            }
-            // Check if new name already exists
-            if (profiles.find(p => p.name === newName)) {
-                log(`Profile name already exists: ${newName}`);
-                return false;
-            }
-            
-            // Create new profile entry
-            const newProfile = {
-                name: newName,
-                createdAt: new Date().toISOString()
-            };
-            this._profiles.profiles.push(newProfile);
-            
-            // Create directory and copy zones
-            const sourceDir = this._getProfileDir(sourceName);
-            const newDir = this._createProfileDir(newName);
-            
-            try {
-                if (sourceDir.query_exists(null)) {
-                    const sourceZonesFile = sourceDir.get_child('zones.json');
-                    if (sourceZonesFile.query_exists(null)) {
-                        const [ok, contents] = sourceZonesFile.load_contents(null);
-                        if (ok) {
-                            const newZonesFile = newDir.get_child('zones.json');
-                            // contents is already a Uint8Array from load_contents
-                            newZonesFile.replace_contents(
-                                contents,
-                                null,
-                                false,
-                                Gio.FileCreateFlags.REPLACE_DESTINATION,
-                                null
-                            );
-                        }
-                    }
-                }
-            } catch (e) {
-                log(`Error copying zones file: ${e}`);
-            }
-            
-            this._saveProfilesFile(this._profiles);
-            log(`Duplicated profile: ${sourceName} -> ${newName}`);
-            return true;
+            return createProfile(this._profiles, name);
         } catch (e) {
-            log(`Error in duplicateProfile(): ${e}`);
+            log(`Error in createProfile(): ${e}`);
             return false;
         }
     }
 
-    loadProfileConfig(name) {
+    deleteProfile(name) {
         try {
-            const profileDir = this._getProfileDir(name);
-            const zonesFile = profileDir.get_child('zones.json');
-            
-            if (!zonesFile.query_exists(null)) {
-                log(`Zones file not found for profile: ${name}`);
-                return this._getDefaultZonesConfig();
-            }
-            
-            try {
-                const [ok, contents] = zonesFile.load_contents(null);
-                if (ok) {
-                    return JSON.parse(new TextDecoder().decode(contents));
-                }
-            } catch (e) {
-                log(`Error loading zones for profile ${name}: ${e}`);
+            if (!this._profiles) {
+                this.load();
             }
+            if (!deleteProfile(this._profiles, name)) return false;
+            this._activeProfile = this._profiles.activeProfile;
+            return true;
         } catch (e) {
-            log(`Error in loadProfileConfig(): ${e}`);
+            log(`Error in deleteProfile(): ${e}`);
+            return false;
         }
-        return this._getDefaultZonesConfig();
     }
 
-    saveProfileConfig(name, zonesConfig) {
+    renameProfile(oldName, newName) {
         try {
-            const profileDir = this._getProfileDir(name);
-            
-            if (!profileDir.query_exists(null)) {
-                this._createProfileDir(name);
+            if (!this._profiles) {
+                this.load();
             }
-            
-            const zonesFile = profileDir.get_child('zones.json');
-            
-            const json = JSON.stringify(zonesConfig, null, 2);
-            const bytes = new TextEncoder().encode(json);
-            zonesFile.replace_contents(
-                bytes,
-                null,
-                false,
-                Gio.FileCreateFlags.REPLACE_DESTINATION,
-                null
-            );
-            log(`Saved zones for profile: ${name}`);
+            if (!renameProfile(this._profiles, oldName, newName)) return false;
+            this._activeProfile = this._profiles.activeProfile;
             return true;
         } catch (e) {
-            log(`Error saving zones for profile ${name}: ${e}`);
+            log(`Error in renameProfile(): ${e}`);
             return false;
         }
     }
 
-    _deleteDirRecursive(dir) {
+    duplicateProfile(sourceName, newName) {
         try {
-            const enumerator = dir.enumerate_children(
-                'standard::name',
-                Gio.FileQueryInfoFlags.NONE,
-                null
-            );
-            let file;
-            while ((file = enumerator.next_file(null)) !== null) {
-                const child = dir.get_child(file.get_name());
-                try {
-                    if (child.query_file_type(Gio.FileQueryInfoFlags.NONE, null) === Gio.FileType.DIRECTORY) {
-                        this._deleteDirRecursive(child);
-                    } else {
-                        child.delete(null);
-                    }
-                } catch (e) {
-                    log(`Error deleting child ${file.get_name()}: ${e}`);
-                }
+            if (!this._profiles) {
+                this.load();
             }
-            dir.delete(null);
+            return duplicateProfile(this._profiles, sourceName, newName);
+        } catch (e) {
+            log(`Error in duplicateProfile(): ${e}`);
+            return false;
+        }
+    }
+
+    loadProfileConfig(name) {
+        try {
+            return loadProfileZones(name).value;
         } catch (e) {
-            log(`Error deleting directory: ${e}`);
+            log(`Error in loadProfileConfig(): ${e}`);
+            return getDefaultZonesData();
         }
     }
 
+    saveProfileConfig(name, zonesConfig) {
+        const ok = saveProfileZones(name, zonesConfig);
+        if (ok) log(`Saved zones for profile: ${name}`);
+        return ok;
+    }
+
     exportProfile(name) {
         try {
             const config = this.loadProfileConfig(name);
             return JSON.stringify(config, null, 2);
         } catch (e) {
             log(`Error in exportProfile(): ${e}`);
-            return JSON.stringify(this._getDefaultZonesConfig(), null, 2);
+            return JSON.stringify(getDefaultZonesData(), null, 2);
         }
     }
 
     importProfile(name, jsonString) {
         try {
-            const config = JSON.parse(jsonString);
-            if (!config.zones || !Array.isArray(config.zones)) {
+            const parsed = JSON.parse(jsonString);
+            if (!Array.isArray(parsed?.zones)) {
                 log('Invalid profile format: missing zones array');
                 return false;
             }
-            this.createProfile(name);
-            this.saveProfileConfig(name, config);
-            return true;
+            const { value, problems } = prepare('zones', parsed, { file: `import of ${name}` });
+            problems.forEach(p => log(formatProblem(p)));
+            if (!value) return false;
+            if (!this._profiles) {
+                this.load();
+            }
+            return createProfile(this._profiles, name, value);
         } catch (e) {
             log(`Error importing profile: ${e}`);
             return false;
@@ -0,0 +1,140 @@
+// modules/SessionStore.js — Remembers which zone and tab position each window had
+// so arrangements survive a logout, Shell restart or screen lock (which
+// disables and re-enables the extension).
+//
+// session.json holds one entry per window:
+//   { wmClass, appId, title, pid, zone, tabIndex, floating, session, seq, lastSeen }
+// Windows floated by hand are kept with `floating: true` and the zone they
+// left (or null), so they stay untiled when restored.
+// `session` and `seq` identify the window within the Shell run that wrote the
+// entry. Entries for windows that have since closed are kept (the closest
+// thing to a session is the last arrangement before logout), oldest first out.
+// It also records the monitor setup last checked for a linked profile, so a
+// profile chosen by hand survives until the monitors really change.
+// The file is runtime state rather than a setting, so it has no backups.
+import GLib from 'gi://GLib';
+
+import { SESSION_FILENAME, getConfigFile, readJson, writeJson } from './ConfigStore.js';
+
+const log = msg => console.log(`[TabbedTiling.SessionStore] ${msg}`);
+const MAX_ENTRIES = 200;
+
+export class SessionStore {
+    constructor() {
+        this._file = getConfigFile(SESSION_FILENAME);
+        // Identifies entries written during this Shell run
+        this._sessionId = GLib.uuid_string_random();
+        this._entries = [];
+        this._monitorFingerprint = null;
+        // Entries from earlier runs that were already used to place a window
+        this._claimed = new Set();
+    }
+
+    load() {
+        this._entries = [];
+        this._monitorFingerprint = null;
+        this._claimed.clear();
+        const { data, error } = readJson(this._file);
+        if (error) {
+            log(`Error loading session file: ${error}`);
+            return;
+        }
+        if (Array.isArray(data?.windows))
+            this._entries = data.windows.filter(e => e && (typeof e.zone === 'string' || e.floating));
+        this._monitorFingerprint = data?.monitorFingerprint ?? null;
+        log(`Loaded ${this._entries.length} window assignments.`);
+    }
+
+    /**
+     * Fingerprint (see MonitorFingerprint.js) of the monitors last checked
+     * for a linked profile, or null.
+     * @type {object|null}
+     */
+    get monitorFingerprint() {
+        return this._monitorFingerprint;
+    }
+
+    set monitorFingerprint(fingerprint) {
+        this._monitorFingerprint = fingerprint;
+    }
+
+    /**
+     * Find the saved assignment that best matches a window and mark it used,
+     * so two similar windows don't both restore into the same slot.
+     * Only entries from earlier Shell runs are considered.
+     * @param {{wmClass: string, appId: string, title: string, pid: number}} props
+     * @param {function(string): boolean} [hasZone] - Skips tiled entries whose
+     *   zone is not in the current layout
+     * @returns {{zone: string|null, tabIndex: number, floating: boolean}|null}
+     *   For a floating window, `zone` is the zone it was floated from
+     */
+    claim(props, hasZone = () => true) {
+        let best = null;
+        let bestScore = 0;
+        for (const entry of this._entries) {
+            if (entry.session === this._sessionId || this._claimed.has(entry)) continue;
+
+            const sameClass = !!props.wmClass && entry.wmClass === props.wmClass;
+            const sameApp = !!props.appId && entry.appId === props.appId;
+            if (!sameClass && !sameApp) continue;
+            if (!entry.floating && !hasZone(entry.zone)) continue;
+
+            let score = 1;
+            if (sameApp) score += 1;
+            if (props.pid && entry.pid === props.pid) score += 2; // survives a Shell restart on X11
+            if (props.title && entry.title === props.title) score += 4;
+            if (score > bestScore || (score === bestScore && (entry.lastSeen ?? 0) > (best.lastSeen ?? 0))) {
+                best = entry;
+                bestScore = score;
+            }
+        }
+        if (!best) return null;
+        this._claimed.add(best);
+        return { zone: best.zone ?? null, tabIndex: best.tabIndex ?? 0, floating: !!best.floating };
+    }
+
+    /**
+     * Replace the entries of all open windows with their current placement.
+     * @param {Array<{seq: number, props: object, zone: string|null, tabIndex: number, floating: boolean}>} openWindows
+     *   Every open window; `zone` is null for windows that aren't tiled, or
+     *   the zone a floating window left
+     */
+    update(openWindows) {
+        const openSeqs = new Set(openWindows.map(w => w.seq));
+        const now = Date.now();
+
+        const kept = this._entries.filter(e =>
+            e.session === this._sessionId ? !openSeqs.has(e.seq) : !this._claimed.has(e));
+        const current = openWindows
+            .filter(w => w.zone || w.floating)
+            .map(w => ({
+                wmClass: w.props.wmClass,
+                appId: w.props.appId,
+                title: w.props.title,
+                pid: w.props.pid,
+                zone: w.zone,
+                tabIndex: w.tabIndex,
+                floating: !!w.floating,
+                session: this._sessionId,
+                seq: w.seq,
+                lastSeen: now,
+            }));
+
+        this._entries = current.concat(kept)
+            .sort((a, b) => (b.lastSeen ?? 0) - (a.lastSeen ?? 0))
+            .slice(0, MAX_ENTRIES);
+        // Claimed entries were superseded by the windows they placed
+        this._claimed.clear();
+    }
+
+    save() {
+        try {
+            writeJson(this._file, {
+                windows: this._entries,
+                monitorFingerprint: this._monitorFingerprint,
+            });
+        } catch (e) {
+            log(`Error saving session file: ${e}`);
+        }
+    }
+}
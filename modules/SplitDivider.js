@@ -0,0 +1,101 @@
+// modules/SplitDivider.js
+import St from 'gi://St';
+import GObject from 'gi://GObject';
+import Clutter from 'gi://Clutter';
+import Meta from 'gi://Meta';
+
+export const DIVIDER_THICKNESS = 8;
+
+/**
+ * A thin handle placed on the boundary between the two children of a split
+ * zone. It only reports pointer positions; the owning Zone turns them into a
+ * split ratio and re-lays out its children.
+ */
+export const SplitDivider = GObject.registerClass({
+    GTypeName: 'TabbedTiling_SplitDivider',
+    Signals: {
+        'drag-motion': { param_types: [GObject.TYPE_DOUBLE, GObject.TYPE_DOUBLE] }, // stage x, y
+        'drag-end': {},
+    },
+}, class SplitDivider extends St.Widget {
+    _init(direction) {
+        super._init({
+            style_class: `zone-split-divider ${direction}`,
+            reactive: false,
+            track_hover: true,
+        });
+
+        this._direction = direction; // 'horizontal' (top/bottom) or 'vertical' (left/right)
+        this._grab = null;
+        this._destroyed = false;
+
+        this.connect('notify::hover', () => this._updateCursor());
+    }
+
+    vfunc_button_press_event(event) {
+        if (event.get_button() !== Clutter.BUTTON_PRIMARY) return Clutter.EVENT_PROPAGATE;
+        try {
+            this._grab = global.stage.grab(this);
+            this.add_style_pseudo_class('active');
+        } catch (e) {
+            logError(e, 'TabbedTiling: Failed to grab pointer for split divider');
+            this._grab = null;
+        }
+        return Clutter.EVENT_STOP;
+    }
+
+    vfunc_motion_event(event) {
+        if (!this._grab) return Clutter.EVENT_PROPAGATE;
+        try {
+            const [x, y] = event.get_coords();
+            this.emit('drag-motion', x, y);
+        } catch (e) {
+            logError(e, 'TabbedTiling: Error in SplitDivider motion');
+        }
+        return Clutter.EVENT_STOP;
+    }
+
+    vfunc_button_release_event(_event) {
+        if (!this._grab) return Clutter.EVENT_PROPAGATE;
+        this._endGrab();
+        try {
+            this.emit('drag-end');
+        } catch (e) {
+            logError(e, 'TabbedTiling: Error emitting drag-end');
+        }
+        return Clutter.EVENT_STOP;
+    }
+
+    _endGrab() {
+        if (this._grab) {
+            try { this._grab.dismiss(); } catch (e) { /* already dismissed */ }
+            this._grab = null;
+        }
+        this.remove_style_pseudo_class('active');
+        this._updateCursor();
+    }
+
+    _updateCursor() {
+        if (this._destroyed) return;
+        try {
+            const resize = this._direction === 'horizontal'
+                ? Meta.Cursor.ROW_RESIZE : Meta.Cursor.COL_RESIZE;
+            const active = this.hover || !!this._grab;
+            global.display.set_cursor(active && resize !== undefined ? resize : Meta.Cursor.DEFAULT);
+        } catch (e) {
+            // Cursor names differ between Mutter versions; the divider still works without it
+        }
+    }
+
+    destroy() {
+        if (this._destroyed) return;
+        this._endGrab();
+        if (this.hover) {
+            try { global.display.set_cursor(Meta.Cursor.DEFAULT); } catch (e) { }
+        }
+        this._destroyed = true;
+        try {
+            super.destroy();
+        } catch (e) { }
+    }
+});
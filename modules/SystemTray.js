@@ -7,17 +7,20 @@ import Gio from 'gi://Gio';
 import * as PanelMenu from 'resource:///org/gnome/shell/ui/panelMenu.js';
 import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
 
+import { matchFingerprint } from './MonitorFingerprint.js';
+
 const log = msg => console.log(`[TabbedTiling.SystemTray] ${msg}`);
 
 export const SystemTray = GObject.registerClass(
 class SystemTray extends PanelMenu.Button {
-    _init(profileManager, { onProfileChanged, onToggle, getEnabled, extensionUuid }) {
+    _init(profileManager, { onProfileChanged, onToggle, getEnabled, getMonitorFingerprint, extensionUuid }) {
         super._init(0.0, 'TabbedTiling Profile Switcher', false);
 
         this._profileManager = profileManager;
         this._onProfileChanged = onProfileChanged;
         this._onToggle = onToggle;
         this._getEnabled = getEnabled;
+        this._getMonitorFingerprint = getMonitorFingerprint;
         this._extensionUuid = extensionUuid || 'tabbedtiling@george.com';
 
         // Panel icon
@@ -57,6 +60,10 @@ class SystemTray extends PanelMenu.Button {
             // ---- Profile list ----
             const profiles = this._profileManager.getProfiles();
             const activeProfile = this._profileManager.getActiveProfile();
+            const fingerprint = typeof this._getMonitorFingerprint === 'function'
+                ? this._getMonitorFingerprint() : null;
+            const monitorProfile = fingerprint
+                ? this._profileManager.findProfileForFingerprint(fingerprint) : null;
 
             for (const profile of profiles) {
                 const item = new PopupMenu.PopupMenuItem(profile.name);
@@ -68,6 +75,15 @@ class SystemTray extends PanelMenu.Button {
                     item.setOrnament(PopupMenu.Ornament.NONE);
                 }
 
+                // Mark the profile picked for the connected monitors
+                if (profile.name === monitorProfile) {
+                    item.label.x_expand = true;
+                    item.add_child(new St.Icon({
+                        icon_name: 'video-display-symbolic',
+                        style_class: 'popup-menu-icon',
+                    }));
+                }
+
                 item.connect('activate', () => {
                     try {
                         this._switchProfile(profile.name);
@@ -79,6 +95,22 @@ class SystemTray extends PanelMenu.Button {
                 this.menu.addMenuItem(item);
             }
 
+            // ---- Link active profile to the connected monitors ----
+            if (fingerprint) {
+                const linked = matchFingerprint(
+                    this._profileManager.getProfileFingerprint(activeProfile), fingerprint) === 2;
+                const linkItem = new PopupMenu.PopupSwitchMenuItem('Use for These Monitors', linked);
+                linkItem.connect('toggled', (item, state) => {
+                    try {
+                        this._profileManager.setProfileFingerprint(activeProfile, state ? fingerprint : null);
+                        this._buildMenu();
+                    } catch (e) {
+                        logError(e, 'TabbedTiling: Error in monitor link handler');
+                    }
+                });
+                this.menu.addMenuItem(linkItem);
+            }
+
             // ---- Separator ----
             this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
 
@@ -157,5 +189,6 @@ class SystemTray extends PanelMenu.Button {
         this._profileManager = null;
         this._onProfileChanged = null;
         this._onToggle = null;
+        this._getMonitorFingerprint = null;
     }
 });
@@ -3,6 +3,8 @@ import St from 'gi://St';
 import GObject from 'gi://GObject';
 import Pango from 'gi://Pango';
 import Clutter from 'gi://Clutter';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
 
 export const Tab = GObject.registerClass({
     GTypeName: 'TabbedTiling_Tab',
@@ -21,6 +23,9 @@ export const Tab = GObject.registerClass({
         this.app = app;
         this._config = config; // Save config        
         this._destroyed = false;
+        // Context menu, created on the first right-click and refilled on each
+        this._menu = null;
+        this._menuManager = null;
 
         const box = new St.BoxLayout({
             style_class: 'zone-tab-content',
@@ -38,12 +43,22 @@ export const Tab = GObject.registerClass({
             box.add_child(icon);
         }
 
+        // Pin icon, shown while the tab is pinned
+        this._pinIcon = new St.Icon({
+            icon_name: 'view-pin-symbolic',
+            style_class: 'zone-tab-pin-icon',
+            icon_size: this._config.closeButtonSize ?? 12,
+            visible: false,
+        });
+        box.add_child(this._pinIcon);
+
         // Title Label
         const label = new St.Label({
             text: this.getTabTitle(),
             y_align: Clutter.ActorAlign.CENTER,
             style_class: 'zone-tab-label',
         });
+        this._label = label;
         // Apply font size from config
         label.style = `font-size: ${this._config.fontSize ?? 10}pt;`;        
         label.clutter_text.set_ellipsize(Pango.EllipsizeMode.END);
@@ -67,6 +82,8 @@ export const Tab = GObject.registerClass({
             }
         });
         box.add_child(closeButton);
+        this._closeButton = closeButton;
+        this._updatePinned();
 
         // Connect to window title changes to update the tab
         try {
@@ -84,8 +101,79 @@ export const Tab = GObject.registerClass({
         }
     }
 
+    /**
+     * Show or hide the tab's context menu.
+     * @param {function(PopupMenu.PopupMenu): void} fillMenu - Adds the items;
+     *   called each time the menu opens
+     */
+    toggleMenu(fillMenu) {
+        if (this._destroyed) return;
+        if (!this._menu) {
+            this._menu = new PopupMenu.PopupMenu(this, 0.5, St.Side.TOP);
+            Main.uiGroup.add_child(this._menu.actor);
+            this._menu.actor.hide();
+            this._menuManager = new PopupMenu.PopupMenuManager(this);
+            this._menuManager.addMenu(this._menu);
+        }
+        if (!this._menu.isOpen) {
+            this._menu.removeAll();
+            fillMenu(this._menu);
+        }
+        this._menu.toggle();
+    }
+
+    // Pinned tabs and custom titles are kept on the window, like its zone,
+    // so they follow it into other zones and survive config reloads.
+
+    get isPinned() {
+        return !!this.window?._tilingPinned;
+    }
+
+    /**
+     * Pinned tabs come first in the bar and have no close button.
+     * The bar has to be re-sorted afterwards.
+     * @param {boolean} pinned
+     */
+    setPinned(pinned) {
+        if (this._destroyed) return;
+        if (pinned)
+            this.window._tilingPinned = true;
+        else
+            delete this.window._tilingPinned;
+        this._updatePinned();
+    }
+
+    _updatePinned() {
+        const pinned = this.isPinned;
+        this._pinIcon.visible = pinned;
+        this._closeButton.visible = !pinned;
+        if (pinned)
+            this.add_style_class_name('zone-tab-pinned');
+        else
+            this.remove_style_class_name('zone-tab-pinned');
+    }
+
+    /** @type {string|null} Title set with "Rename Tab", or null */
+    get customTitle() {
+        return this.window?._tilingTabTitle ?? null;
+    }
+
+    /**
+     * Show `title` instead of the configured title source.
+     * @param {string|null} title - Empty or null goes back to the default
+     */
+    setCustomTitle(title) {
+        if (this._destroyed) return;
+        if (title)
+            this.window._tilingTabTitle = title;
+        else
+            delete this.window._tilingTabTitle;
+        this._label.set_text(this.getTabTitle());
+    }
+
     getTabTitle() {
         try {
+            if (this.customTitle) return this.customTitle;
             const source = this._config.titleSource ?? 'windowTitle';
             if (source === 'appName' && this.app) return this.app.get_name();
             if (source === 'wmClass') return this.window.get_wm_class() ?? '';
@@ -145,6 +233,13 @@ export const Tab = GObject.registerClass({
             logError(e, 'TabbedTiling: Error in Tab.destroy');
         }
         this._titleChangedId = 0;
+        try {
+            this._menu?.destroy();
+        } catch (e) {
+            logError(e, 'TabbedTiling: Error destroying tab menu');
+        }
+        this._menu = null;
+        this._menuManager = null;
         this.window = null;
         this.app = null;
 
@@ -26,7 +26,10 @@ export const TabBar = GObject.registerClass({
         'tab-removed': { param_types: [GObject.TYPE_OBJECT] }, // Meta.Window
         'split-clicked': { param_types: [GObject.TYPE_STRING] }, // direction
         'merge-clicked': {},
-        'tab-moved':   { param_types: [GObject.TYPE_OBJECT] }, // Custom object
+        'tab-drag-begin': { param_types: [GObject.TYPE_OBJECT] }, // Meta.Window
+        'tab-moved':   { param_types: [GObject.TYPE_OBJECT] }, // Meta.Window (dropped at pointer)
+        'tabs-reordered': {}, // manual order changed by dragging inside the bar
+        'tab-menu-requested': { param_types: [GObject.TYPE_OBJECT] }, // Meta.Window (right-clicked)
     },
 }, class TabBar extends St.BoxLayout {
     _init(tabBarConfig) {
@@ -42,6 +45,9 @@ export const TabBar = GObject.registerClass({
         this._config = tabBarConfig;
         this._tabs = new Map();
         this._windowTracker = Shell.WindowTracker.get_default();
+        // Pending/active tab drag: { tab, window, startX, startY, dragging }
+        this._drag = null;
+        this._dragGrab = null;
 
         // Settings-driven colors (with sensible fallbacks)
         this._activeBgColor = String(this._config.activeBgColor ?? 'rgba(0, 110, 200, 0.8)');
@@ -175,17 +181,27 @@ export const TabBar = GObject.registerClass({
                     logError(e, 'TabbedTiling: Error emitting tab-removed');
                 }
             });
-            tab.connect('button-press-event', (_actor, _event) => {
+            tab.connect('button-press-event', (_actor, event) => {
                 try {
+                    // Right-click opens the tab's menu without activating it;
+                    // WindowManager fills it with the current zones
+                    if (event.get_button() === Clutter.BUTTON_SECONDARY) {
+                        this.emit('tab-menu-requested', window);
+                        return Clutter.EVENT_STOP;
+                    }
                     // Instantly reflect intended focus so the clicked tab turns yellow right away.
                     // The real focus signal may arrive a bit later from Mutter.
                     this.reflectGlobalFocus(window);
                     this.emit('tab-clicked', window);
+                    if (event.get_button() === Clutter.BUTTON_PRIMARY)
+                        this._beginPotentialDrag(tab, window, event);
                 } catch (e) {
                     logError(e, 'TabbedTiling: Error in tab button-press-event');
                 }
                 return Clutter.EVENT_STOP;
             });
+            tab.connect('motion-event', (_actor, event) => this._onDragMotion(tab, event));
+            tab.connect('button-release-event', (_actor, event) => this._onDragRelease(tab, event));
 
             this._tabs.set(window, tab);
             this._tabContainer.add_child(tab);
@@ -196,6 +212,107 @@ export const TabBar = GObject.registerClass({
         }
     }
 
+    /* ------------------------------- tab dragging ------------------------------- */
+
+    /**
+     * Grab the pointer on a primary-button press so we keep receiving motion
+     * even when it leaves the tab. The drag only starts once the pointer moves
+     * past the system drag threshold; a plain click never emits drag signals.
+     */
+    _beginPotentialDrag(tab, window, event) {
+        this._endDrag();
+        const [x, y] = event.get_coords();
+        this._drag = { tab, window, startX: x, startY: y, dragging: false, announced: false };
+        try {
+            this._dragGrab = global.stage.grab(tab);
+        } catch (e) {
+            logError(e, 'TabbedTiling: Failed to grab pointer for tab drag');
+            this._dragGrab = null;
+        }
+    }
+
+    _onDragMotion(tab, event) {
+        const drag = this._drag;
+        if (!drag || drag.tab !== tab) return Clutter.EVENT_PROPAGATE;
+        try {
+            if (!drag.dragging) {
+                const [x, y] = event.get_coords();
+                const threshold = St.Settings.get().drag_threshold;
+                if (Math.abs(x - drag.startX) < threshold && Math.abs(y - drag.startY) < threshold)
+                    return Clutter.EVENT_STOP;
+                drag.dragging = true;
+                tab.opacity = 128;
+            }
+            const reordering = this._isManualOrder() && this._containsStagePoint(...event.get_coords());
+            // A reorder within the bar isn't a move to another zone; announce
+            // the drag (and its drop target highlight) once the tab leaves
+            if (!drag.announced && !reordering) {
+                drag.announced = true;
+                this.emit('tab-drag-begin', drag.window);
+            }
+            if (reordering)
+                this._moveTabToPointer(tab, event.get_coords()[0]);
+        } catch (e) {
+            logError(e, 'TabbedTiling: Error in TabBar._onDragMotion');
+        }
+        return Clutter.EVENT_STOP;
+    }
+
+    _onDragRelease(tab, event) {
+        const drag = this._drag;
+        if (!drag || drag.tab !== tab) return Clutter.EVENT_PROPAGATE;
+        const { window, dragging } = drag;
+        // Release the grab before emitting: the receiver may move the window
+        // to another zone, which destroys this tab.
+        this._endDrag();
+        if (dragging) {
+            try {
+                // Dropped back onto our own bar in manual mode: the tab was
+                // already moved live during the drag, just report the order.
+                if (this._isManualOrder() && this._containsStagePoint(...event.get_coords()))
+                    this.emit('tabs-reordered');
+                else
+                    this.emit('tab-moved', window);
+            } catch (e) {
+                logError(e, 'TabbedTiling: Error emitting tab drop signal');
+            }
+        }
+        return Clutter.EVENT_STOP;
+    }
+
+    _isManualOrder() {
+        return this._config.sortingCriteria === 'manual';
+    }
+
+    _containsStagePoint(x, y) {
+        const [ok, lx, ly] = this.transform_stage_point(x, y);
+        return ok && lx >= 0 && ly >= 0 && lx < this.width && ly < this.height;
+    }
+
+    _moveTabToPointer(tab, stageX) {
+        const [ok, lx] = this._tabContainer.transform_stage_point(stageX, 0);
+        if (!ok) return;
+        const others = this._tabContainer.get_children().filter(c => c !== tab);
+        const index = others.filter(c => c.x + c.width / 2 < lx).length;
+        if (this._tabContainer.get_children().indexOf(tab) === index) return;
+        this._tabContainer.set_child_at_index(tab, index);
+        this._updateGroupStyles();
+    }
+
+    _endDrag() {
+        if (this._dragGrab) {
+            try { this._dragGrab.dismiss(); } catch (e) { /* already dismissed */ }
+            this._dragGrab = null;
+        }
+        if (this._drag) {
+            const { tab } = this._drag;
+            if (tab && !tab._destroyed) tab.opacity = 255;
+            this._drag = null;
+        }
+    }
+
+    /* ----------------------------------------------------------------------------- */
+
     removeTab(window) {
         try {
             const title = (() => { try { return window.get_title(); } catch(e) { return '<destroyed>'; } })();
@@ -205,6 +322,7 @@ export const TabBar = GObject.registerClass({
             
             if (this._tabs.has(window)) {
                 const tab = this._tabs.get(window);
+                if (this._drag?.tab === tab) this._endDrag();
                 log(`removeTab: Found tab, removing from container and destroying`);
                 this._tabContainer.remove_child(tab);
                 tab.destroy();
@@ -268,13 +386,41 @@ export const TabBar = GObject.registerClass({
         }
     }
 
+    /**
+     * Apply a manual tab order. `keys` are window stable sequences, first to
+     * last; tabs whose window is not listed keep their relative order and go
+     * after the listed ones. Ignored unless sortingCriteria is 'manual'.
+     */
+    setManualOrder(keys) {
+        if (this._destroyed || !this._isManualOrder()) return;
+        try {
+            const rank = new Map(keys.map((key, i) => [key, i]));
+            const tabs = this._tabContainer.get_children();
+            const keyOf = tab => {
+                try { return tab.window.get_stable_sequence(); } catch (e) { return -1; }
+            };
+            const ordered = tabs
+                .map((tab, i) => ({ tab, r: rank.get(keyOf(tab)) ?? keys.length + i }))
+                .sort((a, b) => a.r - b.r);
+            ordered.forEach(({ tab }, index) => this._tabContainer.set_child_at_index(tab, index));
+            this._movePinnedFirst();
+            this._updateGroupStyles();
+        } catch (e) {
+            logError(e, 'TabbedTiling: Error in TabBar.setManualOrder');
+        }
+    }
+
     reorderTabs(zoneName = 'Unknown') {
         if (this._destroyed) return;
         try {
             const tabs = this._tabContainer.get_children();
 
-            if (tabs.length < 2) {
+            // Manual order: new tabs are appended and never re-sorted, so the
+            // user's arrangement survives title changes.
+            if (tabs.length < 2 || this._isManualOrder()) {
+                this._movePinnedFirst();
                 this._updateGroupStyles();
+                this._updateTabSizes();
                 return;
             }
 
@@ -282,6 +428,9 @@ export const TabBar = GObject.registerClass({
 
             tabs.sort((a, b) => {
                 try {
+                    // Pinned tabs come first whatever the sort order
+                    if (a.isPinned !== b.isPinned) return a.isPinned ? -1 : 1;
+
                     const groupA = a.getGroupSortKey()?.toLowerCase() ?? '';
                     const groupB = b.getGroupSortKey()?.toLowerCase() ?? '';
 
@@ -320,6 +469,13 @@ export const TabBar = GObject.registerClass({
         return this._tabContainer.get_children();
     }
 
+    // Pinned tabs go in front of the others, keeping their relative order
+    _movePinnedFirst() {
+        this._tabContainer.get_children()
+            .filter(tab => tab.isPinned)
+            .forEach((tab, index) => this._tabContainer.set_child_at_index(tab, index));
+    }
+
     _updateTabSizes() {
         try {
             const children = this._tabContainer.get_children();
@@ -429,6 +585,7 @@ export const TabBar = GObject.registerClass({
     destroy() {
         if (this._destroyed) return;
         this._destroyed = true;
+        this._endDrag();
         try {
             this._tabs.forEach(tab => {
                 if (tab && !tab._destroyed) {
@@ -0,0 +1,116 @@
+// modules/TabMenu.js
+// Items of a tab's right-click menu. WindowManager fills the menu each time
+// it opens, so the zones and monitors it offers are always the current ones.
+import St from 'gi://St';
+import Clutter from 'gi://Clutter';
+import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
+import * as ModalDialog from 'resource:///org/gnome/shell/ui/modalDialog.js';
+import * as Dialog from 'resource:///org/gnome/shell/ui/dialog.js';
+
+const log = msg => console.log(`[TabbedTiling.TabMenu] ${msg}`);
+
+function closeWindows(windows) {
+    for (const window of windows) {
+        try {
+            window.delete(global.get_current_time());
+        } catch (e) {
+            logError(e, 'TabbedTiling: Error closing window from tab menu');
+        }
+    }
+}
+
+// Submenu of move targets; the current one is checked and can't be picked
+function addTargetSubMenu(menu, title, targets, onSelected) {
+    const subMenu = new PopupMenu.PopupSubMenuMenuItem(title);
+    for (const { label, current, value } of targets) {
+        const item = subMenu.menu.addAction(label, () => onSelected(value));
+        item.setOrnament(current ? PopupMenu.Ornament.CHECK : PopupMenu.Ornament.NONE);
+        item.setSensitive(!current);
+    }
+    subMenu.setSensitive(targets.some(t => !t.current));
+    menu.addMenuItem(subMenu);
+}
+
+/**
+ * Ask for a new tab title. An empty title (or Reset) goes back to the
+ * configured title source.
+ * @param {Tab} tab
+ */
+function showRenameDialog(tab) {
+    const dialog = new ModalDialog.ModalDialog();
+    const content = new Dialog.MessageDialogContent({
+        title: 'Rename Tab',
+        description: 'The title is kept while the window is open.',
+    });
+    const entry = new St.Entry({
+        text: tab.customTitle ?? tab.getTabTitle(),
+        hint_text: 'Tab title',
+        can_focus: true,
+        x_expand: true,
+    });
+    content.add_child(entry);
+    dialog.contentLayout.add_child(content);
+
+    const apply = title => {
+        tab.setCustomTitle(title?.trim() || null);
+        dialog.close();
+    };
+    entry.clutter_text.connect('activate', () => apply(entry.get_text()));
+    dialog.setButtons([
+        { label: 'Cancel', action: () => dialog.close(), key: Clutter.KEY_Escape },
+        { label: 'Reset', action: () => apply(null) },
+        { label: 'Rename', action: () => apply(entry.get_text()), default: true },
+    ]);
+    dialog.setInitialKeyFocus(entry);
+    dialog.open();
+    entry.clutter_text.set_selection(0, -1);
+}
+
+/**
+ * Add the items of a tab's context menu.
+ * @param {PopupMenu.PopupMenu} menu - Emptied by the caller
+ * @param {object} params
+ * @param {Tab} params.tab - The right-clicked tab
+ * @param {Zone} params.zone - Leaf zone the tab is in
+ * @param {Zone[]} params.leafZones - Zones of the window's workspace
+ * @param {Array<{index: number, label: string}>} params.monitors - Connected monitors
+ * @param {object} params.actions - Window operations done by WindowManager
+ * @param {function(Zone): void} params.actions.moveToZone
+ * @param {function(number): void} params.actions.moveToMonitor - Takes a monitor index
+ * @param {function(): void} params.actions.float
+ */
+export function fillTabMenu(menu, { tab, zone, leafZones, monitors, actions }) {
+    const window = tab.window;
+
+    menu.addAction('Close', () => closeWindows([window]));
+    const groupId = tab.getGroupingId();
+    const others = zone.getTabs().filter(t => t !== tab && t.getGroupingId() === groupId);
+    const closeOthers = menu.addAction('Close Others in Group',
+        () => closeWindows(others.map(t => t.window)));
+    closeOthers.setSensitive(others.length > 0);
+
+    menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+
+    addTargetSubMenu(menu, 'Move to Zone', leafZones.map(target => ({
+        label: target.name,
+        current: target === zone,
+        value: target,
+    })), actions.moveToZone);
+    addTargetSubMenu(menu, 'Move to Monitor', monitors.map(({ index, label }) => ({
+        label,
+        current: index === zone.monitorIndex,
+        value: index,
+    })), actions.moveToMonitor);
+    menu.addAction('Float Window', actions.float);
+
+    menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+
+    const pinned = tab.isPinned;
+    menu.addAction(pinned ? 'Unpin Tab' : 'Pin Tab', () => zone.setTabPinned(window, !pinned));
+    menu.addAction('Rename Tab…', () => showRenameDialog(tab));
+    menu.addAction('Copy Window Title', () => {
+        const title = (() => { try { return window.get_title() ?? ''; } catch (e) { return ''; } })();
+        St.Clipboard.get_default().set_text(St.ClipboardType.CLIPBOARD, title);
+        log('Copied the window title to the clipboard');
+    });
+}
@@ -0,0 +1,103 @@
+// modules/TabSwitcherPopup.js — Alt-Tab-like popup for cycling a zone's tabs
+// Shown while the modifier of the cycle keybinding is held; releasing it
+// activates the selected tab. The modal grab, modifier tracking and fading
+// come from the Shell's SwitcherPopup.
+import St from 'gi://St';
+import GObject from 'gi://GObject';
+import Clutter from 'gi://Clutter';
+import Pango from 'gi://Pango';
+
+import * as SwitcherPopup from 'resource:///org/gnome/shell/ui/switcherPopup.js';
+
+const ICON_SIZE = 48;
+
+const TabSwitcherList = GObject.registerClass(
+class TabSwitcherList extends SwitcherPopup.SwitcherList {
+    _init(windows, windowTracker) {
+        super._init(false);
+
+        for (const window of windows) {
+            const box = new St.BoxLayout({
+                orientation: Clutter.Orientation.VERTICAL,
+                style_class: 'tab-switcher-item',
+            });
+
+            const app = windowTracker.get_window_app(window);
+            const icon = app
+                ? app.create_icon_texture(ICON_SIZE)
+                : new St.Icon({ icon_name: 'application-x-executable', icon_size: ICON_SIZE });
+            icon.x_align = Clutter.ActorAlign.CENTER;
+            box.add_child(icon);
+
+            const title = (() => { try { return window.get_title() || ''; } catch (e) { return ''; } })();
+            const label = new St.Label({
+                text: title,
+                style_class: 'tab-switcher-label',
+                x_align: Clutter.ActorAlign.CENTER,
+            });
+            label.clutter_text.ellipsize = Pango.EllipsizeMode.END;
+            box.add_child(label);
+
+            this.addItem(box, label);
+        }
+    }
+});
+
+export const TabSwitcherPopup = GObject.registerClass(
+class TabSwitcherPopup extends SwitcherPopup.SwitcherPopup {
+    /**
+     * @param {Zone} zone - Zone whose tabs are listed
+     * @param {Meta.Window[]} windows - Tabs in cycling order (Zone.getCycleOrder)
+     * @param {object} options
+     * @param {boolean} options.wrap - Whether stepping past either end wraps
+     * @param {number} options.initialIndex - Item selected when the popup opens
+     * @param {number} options.forwardAction - Keybinding action id of "next tab"
+     * @param {number} options.backwardAction - Keybinding action id of "previous tab"
+     * @param {Shell.WindowTracker} options.windowTracker
+     */
+    _init(zone, windows, { wrap, initialIndex, forwardAction, backwardAction, windowTracker }) {
+        super._init(windows);
+
+        this._zone = zone;
+        this._wrap = wrap;
+        this._initialIndex = initialIndex;
+        this._forwardAction = forwardAction;
+        this._backwardAction = backwardAction;
+        this._switcherList = new TabSwitcherList(windows, windowTracker);
+    }
+
+    _initialSelection(_backward, _binding) {
+        this._select(this._initialIndex);
+    }
+
+    _next() {
+        if (this._wrap) return super._next();
+        return Math.min(this._selectedIndex + 1, this._items.length - 1);
+    }
+
+    _previous() {
+        if (this._wrap) return super._previous();
+        return Math.max(this._selectedIndex - 1, 0);
+    }
+
+    _keyPressHandler(keysym, action) {
+        if (action === this._forwardAction || keysym === Clutter.KEY_Right)
+            this._select(this._next());
+        else if (action === this._backwardAction || keysym === Clutter.KEY_Left)
+            this._select(this._previous());
+        else
+            return Clutter.EVENT_PROPAGATE;
+        return Clutter.EVENT_STOP;
+    }
+
+    _finish(timestamp) {
+        const window = this._items[this._selectedIndex];
+        try {
+            if (window && this._zone.containsWindow(window))
+                this._zone.activateWindow(window);
+        } catch (e) {
+            logError(e, 'TabbedTiling: Error activating tab from switcher');
+        }
+        super._finish(timestamp);
+    }
+});
@@ -6,16 +6,35 @@ import Gio from 'gi://Gio';
 import Mtk from 'gi://Mtk';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import Clutter from 'gi://Clutter';
+import { EventEmitter } from 'resource:///org/gnome/shell/misc/signals.js';
 
 import { Zone } from './Zone.js';
+import { findMatchingRule, describeRuleTarget } from './PlacementRules.js';
+import { SessionStore } from './SessionStore.js';
+import { TabSwitcherPopup } from './TabSwitcherPopup.js';
+import { fillTabMenu } from './TabMenu.js';
+import { getMonitorFingerprint, matchFingerprint, describeFingerprint } from './MonitorFingerprint.js';
+import { getMonitorIdentities } from './MonitorIdentity.js';
 
 const log = (msg) => console.log(`[TabbedTiling.WindowManager] ${msg}`);
-
-export class WindowManager {
+// How long after enable() newly created windows are matched against the saved
+// session (apps restored at login open their windows one by one).
+const SESSION_RESTORE_WINDOW_US = 60 * GLib.USEC_PER_SEC;
+const SESSION_SAVE_DELAY_MS = 1000;
+
+// Signals:
+//   zone-changed (zoneName, reason) — reason is 'windows', 'order' or 'layout'
+//   monitor-profile-selected (profileName) — the connected monitors changed
+//     and their linked profile was made active
+export class WindowManager extends EventEmitter {
     constructor(configManager, highlighter, profileManager = null) {
+        super();
         this._configManager = configManager;
         this._highlighter = highlighter;
         this._profileManager = profileManager;
+        // Every workspace has its own zone trees: Meta.Workspace →
+        // { profile, zones }. `_zones` is the active workspace's set.
+        this._zoneSets = new Map();
         this._zones = [];
         this._signalConnections = [];
         this._windowTracker = Shell.WindowTracker.get_default();
@@ -25,6 +44,24 @@ export class WindowManager {
         // Hover polling while dragging (since MetaDisplay lacks grab-op-motion)
         this._tabBarsToggledBack = true; // Start with tab bars in the background
         this._dragHoverTimerId = 0;
+        // Window whose tab is being dragged out of a tab bar (null otherwise)
+        this._tabDragWindow = null;
+        // Manual tab order (sortingCriteria 'manual') as window stable
+        // sequences. Kept here so it outlives zones across reloadConfiguration().
+        this._manualTabOrder = [];
+        // Windows taken out of tiling by hand → name of the zone they left
+        // (null if they weren't tiled). Reloads and re-snaps skip them until
+        // they are re-tiled; kept here so they outlive zones, and in the
+        // session store so they outlive a screen lock.
+        this._floatingWindows = new Map();
+        // Debounce source for publishing the open-window snapshot to prefs
+        this._windowSnapshotId = 0;
+        // Debounce source for re-fitting zones after the work area changed
+        this._workAreaChangedId = 0;
+        // Window → zone/tab assignments persisted across Shell restarts
+        this._sessionStore = new SessionStore();
+        this._sessionSaveId = 0;
+        this._sessionRestoreDeadline = 0;
         // Fix 2: Track all pending GLib source IDs for safe cleanup
         this._pendingSourceIds = new Set();
         // Fix 8: Disabled guard to prevent callbacks from running after disable()
@@ -71,23 +108,73 @@ export class WindowManager {
         }
     }
 
-    cycleTabNextInFocusedZone() {
+    cycleTabNextInFocusedZone(binding = null) {
+        this._cycleTabInFocusedZone(false, binding);
+    }
+
+    cycleTabPreviousInFocusedZone(binding = null) {
+        this._cycleTabInFocusedZone(true, binding);
+    }
+
+    /**
+     * Keybinding action ids of cycle-next-tab / cycle-prev-tab, so the
+     * switcher popup can recognise repeated presses while it is open.
+     */
+    setCycleKeybindingActions(forwardAction, backwardAction) {
+        this._cycleActions = { forwardAction, backwardAction };
+    }
+
+    _cycleTabInFocusedZone(backward, binding) {
+        const focusedWindow = global.display.get_focus_window();
+        if (!focusedWindow) return;
+
+        const zone = this._findZoneForWindow(focusedWindow);
+        if (!zone) return;
+
+        const tabBarConfig = this._configManager.getConfig().tabBar ?? {};
+        const mode = tabBarConfig.cyclingMode ?? 'linear';
+        const mask = binding?.get_mask?.() ?? 0;
+
+        // The popup needs a held modifier to know when to close
+        if ((tabBarConfig.cyclingPopup ?? true) && mask !== 0) {
+            const target = zone.getCycleTarget(mode, backward);
+            if (!target) return;
+            const windows = zone.getCycleOrder(mode);
+            const popup = new TabSwitcherPopup(zone, windows, {
+                wrap: mode !== 'linear',
+                initialIndex: windows.indexOf(target),
+                forwardAction: this._cycleActions?.forwardAction ?? -1,
+                backwardAction: this._cycleActions?.backwardAction ?? -1,
+                windowTracker: this._windowTracker,
+            });
+            if (!popup.show(backward, binding.get_name(), mask))
+                popup.destroy();
+            return;
+        }
+
+        if (backward)
+            zone.cycleTabPrevious(mode);
+        else
+            zone.cycleTabNext(mode);
+    }
+
+    activateTabInFocusedZone(number) {
         const focusedWindow = global.display.get_focus_window();
         if (!focusedWindow) return;
 
         const zone = this._findZoneForWindow(focusedWindow);
         if (zone) {
-            zone.cycleTabNext();
+            zone.activateTabAt(number - 1);
         }
     }
 
-    cycleTabPreviousInFocusedZone() {
+    activateLastUsedTabInFocusedZone() {
         const focusedWindow = global.display.get_focus_window();
         if (!focusedWindow) return;
 
         const zone = this._findZoneForWindow(focusedWindow);
         if (zone) {
-            zone.cycleTabPrevious();
+            zone.activateLastUsedTab();
         }
     }
 
@@ -104,17 +191,307 @@ export class WindowManager {
             }
         };
 
-        this._zones.forEach(applyToAll);
+        this._allZones().forEach(applyToAll);
+    }
+
+    /**
+     * Move the focused window into the nearest zone in a direction.
+     * @param {'left'|'right'|'up'|'down'} direction
+     */
+    moveFocusedWindowToNeighbour(direction) {
+        const window = global.display.get_focus_window();
+        if (!window || !this._isSnappable(window)) return;
+
+        const fromZone = this._findZoneForWindow(window) ?? this._findBestZoneForWindow(window);
+        if (!fromZone) return;
+        const target = this._findNeighbourZone(fromZone, direction);
+        if (!target) return;
+        log(`Moving focused window ${direction} from "${fromZone.name}" to "${target.name}"`);
+        target.snapWindow(window);
+    }
+
+    /**
+     * Activate the selected tab of the nearest zone in a direction.
+     * @param {'left'|'right'|'up'|'down'} direction
+     */
+    focusNeighbourZone(direction) {
+        const window = global.display.get_focus_window();
+        const fromZone = window &&
+            (this._findZoneForWindow(window) ?? this._findBestZoneForWindow(window));
+        if (!fromZone) return;
+
+        // Skip over empty zones so the key always lands on a window
+        let target = this._findNeighbourZone(fromZone, direction);
+        while (target && target.getTabs().length === 0)
+            target = this._findNeighbourZone(target, direction);
+        if (!target) return;
+
+        const next = target.getActiveWindow() ?? target.getTabs()[0]?.window;
+        if (next) target.activateWindow(next);
+    }
+
+    /**
+     * Move the focused window into the Nth leaf zone (1-based, profile order).
+     * @param {number} number
+     */
+    sendFocusedWindowToZone(number) {
+        const window = global.display.get_focus_window();
+        if (!window || !this._isSnappable(window)) return;
+
+        const target = this._zones.flatMap(zone => zone.getAllLeafZones())[number - 1];
+        if (!target) {
+            log(`No zone ${number} to send the window to`);
+            return;
+        }
+        target.snapWindow(window);
+    }
+
+    toggleFocusedWindowFloating() {
+        const window = global.display.get_focus_window();
+        if (!window || !this._isSnappable(window)) return;
+        if (this._findZoneForWindow(window))
+            this.floatWindow(window);
+        else
+            this.retileWindow(window);
+    }
+
+    /**
+     * Take a window out of its zone and keep it out. It stays where it is at
+     * its current size until re-tiled.
+     * @param {Meta.Window} window
+     * @returns {boolean}
+     */
+    floatWindow(window) {
+        if (!this._isWindowValid(window)) return false;
+        const zone = this._findZoneForWindow(window);
+        this._floatingWindows.set(window, zone?.name ?? null);
+        this._scheduleSessionSave();
+        if (!zone) return true;
+
+        const title = (() => { try { return window.get_title(); } catch(e) { return '<destroyed>'; } })();
+        log(`Floating window "${title}" from zone "${zone.name}"`);
+        zone.unsnapWindow(window);
+        // The zone activates its next tab on idle, which would cover the window
+        this._safeIdleAdd(GLib.PRIORITY_DEFAULT_IDLE, () => {
+            if (this._isWindowValid(window))
+                Main.activateWindow(window);
+            return GLib.SOURCE_REMOVE;
+        });
+        return true;
+    }
+
+    /**
+     * Put a window back into the zone it was floated from, or else the zone
+     * under its centre.
+     * @param {Meta.Window} window
+     * @returns {boolean}
+     */
+    retileWindow(window) {
+        if (!this._isWindowValid(window) || !this._isSnappable(window)) return false;
+        const previous = this._floatingWindows.get(window);
+        this._floatingWindows.delete(window);
+        this._scheduleSessionSave();
+
+        const zones = this._getZonesForWindow(window);
+        const zone = (previous && this._findLeafZoneByName(previous, zones)) ??
+            this._findBestZoneForWindow(window, zones);
+        if (!zone) {
+            log('No zone to re-tile the window into');
+            return false;
+        }
+        zone.snapWindow(window);
+        return true;
+    }
+
+    isWindowFloating(window) {
+        return this._floatingWindows.has(window);
+    }
+
+    /**
+     * Move a window into the primary zone of a monitor (else its first
+     * zone). On a monitor without zones the window is floated and moved
+     * there, so reloads don't tile it again.
+     * @param {Meta.Window} window
+     * @param {number} monitorIndex
+     * @returns {boolean}
+     */
+    moveWindowToMonitor(window, monitorIndex) {
+        if (!this._isWindowValid(window) || !this._isSnappable(window)) return false;
+        const leaves = this._getZonesForWindow(window)
+            .filter(zone => zone.monitorIndex === monitorIndex)
+            .sort((a, b) => !!b.isPrimary - !!a.isPrimary)
+            .flatMap(zone => zone.getAllLeafZones());
+        if (leaves.length > 0) {
+            leaves[0].snapWindow(window);
+            return true;
+        }
+        log(`No zones on monitor ${monitorIndex}, moving the window there untiled`);
+        const previousZone = this._findZoneForWindow(window);
+        this._floatingWindows.set(window, previousZone?.name ?? null);
+        this._scheduleSessionSave();
+        previousZone?.unsnapWindow(window);
+        window.move_to_monitor(monitorIndex);
+        return true;
+    }
+
+    // Right-click menu of a tab, filled from the zones of the window's
+    // workspace as they are now
+    _toggleTabMenu(leaf, window) {
+        const tab = leaf.getTabs().find(t => t.window === window);
+        if (!tab) return;
+        // Moving the window destroys its tab and the menu with it; wait
+        // until the menu has finished handling the click
+        const later = action => this._safeIdleAdd(GLib.PRIORITY_DEFAULT_IDLE, () => {
+            if (this._isWindowValid(window)) action();
+            return GLib.SOURCE_REMOVE;
+        });
+        tab.toggleMenu(menu => fillTabMenu(menu, {
+            tab,
+            zone: leaf,
+            leafZones: this._getZonesForWindow(window).flatMap(zone => zone.getAllLeafZones()),
+            monitors: getMonitorIdentities().map(({ index, connectors }) => ({
+                index,
+                label: connectors.length > 0 ? `Monitor ${index} (${connectors.join(', ')})` : `Monitor ${index}`,
+            })),
+            actions: {
+                moveToZone: target => later(() => target.snapWindow(window)),
+                moveToMonitor: index => later(() => this.moveWindowToMonitor(window, index)),
+                float: () => later(() => this.floatWindow(window)),
+            },
+        }));
+    }
+
+    // Nearest leaf zone whose centre lies in `direction` from `zone`. Zones
+    // overlapping on the other axis (true neighbours) win over diagonal ones.
+    // Rects are in stage coordinates, so this also crosses monitors.
+    _findNeighbourZone(zone, direction) {
+        const from = zone.rect;
+        if (!from) return null;
+        const fromX = from.x + from.width / 2;
+        const fromY = from.y + from.height / 2;
+        const horizontal = direction === 'left' || direction === 'right';
+
+        let best = { zone: null, score: Infinity };
+        for (const other of this._zones.flatMap(z => z.getAllLeafZones())) {
+            const rect = other.rect;
+            if (other === zone || !rect) continue;
+            const dx = rect.x + rect.width / 2 - fromX;
+            const dy = rect.y + rect.height / 2 - fromY;
+            const along = { left: -dx, right: dx, up: -dy, down: dy }[direction];
+            if (!(along > 0)) continue;
+
+            const overlaps = horizontal
+                ? rect.y < from.y + from.height && rect.y + rect.height > from.y
+                : rect.x < from.x + from.width && rect.x + rect.width > from.x;
+            const across = horizontal ? Math.abs(dy) : Math.abs(dx);
+            const score = (overlaps ? 0 : 1e6) + along + across;
+            if (score < best.score) best = { zone: other, score };
+        }
+        return best.zone;
+    }
+
+    // -----------------------------------------------------------------------
+    // Scripting API (used by DBusService). Windows are addressed by their
+    // stable sequence number, zones by name.
+    // -----------------------------------------------------------------------
+
+    describeZones() {
+        const describe = zone => {
+            const data = {
+                name: zone.name,
+                monitorIndex: zone.monitorIndex,
+                x: zone.x,
+                y: zone.y,
+                width: zone.width,
+                height: zone.height,
+                isPrimary: !!zone.isPrimary,
+                splitDirection: zone.splitDirection ?? 'none',
+            };
+            if (zone.childZones.length > 0) {
+                data.childZones = zone.childZones.map(describe);
+                return data;
+            }
+            const active = zone.getActiveWindow();
+            data.tabs = zone.getTabs().map(tab => {
+                const props = this._getWindowRuleProps(tab.window);
+                return {
+                    id: tab.window.get_stable_sequence(),
+                    title: props.title,
+                    wmClass: props.wmClass,
+                    appId: props.appId,
+                    active: tab.window === active,
+                };
+            });
+            return data;
+        };
+        return this._zones.map(describe);
+    }
+
+    activateWindowById(windowId) {
+        const window = this._findWindowById(windowId);
+        const zone = window && this._findZoneForWindow(window);
+        if (!zone) return false;
+        zone.activateWindow(window);
+        return true;
+    }
+
+    // windowId 0 means the focused window
+    moveWindowToZone(windowId, zoneName) {
+        const window = windowId === 0
+            ? global.display.get_focus_window()
+            : this._findWindowById(windowId);
+        if (!window || !this._isSnappable(window)) return false;
+        const zone = this._findLeafZoneByName(zoneName, this._getZonesForWindow(window));
+        if (!zone) return false;
+        zone.snapWindow(window);
+        return true;
+    }
+
+    splitZone(zoneName, direction) {
+        const zone = this._findLeafZoneByName(zoneName);
+        if (!zone || zone.name !== zoneName || !['horizontal', 'vertical'].includes(direction))
+            return false;
+        zone.split(direction);
+        return true;
+    }
+
+    mergeZone(zoneName) {
+        const zone = this._findAnyZoneByName(zoneName);
+        const target = zone?.childZones.length > 0 ? zone : zone?.parentZone;
+        if (!target) return false;
+        target.merge();
+        return true;
+    }
+
+    _findWindowById(windowId) {
+        return global.get_window_actors()
+            .map(a => a.get_meta_window())
+            .find(w => w && w.get_stable_sequence() === windowId) ?? null;
+    }
+
+    _findAnyZoneByName(name) {
+        const search = zones => {
+            for (const zone of zones) {
+                if (zone.name === name) return zone;
+                const found = search(zone.childZones);
+                if (found) return found;
+            }
+            return null;
+        };
+        return search(this._zones);
     }
 
     _onFocusChanged() {
         const focused = global.display.get_focus_window();
-        this._zones.forEach(z => z.reflectGlobalFocus(focused));
+        this._allZones().forEach(z => z.reflectGlobalFocus(focused));
     }
 
     enable() {
         log("DEBUG: enable() called.");
         this._isDisabled = false;
+        this._sessionStore.load();
+        this._sessionRestoreDeadline = GLib.get_monotonic_time() + SESSION_RESTORE_WINDOW_US;
+        this._applyMonitorProfile();
         this.reloadConfiguration();
         this._connectSignals();
         this._updateAllZonesVisibility();
@@ -133,14 +510,20 @@ export class WindowManager {
             this._dbusCancellable.cancel();
             this._dbusCancellable = null;
         }
+        // Record the arrangement while the zones still exist (a pending
+        // debounced save is cancelled below)
+        if (this._sessionSaveId) this._saveSession();
         // Fix 2: Cancel all pending timer/idle sources before anything else
         this._pendingSourceIds.forEach(id => {
             try { GLib.source_remove(id); } catch (e) { /* already removed */ }
         });
         this._pendingSourceIds.clear();
+        this._windowSnapshotId = 0;
+        this._sessionSaveId = 0;
+        this._workAreaChangedId = 0;
         this._disconnectSignals();
-        this._zones.forEach(zone => zone.destroy());
-        this._zones = [];
+        this._destroyZoneSets();
+        this._floatingWindows.clear();
         this._highlighter.hideHoverHighlight();
     }
 
@@ -151,8 +534,7 @@ export class WindowManager {
     pause() {
         log("Pausing tiling...");
         this._disconnectSignals();
-        this._zones.forEach(zone => zone.destroy());
-        this._zones = [];
+        this._destroyZoneSets();
         this._highlighter.hideHoverHighlight();
         this._isPaused = true;
         log("Tiling paused.");
@@ -164,6 +546,7 @@ export class WindowManager {
     resume() {
         log("Resuming tiling...");
         this._isPaused = false;
+        this._applyMonitorProfile();
         this.reloadConfiguration();
         this._connectSignals();
         this._updateAllZonesVisibility();
@@ -180,29 +563,329 @@ export class WindowManager {
         log("DEBUG: reloadConfiguration() called.");
         const config = this._configManager.load();
 
-        this._zones.forEach(zone => zone.destroy());
+        this._destroyZoneSets();
+        // Re-read profiles from disk to pick up changes from prefs window
+        this._profileManager?.load();
+
+        const workspaceManager = global.workspace_manager;
+        for (let i = 0; i < workspaceManager.get_n_workspaces(); i++)
+            this._createZoneSet(workspaceManager.get_workspace_by_index(i), config);
+        this._zones = this._zoneSets.get(workspaceManager.get_active_workspace())?.zones ?? [];
+
+        log(`Loaded zones for ${this._zoneSets.size} workspaces (${this._zones.length} on the active one).`);
+        this._updateAllZonesVisibility();
+        this._snapExistingWindows();
+    }
+
+    /**
+     * Make the profile linked to the connected monitors active, if there is
+     * one. Called before reloading zones, not from reloadConfiguration()
+     * itself, so a profile picked by hand stays until the monitors change.
+     * The extension is re-enabled after every screen unlock, so the setup
+     * last checked is kept in the session store and an unchanged setup is
+     * left alone.
+     */
+    _applyMonitorProfile() {
+        if (!this._profileManager) return;
+        const fingerprint = getMonitorFingerprint();
+        if (matchFingerprint(this._sessionStore.monitorFingerprint, fingerprint) === 2) return;
+        this._sessionStore.monitorFingerprint = fingerprint;
+        this._sessionStore.save();
+
+        this._profileManager.load();
+        const name = this._profileManager.findProfileForFingerprint(fingerprint);
+        if (!name || name === this._profileManager.getActiveProfile()) return;
+        log(`Monitors (${describeFingerprint(fingerprint)}) are linked to profile "${name}", switching.`);
+        if (this._profileManager.setActiveProfile(name))
+            this.emit('monitor-profile-selected', name);
+    }
+
+    // -----------------------------------------------------------------------
+    // Workspaces. Each workspace gets its own zone trees, built from the
+    // profile mapped to its index or else the active profile. Windows are
+    // tiled in the set of the workspace they are on; only the active
+    // workspace's tab bars are shown.
+    // -----------------------------------------------------------------------
+
+    _allZones() {
+        return [...this._zoneSets.values()].flatMap(set => set.zones);
+    }
+
+    _destroyZoneSets() {
+        this._zoneSets.forEach(set => set.zones.forEach(zone => zone.destroy()));
+        this._zoneSets.clear();
         this._zones = [];
+    }
+
+    // Profile a workspace's zones come from; null without a profile manager
+    _getWorkspaceProfile(index) {
+        if (!this._profileManager) return null;
+        return this._profileManager.getWorkspaceProfile(index) ??
+            this._profileManager.getActiveProfile();
+    }
 
+    _createZoneSet(workspace, config = this._configManager.getConfig()) {
         // Get zones from ProfileManager if available, otherwise use config
-        let zonesToLoad;
-        if (this._profileManager) {
-            // Re-read profiles from disk to pick up changes from prefs window
-            this._profileManager.load();
-            const activeProfile = this._profileManager.getActiveProfile();
-            const profileConfig = this._profileManager.loadProfileConfig(activeProfile);
-            zonesToLoad = profileConfig.zones || [];
-            log(`Loading zones from profile: ${activeProfile}`);
-        } else {
-            zonesToLoad = config.zones || [];
+        const profile = this._getWorkspaceProfile(workspace.index());
+        const profileConfig = profile ? this._profileManager.loadProfileConfig(profile) : config;
+        const zonesToLoad = profileConfig.zones || [];
+        const profileDefaults = { clipToWorkArea: !!profileConfig.clipToWorkArea };
+        const isActive = workspace === global.workspace_manager.get_active_workspace();
+
+        const zones = zonesToLoad.map(zoneData => {
+            const zone = new Zone(zoneData, config.tabBar, this._windowTracker, null, profileDefaults);
+            this._connectZoneSignals(zone);
+            if (!isActive) zone.setWorkspaceActive(false);
+            return zone;
+        });
+        this._zoneSets.set(workspace, { profile, zones });
+        log(`Workspace ${workspace.index() + 1}: ${zones.length} zones from ${profile ? `profile "${profile}"` : 'config'}.`);
+        return zones;
+    }
+
+    // Replace a workspace's zones and re-tile the windows on it
+    _rebuildZoneSet(workspace) {
+        this._zoneSets.get(workspace)?.zones.forEach(zone => zone.destroy());
+        this._zoneSets.delete(workspace);
+        const zones = this._createZoneSet(workspace);
+        if (workspace === global.workspace_manager.get_active_workspace())
+            this._zones = zones;
+        this._snapExistingWindows(workspace);
+    }
+
+    // Zones of the workspace a window is on. Windows on all workspaces (and
+    // those without a workspace yet) use the active workspace's zones.
+    _getZonesForWindow(window) {
+        const workspace = (() => {
+            try { return window.is_on_all_workspaces() ? null : window.get_workspace(); } catch (e) { return null; }
+        })();
+        return this._zoneSets.get(workspace)?.zones ?? this._zones;
+    }
+
+    // Re-tile a window into another zone set: the zone with the same name,
+    // else the one under the window's centre. Without either it is untiled.
+    _moveWindowToZoneSet(window, zones) {
+        const current = this._findZoneForWindow(window);
+        const target = (current && this._findLeafZoneByName(current.name, zones)) ??
+            this._findBestZoneForWindow(window, zones);
+        if (target && target !== current)
+            target.snapWindow(window);
+        else if (!target)
+            current?.unsnapWindow(window);
+    }
+
+    _onActiveWorkspaceChanged() {
+        const active = global.workspace_manager.get_active_workspace();
+        if (!this._zoneSets.has(active)) this._createZoneSet(active);
+        this._zones = this._zoneSets.get(active).zones;
+        this._zoneSets.forEach((set, workspace) =>
+            set.zones.forEach(zone => zone.setWorkspaceActive(workspace === active)));
+
+        // Windows on all workspaces follow into the new workspace's zones
+        const stickyWindows = this._allZones()
+            .filter(zone => !this._zones.includes(zone))
+            .flatMap(zone => zone.getAllLeafZones())
+            .flatMap(leaf => leaf.getTabs().map(tab => tab.window))
+            .filter(w => { try { return w.is_on_all_workspaces(); } catch (e) { return false; } });
+        stickyWindows.forEach(window => this._moveWindowToZoneSet(window, this._zones));
+
+        this._updateAllZonesVisibility();
+        this._onFocusChanged();
+    }
+
+    // Keep one zone set per workspace as workspaces are added, removed and
+    // reordered. Profiles are mapped by index, so a workspace that moved may
+    // need a different one.
+    _syncZoneSets() {
+        const workspaceManager = global.workspace_manager;
+        const workspaces = new Set();
+        for (let i = 0; i < workspaceManager.get_n_workspaces(); i++)
+            workspaces.add(workspaceManager.get_workspace_by_index(i));
+
+        for (const [workspace, set] of [...this._zoneSets]) {
+            if (!workspaces.has(workspace)) {
+                set.zones.forEach(zone => zone.destroy());
+                this._zoneSets.delete(workspace);
+            } else if (set.profile !== this._getWorkspaceProfile(workspace.index())) {
+                this._rebuildZoneSet(workspace);
+            }
+        }
+        for (const workspace of workspaces) {
+            if (!this._zoneSets.has(workspace)) this._createZoneSet(workspace);
+        }
+        this._onActiveWorkspaceChanged();
+    }
+
+    _onWindowWorkspaceChanged(window) {
+        if (!this._isSnappable(window)) return;
+        const zone = this._findZoneForWindow(window);
+        const zones = this._getZonesForWindow(window);
+        // Untiled windows stay untiled; tiled ones move with their workspace
+        if (!zone || zones.some(root => root.findZoneForWindow(window))) return;
+        this._moveWindowToZoneSet(window, zones);
+    }
+
+    // Zone signals are dropped by Zone.destroy(), so no ids are kept here.
+    // Child zones created by a split bubble their signals up to these roots.
+    _connectZoneSignals(zone) {
+        zone.connect('tab-drag-begin', (_root, _leaf, window) => {
+            try {
+                if (this._isDisabled) return;
+                this._onTabDragBegin(window);
+            } catch (e) {
+                logError(e, 'TabbedTiling: Error in tab-drag-begin handler');
+            }
+        });
+        zone.connect('tab-dropped', (_root, leaf, window) => {
+            try {
+                if (this._isDisabled) return;
+                this._onTabDropped(leaf, window);
+            } catch (e) {
+                logError(e, 'TabbedTiling: Error in tab-dropped handler');
+            }
+        });
+        zone.connect('tabs-reordered', (_root, leaf, windows) => {
+            try {
+                if (this._isDisabled) return;
+                this._onTabsReordered(windows);
+                this._scheduleSessionSave();
+                this.emit('zone-changed', leaf.name, 'order');
+            } catch (e) {
+                logError(e, 'TabbedTiling: Error in tabs-reordered handler');
+            }
+        });
+        zone.connect('layout-changed', (root, changed) => {
+            try {
+                if (this._isDisabled) return;
+                this._saveZoneLayout(root);
+                this.emit('zone-changed', changed.name, 'layout');
+            } catch (e) {
+                logError(e, 'TabbedTiling: Error in layout-changed handler');
+            }
+        });
+        zone.connect('windows-changed', (_root, leaf) => {
+            try {
+                if (this._isDisabled) return;
+                // A floating window snapped on purpose (keybinding, D-Bus) is tiled again
+                for (const window of this._floatingWindows.keys()) {
+                    if (leaf.containsWindow(window)) this._floatingWindows.delete(window);
+                }
+                this._recordManualTabOrder(leaf);
+                this._scheduleSessionSave();
+                this.emit('zone-changed', leaf.name, 'windows');
+            } catch (e) {
+                logError(e, 'TabbedTiling: Error in windows-changed handler');
+            }
+        });
+        zone.connect('tab-menu-requested', (_root, leaf, window) => {
+            try {
+                if (this._isDisabled) return;
+                this._toggleTabMenu(leaf, window);
+            } catch (e) {
+                logError(e, 'TabbedTiling: Error in tab-menu-requested handler');
+            }
+        });
+    }
+
+    /**
+     * Write the zone trees (including runtime splits) of the workspace that
+     * contains `root` back to its profile so they survive reloads, profile
+     * switches and monitor changes. zones.json is not watched by the
+     * extension, so this does not trigger a reload of its own; other
+     * workspaces using the same profile are rebuilt here instead.
+     * @param {Zone} root - Root zone whose layout changed
+     */
+    _saveZoneLayout(root) {
+        if (!this._profileManager) {
+            log('No profile manager; split layout will not be persisted.');
+            return;
         }
+        const [workspace, set] = [...this._zoneSets].find(([, s]) => s.zones.includes(root)) ?? [];
+        if (!set) return;
+        const profileConfig = this._profileManager.loadProfileConfig(set.profile);
+        profileConfig.zones = set.zones.map(zone => zone.toConfig());
+        this._profileManager.saveProfileConfig(set.profile, profileConfig);
+        log(`Saved zone layout to profile: ${set.profile}`);
+
+        for (const [other, otherSet] of [...this._zoneSets]) {
+            if (other !== workspace && otherSet.profile === set.profile)
+                this._rebuildZoneSet(other);
+        }
+    }
 
-        zonesToLoad.forEach(zoneData => {
-            this._zones.push(new Zone(zoneData, config.tabBar, this._windowTracker));
+    _scheduleSessionSave() {
+        if (this._sessionSaveId) return;
+        this._sessionSaveId = this._safeTimeoutAdd(GLib.PRIORITY_DEFAULT_IDLE, SESSION_SAVE_DELAY_MS, () => {
+            this._sessionSaveId = 0;
+            if (this._isDisabled) return GLib.SOURCE_REMOVE;
+            this._saveSession();
+            return GLib.SOURCE_REMOVE;
         });
+    }
 
-        log(`Loaded ${this._zones.length} zones.`);
-        this._updateAllZonesVisibility();
-        this._snapExistingWindows();
+    _saveSession() {
+        // While paused every window is untiled on purpose; keep the last arrangement
+        if (this._isPaused) return;
+        const openWindows = global.get_window_actors()
+            .map(a => a.get_meta_window())
+            .filter(w => w && w.get_window_type() === Meta.WindowType.NORMAL)
+            .map(window => {
+                const zone = this._findZoneForWindow(window);
+                const tabIndex = zone
+                    ? zone.getTabs().findIndex(tab => tab.window === window)
+                    : -1;
+                const floating = !zone && this._floatingWindows.has(window);
+                return {
+                    seq: window.get_stable_sequence(),
+                    props: this._getWindowSessionProps(window),
+                    zone: zone?.name ?? (floating ? this._floatingWindows.get(window) : null),
+                    tabIndex,
+                    floating,
+                };
+            });
+        this._sessionStore.update(openWindows);
+        this._sessionStore.save();
+    }
+
+    _getWindowSessionProps(window) {
+        const { wmClass, appId, title } = this._getWindowRuleProps(window);
+        const pid = (() => { try { return window.get_pid(); } catch (e) { return 0; } })();
+        return { wmClass, appId, title, pid };
+    }
+
+    /**
+     * Look up the zone a window was in during an earlier session. A window
+     * that was floating is marked floating again.
+     * @returns {{zone: Zone, tabIndex: number}|{floating: true}|null}
+     */
+    _claimSessionZone(window) {
+        const zones = this._getZonesForWindow(window);
+        const saved = this._sessionStore.claim(
+            this._getWindowSessionProps(window),
+            name => !!this._findLeafZoneByName(name, zones)
+        );
+        if (!saved) return null;
+        if (saved.floating) {
+            this._floatingWindows.set(window, saved.zone);
+            return { floating: true };
+        }
+        return { zone: this._findLeafZoneByName(saved.zone, zones), tabIndex: saved.tabIndex };
+    }
+
+    /**
+     * Put restored windows back at their saved tab positions. Goes through
+     * the manual tab order, so it only shows with sortingCriteria 'manual'.
+     * @param {Map<Meta.Window, number>} restoredTabIndex
+     */
+    _restoreTabOrder(restoredTabIndex) {
+        const zones = new Set([...restoredTabIndex.keys()].map(w => this._findZoneForWindow(w)));
+        for (const zone of zones) {
+            if (!zone) continue;
+            const windows = zone.getTabs().map(tab => tab.window);
+            const rank = w => restoredTabIndex.get(w) ?? Infinity;
+            windows.sort((a, b) => rank(a) - rank(b));
+            this._onTabsReordered(windows);
+        }
     }
 
     _connectSignals() {
@@ -251,11 +934,39 @@ export class WindowManager {
         connect(Main.layoutManager, 'monitors-changed', () => {
             try {
                 if (this._isDisabled) return;
+                this._applyMonitorProfile();
                 this.reloadConfiguration();
             } catch (e) {
                 logError(e, 'TabbedTiling: Error in monitors-changed handler');
             }
         });
+        connect(global.workspace_manager, 'active-workspace-changed', () => {
+            try {
+                if (this._isDisabled) return;
+                this._onActiveWorkspaceChanged();
+            } catch (e) {
+                logError(e, 'TabbedTiling: Error in active-workspace-changed handler');
+            }
+        });
+        for (const signal of ['workspace-added', 'workspace-removed', 'workspaces-reordered']) {
+            connect(global.workspace_manager, signal, () => {
+                try {
+                    if (this._isDisabled) return;
+                    this._syncZoneSets();
+                } catch (e) {
+                    logError(e, `TabbedTiling: Error in ${signal} handler`);
+                }
+            });
+        }
+        // Panels, docks and other struts coming and going (e.g. an autohiding dock)
+        connect(global.display, 'workareas-changed', () => {
+            try {
+                if (this._isDisabled) return;
+                this._scheduleWorkAreaUpdate();
+            } catch (e) {
+                logError(e, 'TabbedTiling: Error in workareas-changed handler');
+            }
+        });
         // Keep tab highlights in sync with true keyboard focus
         connect(global.display, 'notify::focus-window', () => {
             try {
@@ -419,7 +1130,15 @@ export class WindowManager {
             { obj: window, id: window.connect('unmanaged', () => {
                 log(`_trackWindowState: 'unmanaged' signal fired for window "${title}"`);
                 return this._onWindowUnmanaged(window);
-            }) }
+            }) },
+            { obj: window, id: window.connect('workspace-changed', () => {
+                try {
+                    if (this._isDisabled) return;
+                    this._onWindowWorkspaceChanged(window);
+                } catch (e) {
+                    logError(e, 'TabbedTiling: Error in workspace-changed handler');
+                }
+            }) },
         ];
         this._windowStateSignals.set(window, signals);
         log(`_trackWindowState: Connected 'unmanaged' signal for window "${title}" (signal id=${signals[1].id})`);
@@ -460,11 +1179,13 @@ export class WindowManager {
                 log(`_onWindowUnmanaged: Zone has ${zone._snappedWindows.size} snapped windows before unsnap`);
                 zone.unsnapWindow(window);
                 log(`_onWindowUnmanaged: Zone has ${zone._snappedWindows.size} snapped windows after unsnap`);
+            } else if (this._floatingWindows.has(window)) {
+                log(`_onWindowUnmanaged: Floating window "${title}" closed`);
             } else {
                 log(`_onWindowUnmanaged: WARNING - No zone found for window "${title}" (wmClass=${wmClass})`);
                 // Debug: list all zones and their windows
                 log(`_onWindowUnmanaged: All zones state:`);
-                this._zones.forEach(z => {
+                this._allZones().forEach(z => {
                     const tabCount = z._tabBar ? z._tabBar._tabs.size : 0;
                     log(`  - Zone "${z.name}" (monitor=${z.monitorIndex}): ${z._snappedWindows.size} snapped, ${tabCount} tabs`);
                 });
@@ -473,6 +1194,7 @@ export class WindowManager {
             logError(e, 'TabbedTiling: Error in _onWindowUnmanaged');
         }
         // Always disconnect signals and remove from tracking
+        this._floatingWindows.delete(window);
         this._untrackWindowState(window);
     }
 
@@ -491,6 +1213,17 @@ export class WindowManager {
         // Fix 4: Use PRIORITY_DEFAULT_IDLE and 33ms to prevent main loop saturation
         this._dragHoverTimerId = this._safeTimeoutAdd(GLib.PRIORITY_DEFAULT_IDLE, 33, () => {
             if (this._isDisabled) return GLib.SOURCE_REMOVE; // Fix 8
+            // A tab drag whose tab vanished (window closed) never reports a
+            // drop; stop polling once the button is no longer held.
+            if (this._tabDragWindow) {
+                const [, , mods] = global.get_pointer();
+                if ((mods & Clutter.ModifierType.BUTTON1_MASK) === 0) {
+                    this._tabDragWindow = null;
+                    this._dragHoverTimerId = 0;
+                    this._highlighter.hideHoverHighlight();
+                    return GLib.SOURCE_REMOVE;
+                }
+            }
             this._updateHoverHighlightFromPointer();
             return GLib.SOURCE_CONTINUE;
         });
@@ -574,9 +1307,9 @@ export class WindowManager {
     _onGrabOpBegin(display, window, op) {
         if (!this._isSnappable(window)) return;
 
-        // Bypass tiling logic if holding CTRL
+        // Bypass tiling logic if holding CTRL; floating windows always do
         const [, , mods] = global.get_pointer();
-        if ((mods & Clutter.ModifierType.CONTROL_MASK) !== 0) {
+        if ((mods & Clutter.ModifierType.CONTROL_MASK) !== 0 || this._floatingWindows.has(window)) {
             window._tilingBypass = true;
             // Ensure any hover highlight is hidden while bypassing
             this._highlighter.hideHoverHighlight();
@@ -697,13 +1430,170 @@ export class WindowManager {
         }
     }
 
+    _onTabDragBegin(window) {
+        if (!this._isWindowValid(window)) return;
+        // Reuse the titlebar-drag hover polling for the drop target preview.
+        this._tabDragWindow = window;
+        this._startDragHoverTimer();
+    }
+
+    _onTabDropped(sourceZone, window) {
+        this._tabDragWindow = null;
+        this._stopDragHoverTimer();
+        if (!this._isWindowValid(window)) return;
+
+        // Same target resolution as a titlebar drop: direct hit first, then
+        // the nearest zone within the threshold. Dropping anywhere else leaves
+        // the window where it is.
+        const [pointerX, pointerY, mods] = global.get_pointer();
+        if ((mods & Clutter.ModifierType.CONTROL_MASK) !== 0) return;
+        const targetZone = this._findLeafZoneAt(pointerX, pointerY) ??
+            this._findNearestZoneWithinThreshold(pointerX, pointerY, 48);
+        if (!targetZone || targetZone === sourceZone) return;
+
+        const title = (() => { try { return window.get_title(); } catch(e) { return '<destroyed>'; } })();
+        log(`Tab "${title}" dragged from zone "${sourceZone.name}" to zone "${targetZone.name}"`);
+        targetZone.snapWindow(window);
+    }
+
+    _onTabsReordered(windows) {
+        // Only the relative order of tabs sharing a bar matters, so move this
+        // bar's windows to the end of the global list in their new order.
+        const keys = windows.map(w => w.get_stable_sequence());
+        const keySet = new Set(keys);
+        this._manualTabOrder = this._manualTabOrder.filter(k => !keySet.has(k)).concat(keys);
+    }
+
+    _recordManualTabOrder(leaf) {
+        // New tabs keep the order they were added in until dragged; record
+        // them too, or a reload would fall back to window stacking order.
+        if (this._configManager.getConfig().tabBar?.sortingCriteria !== 'manual') return;
+        const known = new Set(this._manualTabOrder);
+        const keys = leaf.getTabs()
+            .map(tab => tab.window.get_stable_sequence())
+            .filter(key => !known.has(key));
+        this._manualTabOrder.push(...keys);
+    }
+
+    _applyManualTabOrder() {
+        // Prune windows that no longer exist so the list doesn't grow forever.
+        const alive = new Set(global.get_window_actors().map(a => a.get_meta_window()?.get_stable_sequence()));
+        this._manualTabOrder = this._manualTabOrder.filter(k => alive.has(k));
+        this._allZones()
+            .flatMap(zone => zone.getAllLeafZones())
+            .forEach(leaf => leaf.setManualTabOrder(this._manualTabOrder));
+    }
+
+    _getWindowRuleProps(window) {
+        const safe = fn => { try { return fn() ?? ''; } catch (e) { return ''; } };
+        return {
+            wmClass: safe(() => window.get_wm_class()),
+            appId: safe(() => this._windowTracker.get_window_app(window)?.get_id()),
+            title: safe(() => window.get_title()),
+            role: safe(() => window.get_role()),
+        };
+    }
+
+    _findPlacementRule(window) {
+        const rules = this._configManager.getConfig().rules ?? [];
+        if (rules.length === 0) return null;
+        return findMatchingRule(rules, this._getWindowRuleProps(window))?.rule ?? null;
+    }
+
+    // Resolve a 'zone' or 'monitor' rule to a leaf zone. Returns null when the
+    // target doesn't exist in the current layout.
+    _findZoneForRule(rule, zones = this._zones) {
+        if (rule.target === 'zone')
+            return this._findLeafZoneByName(rule.zone, zones);
+        if (rule.target === 'monitor') {
+            const primary = zones.find(z => z.monitorIndex === rule.monitor && z.isPrimary);
+            if (primary) return primary.getAllLeafZones()[0] ?? null;
+            return zones
+                .flatMap(zone => zone.getAllLeafZones())
+                .find(z => z.monitorIndex === rule.monitor) ?? null;
+        }
+        return null;
+    }
+
+    _findLeafZoneByName(name, zones = this._zones) {
+        const leaf = zones
+            .flatMap(zone => zone.getAllLeafZones())
+            .find(z => z.name === name);
+        if (leaf) return leaf;
+        // A split zone's name targets its first child
+        return zones.find(z => z.name === name)?.getAllLeafZones()[0] ?? null;
+    }
+
+    // Zones clipped to the work area follow it; wait for a burst of changes
+    // (a dock sliding in or out) to settle before moving windows.
+    _scheduleWorkAreaUpdate() {
+        if (this._workAreaChangedId) return;
+        this._workAreaChangedId = this._safeTimeoutAdd(GLib.PRIORITY_DEFAULT_IDLE, 150, () => {
+            this._workAreaChangedId = 0;
+            if (this._isDisabled) return GLib.SOURCE_REMOVE;
+            this._allZones().forEach(zone => zone.updateGeometry());
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    _scheduleWindowSnapshot() {
+        if (this._windowSnapshotId) return;
+        this._windowSnapshotId = this._safeTimeoutAdd(GLib.PRIORITY_DEFAULT_IDLE, 500, () => {
+            this._windowSnapshotId = 0;
+            if (this._isDisabled) return GLib.SOURCE_REMOVE;
+            const windows = global.get_window_actors()
+                .map(a => a.get_meta_window())
+                .filter(w => w && w.get_window_type() === Meta.WindowType.NORMAL)
+                .map(w => this._getWindowRuleProps(w));
+            this._configManager.saveWindowSnapshot(windows);
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
     _onWindowCreated(display, window) {
         this._safeTimeoutAdd(GLib.PRIORITY_DEFAULT, 200, () => {
             if (this._isDisabled) return GLib.SOURCE_REMOVE; // Fix 8
             if (!window || !this._isSnappable(window)) return GLib.SOURCE_REMOVE;
             this._trackWindowState(window); // Track state changes (maximized, etc.)
+            const zones = this._getZonesForWindow(window);
+
+            // Apps reopening their windows right after login go back to the
+            // zone and tab position they had before
+            if (GLib.get_monotonic_time() < this._sessionRestoreDeadline) {
+                const restored = this._claimSessionZone(window);
+                if (restored?.floating) {
+                    log('New window was floating in the saved session, leaving it untiled.');
+                    return GLib.SOURCE_REMOVE;
+                }
+                if (restored) {
+                    const title = (() => { try { return window.get_title(); } catch(e) { return '<destroyed>'; } })();
+                    log(`New window "${title}" restored to zone "${restored.zone.name}" from the saved session.`);
+                    restored.zone.snapWindow(window);
+                    this._restoreTabOrder(new Map([[window, restored.tabIndex]]));
+                    this._applyManualTabOrder();
+                    return GLib.SOURCE_REMOVE;
+                }
+            }
+
+            // Placement rules take precedence over the primary zone
+            const rule = this._findPlacementRule(window);
+            if (rule) {
+                const title = (() => { try { return window.get_title(); } catch(e) { return '<destroyed>'; } })();
+                if (rule.target === 'float') {
+                    log(`New window "${title}" matches a float rule, leaving it untiled.`);
+                    return GLib.SOURCE_REMOVE;
+                }
+                const ruleZone = this._findZoneForRule(rule, zones);
+                if (ruleZone) {
+                    log(`New window "${title}" snapping to zone "${ruleZone.name}" by rule (${describeRuleTarget(rule)}).`);
+                    ruleZone.snapWindow(window);
+                    return GLib.SOURCE_REMOVE;
+                }
+                log(`Rule target ${describeRuleTarget(rule)} for "${title}" not found, using primary zone.`);
+            }
+
             const monitorIndex = window.get_monitor();
-            const primaryZone = this._zones.find(z =>
+            const primaryZone = zones.find(z =>
                 z.monitorIndex === monitorIndex && z.isPrimary
             );
 
@@ -741,6 +1631,7 @@ export class WindowManager {
                         log(`_onTrackedWindowsChanged: WARNING - No zone found for window "${title}" (wmClass=${wmClass})`);
                     }
                     
+                    this._floatingWindows.delete(window);
                     try {
                         this._untrackWindowState(window);
                     } catch (e) {
@@ -756,6 +1647,7 @@ export class WindowManager {
                 }
             }
             this._updateAllZonesVisibility();
+            this._scheduleWindowSnapshot();
         } catch (e) {
             logError(e, 'TabbedTiling: Error in _onTrackedWindowsChanged');
         }
@@ -763,10 +1655,12 @@ export class WindowManager {
 
     _updateAllZonesVisibility() {
         const allWindows = global.get_window_actors().map(a => a.get_meta_window());
+        const activeWorkspace = global.workspace_manager.get_active_workspace();
         const monitorsWithMaximizedWindows = new Set();
         allWindows.forEach(win => {
             try {
-                if (!win) return;
+                // Maximized windows on other workspaces don't cover this one's zones
+                if (!win || !win.located_on_workspace(activeWorkspace)) return;
                 if ((win.get_maximized && win.get_maximized()) || (win.is_fullscreen && win.is_fullscreen())) {
                     monitorsWithMaximizedWindows.add(win.get_monitor());
                 }
@@ -785,12 +1679,16 @@ export class WindowManager {
         }
     }
 
-    _snapExistingWindows() {
+    // With `workspace`, only the windows on that workspace are (re)tiled.
+    _snapExistingWindows(workspace = null) {
         log(`_snapExistingWindows: Starting, zones=${this._zones.length}`);
-        const allWindows = global.get_window_actors().map(a => a.get_meta_window());
+        const allWindows = global.get_window_actors()
+            .map(a => a.get_meta_window())
+            .filter(w => !workspace || w?.get_workspace() === workspace);
         log(`_snapExistingWindows: Found ${allWindows.length} windows`);
         
         let snappedCount = 0;
+        const restoredTabIndex = new Map();
         allWindows.forEach(window => {
             try {
                 const title = (() => { try { return window.get_title(); } catch(e) { return '<unknown>'; } })();
@@ -802,10 +1700,27 @@ export class WindowManager {
                 const isSnappable = this._isSnappable(window);
                 log(`_snapExistingWindows: window "${title}" isSnappable=${isSnappable}`);
                 
-                if (isSnappable) {
+                if (isSnappable && this._floatingWindows.has(window)) {
+                    log(`_snapExistingWindows: window "${title}" is floating, skipping`);
+                } else if (isSnappable) {
                     let targetZone = this._findZoneForWindow(window);
                     log(`_snapExistingWindows: window "${title}" _findZoneForWindow returned ${targetZone ? targetZone.name : 'null'}`);
 
+                    // Only right after enable(); later reloads put windows back
+                    // by position rather than into stale saved zones
+                    if (!targetZone && GLib.get_monotonic_time() < this._sessionRestoreDeadline) {
+                        const restored = this._claimSessionZone(window);
+                        if (restored?.floating) {
+                            log(`_snapExistingWindows: window "${title}" was floating in the saved session, skipping`);
+                            return;
+                        }
+                        if (restored) {
+                            targetZone = restored.zone;
+                            restoredTabIndex.set(window, restored.tabIndex);
+                            log(`_snapExistingWindows: window "${title}" restored from session to "${targetZone.name}"`);
+                        }
+                    }
+
                     if (!targetZone) {
                         targetZone = this._findBestZoneForWindow(window);
                         log(`_snapExistingWindows: window "${title}" _findBestZoneForWindow returned ${targetZone ? targetZone.name : 'null'}`);
@@ -827,7 +1742,11 @@ export class WindowManager {
         
         log(`_snapExistingWindows: Completed, snapped ${snappedCount}/${allWindows.length} windows`);
         this._updateAllZonesVisibility();
-        this._zones.forEach(zone => zone.reorderTabs());
+        const zones = workspace ? this._zoneSets.get(workspace)?.zones ?? [] : this._allZones();
+        zones.forEach(zone => zone.reorderTabs());
+        if (restoredTabIndex.size > 0) this._restoreTabOrder(restoredTabIndex);
+        this._applyManualTabOrder();
+        this._scheduleWindowSnapshot();
     }
 
     _logZoneStates() {
@@ -847,16 +1766,16 @@ export class WindowManager {
         });
     }
 
-    _findBestZoneForWindow(window) {
+    _findBestZoneForWindow(window, zones = this._getZonesForWindow(window)) {
         if (!window) return null;
         const frame = window.get_frame_rect();
         const centerX = frame.x + frame.width / 2;
         const centerY = frame.y + frame.height / 2;
-        return this._findLeafZoneAt(centerX, centerY);
+        return this._findLeafZoneAt(centerX, centerY, zones);
     }
 
-    _findLeafZoneAt(x, y) {
-        for (const zone of this._zones) {
+    _findLeafZoneAt(x, y, zones = this._zones) {
+        for (const zone of zones) {
             // Search through the zone and its children recursively
             const leafZone = zone.findLeafZoneAt(x, y);
             if (leafZone) return leafZone;
@@ -876,7 +1795,7 @@ export class WindowManager {
         }
 
         // Fallback: search all zones recursively
-        for (const zone of this._zones) {
+        for (const zone of this._allZones()) {
             const found = zone.findZoneForWindow(window);
             if (found) return found;
         }
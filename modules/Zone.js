@@ -1,10 +1,14 @@
 // modules/Zone.js
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import { EventEmitter } from 'resource:///org/gnome/shell/misc/signals.js';
 import Meta from 'gi://Meta';
 import GLib from 'gi://GLib';
 import Clutter from 'gi://Clutter';
 
 import { TabBar } from './TabBar.js';
+import { SplitDivider, DIVIDER_THICKNESS } from './SplitDivider.js';
+import { resolveZoneRect, clipRect } from './ZoneGeometry.js';
+import { getMonitorIdentities, resolveMonitorIndex } from './MonitorIdentity.js';
 
 const log = msg => console.log(`[TabbedTiling.Zone] ${msg}`);
 
@@ -12,29 +16,75 @@ const log = msg => console.log(`[TabbedTiling.Zone] ${msg}`);
 // copied from zoneData JSON into a Zone instance.  EXCLUDES internal state
 // (anything starting with '_') and method names.
 const SAFE_ZONE_PROPS = [
-    'x', 'y', 'width', 'height',
-    'monitorIndex', 'splitDirection', 'splitRatio',
+    'x', 'y', 'width', 'height', 'units', 'clipToWorkArea',
+    'monitorIndex', 'monitorConnector', 'monitorId', 'splitDirection', 'splitRatio',
     'childZones', 'layer', 'name', 'gaps', 'gap', 'isPrimary',
 ];
 
-export class Zone {
-    constructor(zoneData, tabBarConfig, windowTracker, parentZone = null) {
+// Limits for splitRatio so neither child can be dragged out of existence
+const MIN_SPLIT_RATIO = 0.1;
+const MAX_SPLIT_RATIO = 0.9;
+// Coalesce window resizes while a divider is being dragged
+const DIVIDER_RESIZE_INTERVAL_MS = 50;
+// Tabs remembered for MRU cycling and for picking the next tab on close
+const MRU_HISTORY_LIMIT = 20;
+
+// Signals a child zone re-emits on its parent, so WindowManager only has to
+// connect to the top-level zones. Each carries the originating leaf zone as
+// its first argument.
+const BUBBLED_SIGNALS = [
+    'tab-drag-begin', // (zone, window)
+    'tab-dropped',    // (zone, window) — pointer position is the drop point
+    'tabs-reordered', // (zone, windows) — manual order after an in-bar drag
+    'layout-changed', // (zone) — split or merge; the tree should be persisted
+    'windows-changed', // (zone) — a window was snapped into or removed from the zone
+    'tab-menu-requested', // (zone, window) — a tab was right-clicked
+];
+
+export class Zone extends EventEmitter {
+    /**
+     * @param {object} zoneData - Zone config from the profile
+     * @param {object} tabBarConfig
+     * @param {Shell.WindowTracker} windowTracker
+     * @param {Zone|null} parentZone - Set for the children of a split
+     * @param {object} [profileDefaults] - Profile-wide settings zones may override
+     * @param {boolean} [profileDefaults.clipToWorkArea]
+     */
+    constructor(zoneData, tabBarConfig, windowTracker, parentZone = null, profileDefaults = {}) {
+        super();
         // Fix 8: destroyed guard
         this._isDestroyed = false;
 
         this.childZones = [];
         this.splitDirection = 'none'; // 'horizontal', 'vertical', or 'none'
 
-        // Fix 1: Only copy known safe configuration properties from zoneData
+        // Fix 1: Only copy known safe configuration properties from zoneData.
+        // childZones holds plain config objects here; they are turned into
+        // Zone instances below, once the tab bar exists.
         for (const key of SAFE_ZONE_PROPS) {
-            if (key in zoneData) {
+            if (key in zoneData && key !== 'childZones') {
                 this[key] = zoneData[key];
             }
         }
 
         // Set parentZone AFTER property copy to prevent it from being overwritten
         // by a null value from the zoneData.
-        this.parentZone = parentZone;        
+        this.parentZone = parentZone;
+        // Top-level zones resolve their configured geometry (pixels or
+        // percent, optionally clipped to the work area) to pixels here and in
+        // updateGeometry(); toConfig() writes the configured values back.
+        this._configRect = null;
+        this._configMonitorIndex = undefined;
+        this._clipByDefault = !!profileDefaults.clipToWorkArea;
+        if (!parentZone) {
+            const { x, y, width, height } = zoneData;
+            this._configRect = { x, y, width, height };
+            // Zones bound to a connector or display follow it when GNOME
+            // renumbers monitors; the configured index is only the fallback
+            this._configMonitorIndex = this.monitorIndex;
+            this.monitorIndex = resolveMonitorIndex(zoneData, getMonitorIdentities());
+            Object.assign(this, this._resolveRect());
+        }
         this._snappedWindows = new Set();
         this._windowTracker = windowTracker;
         // Minimal MRU tracking: most-recently activated window first
@@ -42,8 +92,14 @@ export class Zone {
         this._activeWindow = null;
         // Allow monitor-wide "force hide" of tab bar during max/fullscreen
         this._forceHidden = false;
+        // Each workspace has its own zones; only the active workspace's are shown
+        this._isWorkspaceActive = true;
         // Fix 3: Track pending timer/idle source IDs for cleanup
         this._pendingSourceIds = new Set();
+        // Draggable handle between our two children (split zones only)
+        this._divider = null;
+        this._isDividerInChrome = false;
+        this._dividerResizeId = 0;
         
         this._tabBar = new TabBar(tabBarConfig);
         this._tabBar.connect('tab-clicked', (actor, window) => this.activateWindow(window));
@@ -64,11 +120,31 @@ export class Zone {
                 logError(e, 'TabbedTiling: Error deleting window');
             }
         });
-        this._tabBar.connect('tab-moved', (actor, { fromZone, toZone, window }) => {
-            // This is a placeholder for inter-zone dragging logic
+        // Inter-zone tab dragging: WindowManager owns the zone list and the
+        // hover highlight, so we only report the drag lifecycle upwards.
+        this._tabBar.connect('tab-drag-begin', (actor, window) => {
+            this.emit('tab-drag-begin', this, window);
+        });
+        this._tabBar.connect('tab-moved', (actor, window) => {
+            this.emit('tab-dropped', this, window);
+        });
+        this._tabBar.connect('tabs-reordered', () => {
+            this.emit('tabs-reordered', this, this.getTabs().map(t => t.window));
+        });
+        this._tabBar.connect('tab-menu-requested', (actor, window) => {
+            this.emit('tab-menu-requested', this, window);
         });
 
         this._updateTabBarPosition();
+
+        // Rebuild a split tree persisted in the profile
+        const childData = Array.isArray(zoneData.childZones) ? zoneData.childZones : [];
+        if (childData.length === 2 && ['horizontal', 'vertical'].includes(this.splitDirection)) {
+            this._buildChildZones(childData);
+        } else {
+            this.splitDirection = 'none';
+        }
+
         this._updateActionButtons();        
         // Default to being in the background layer.
         Main.layoutManager._backgroundGroup.add_child(this._tabBar);
@@ -148,11 +224,35 @@ export class Zone {
                     logError(e, 'TabbedTiling: Failed to addChrome in setLayer');
                 }
             }
+            this._setDividerLayer(isBehind);
         } catch (e) {
             logError(e, 'TabbedTiling: Error in Zone.setLayer');
         }
     }
 
+    _setDividerLayer(isBehind) {
+        if (!this._divider) return;
+        try {
+            const parent = this._divider.get_parent?.();
+            if (isBehind) {
+                if (parent) {
+                    if (this._isDividerInChrome) Main.layoutManager.removeChrome(this._divider);
+                    else parent.remove_child(this._divider);
+                }
+                Main.layoutManager._backgroundGroup.add_child(this._divider);
+                this._divider.reactive = false;
+                this._isDividerInChrome = false;
+            } else {
+                if (parent && !this._isDividerInChrome) parent.remove_child(this._divider);
+                if (!this._isDividerInChrome) Main.layoutManager.addChrome(this._divider);
+                this._divider.reactive = true;
+                this._isDividerInChrome = true;
+            }
+        } catch (e) {
+            logError(e, 'TabbedTiling: Error moving split divider between layers');
+        }
+    }
+
     setTabBarVisible(visible) {
         // Called by WindowManager to hide ALL tab bars on a monitor while
         // a snapped window is maximized/fullscreen.
@@ -187,6 +287,51 @@ export class Zone {
         };
     }
 
+    /**
+     * Pixel geometry of a top-level zone, relative to its monitor.
+     */
+    _resolveRect() {
+        const monitor = this.monitor;
+        const rect = resolveZoneRect({ ...this._configRect, units: this.units }, monitor);
+        if (!(this.clipToWorkArea ?? this._clipByDefault) || !monitor) return rect;
+
+        // Keep clear of the top bar, docks and other struts
+        const workArea = Main.layoutManager.getWorkAreaForMonitor(this.monitorIndex);
+        return clipRect(rect, {
+            x: workArea.x - monitor.x,
+            y: workArea.y - monitor.y,
+            width: workArea.width,
+            height: workArea.height,
+        });
+    }
+
+    /**
+     * Re-resolve a top-level zone's geometry, e.g. after the work area changed,
+     * and move its tab bars, children and snapped windows along.
+     */
+    updateGeometry() {
+        if (!this._configRect) return;
+        const rect = this._resolveRect();
+        if (rect.x === this.x && rect.y === this.y &&
+            rect.width === this.width && rect.height === this.height)
+            return;
+
+        Object.assign(this, rect);
+        this._updateTabBarPosition();
+        this._tabBar?._updateTabSizes();
+        if (this.childZones.length > 0) {
+            this._relayoutChildren(true);
+            return;
+        }
+        this.getSnappedWindows().forEach(w => {
+            try {
+                if (w && w.get_compositor_private()) this._placeWindow(w);
+            } catch (e) {
+                logError(e, 'TabbedTiling: Error moving window to updated zone geometry');
+            }
+        });
+    }
+
     _getGaps() {
         // Normalize gaps from config:
         // prefer this.gaps{top,right,bottom,left}; fall back to legacy numeric this.gap; else zeros
@@ -317,43 +462,59 @@ export class Zone {
                 window._tilingZoneId = this.name; // Tag the window
                 window._tilingZone = this; // Direct reference for easier moves
                 this._tabBar.addTab(window);
+                this._emitWindowsChanged();
             }        
             if (!this.rect) return;
 
-            // Ensure not maximized/tiled before attempting to move.
-            this._ensureUntiled(window);
-
-            const tabBarHeight = this._tabBar.height;
-            const { top, right, bottom, left } = this._getGaps();
-            const newX = this.rect.x + left;
-            const newY = this.rect.y + top + tabBarHeight; // window below tab bar
-            let newWidth = this.rect.width - (left + right);
-            let newHeight = this.rect.height - (top + bottom) - tabBarHeight;
-
-            // Respect client resize increments when applicable (e.g., terminals).
-            // This prevents Mutter from ignoring our move/resize when sizes are invalid.
-            const [adjW, adjH] = this._quantizeToSizeHints(window, newWidth, newHeight);
-            newWidth = adjW;
-            newHeight = adjH;
-
-            // Perform a two-step move+resize to coax stubborn clients (e.g., GNOME Terminal).
-            this._twoStepMoveResize(window, newX, newY, newWidth, newHeight);
-            // Final belt-and-suspenders attempt with user_op=false in case the WM treats it differently.
-            this._safeTimeoutAdd(GLib.PRIORITY_DEFAULT, 50, () => {
-                try {
-                    if (!window || !window.get_compositor_private()) return GLib.SOURCE_REMOVE;
-                    window.move_resize_frame(false, newX, newY, newWidth, newHeight);
-                } catch (_) {}
-                return GLib.SOURCE_REMOVE;
-            });
+            this._placeWindow(window);
 
-            this.activateWindow(window);
+            // Activating a window on another workspace would switch to it
+            if (this._isWorkspaceActive)
+                this.activateWindow(window);
+            else
+                this._selectTab(window);
             this._updateVisibility();
         } catch (e) {
             logError(e, 'TabbedTiling: Error in Zone.snapWindow');
         }
     }
 
+    /**
+     * Move/resize a snapped window to fill this zone below the tab bar.
+     * This is the geometry half of snapWindow(), without the bookkeeping and
+     * activation, so it can be re-run when the zone itself changes size.
+     */
+    _placeWindow(window) {
+        if (!this.rect) return;
+
+        // Ensure not maximized/tiled before attempting to move.
+        this._ensureUntiled(window);
+
+        const tabBarHeight = this._tabBar.height;
+        const { top, right, bottom, left } = this._getGaps();
+        const newX = this.rect.x + left;
+        const newY = this.rect.y + top + tabBarHeight; // window below tab bar
+        let newWidth = this.rect.width - (left + right);
+        let newHeight = this.rect.height - (top + bottom) - tabBarHeight;
+
+        // Respect client resize increments when applicable (e.g., terminals).
+        // This prevents Mutter from ignoring our move/resize when sizes are invalid.
+        const [adjW, adjH] = this._quantizeToSizeHints(window, newWidth, newHeight);
+        newWidth = adjW;
+        newHeight = adjH;
+
+        // Perform a two-step move+resize to coax stubborn clients (e.g., GNOME Terminal).
+        this._twoStepMoveResize(window, newX, newY, newWidth, newHeight);
+        // Final belt-and-suspenders attempt with user_op=false in case the WM treats it differently.
+        this._safeTimeoutAdd(GLib.PRIORITY_DEFAULT, 50, () => {
+            try {
+                if (!window || !window.get_compositor_private()) return GLib.SOURCE_REMOVE;
+                window.move_resize_frame(false, newX, newY, newWidth, newHeight);
+            } catch (_) {}
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
     // Fix 9: Wrap unsnapWindow in try-catch
     unsnapWindow(window) {
         try {
@@ -374,6 +535,7 @@ export class Zone {
                     this._tabBar.removeTab(window);
                     this._history = this._history.filter(w => w && w !== window && this._snappedWindows.has(w));
                     if (this._activeWindow === window) this._activeWindow = null;
+                    this._emitWindowsChanged();
                 }
                 this._updateVisibility();
                 return;
@@ -387,6 +549,7 @@ export class Zone {
                 log(`unsnapWindow: Calling _tabBar.removeTab`);
                 this._tabBar.removeTab(window);
                 log(`unsnapWindow: _tabBar._tabs.size after removeTab = ${this._tabBar._tabs.size}`);
+                this._emitWindowsChanged();
 
                 // Remove from MRU history (and prune any stale refs while we're here)
                 this._history = this._history.filter(w => w && w !== window && this._snappedWindows.has(w));
@@ -406,9 +569,11 @@ export class Zone {
                         // simultaneously, which can crash mutter.
                         this._safeIdleAdd(GLib.PRIORITY_DEFAULT_IDLE, () => {
                             // Re-verify the window is still valid before activating.
-                            if (this._snappedWindows.has(nextToActivate)) {
+                            if (!this._snappedWindows.has(nextToActivate)) return GLib.SOURCE_REMOVE;
+                            if (this._isWorkspaceActive)
                                 this.activateWindow(nextToActivate);
-                            }
+                            else
+                                this._selectTab(nextToActivate);
                             return GLib.SOURCE_REMOVE;
                         });
                     } else {
@@ -435,65 +600,113 @@ export class Zone {
         }
     }
 
+    /**
+     * The windows in the order tab cycling walks through them.
+     * @param {'linear'|'wrap'|'mru'} mode
+     * @returns {Meta.Window[]} For 'mru' the active window comes first,
+     *   then the rest most recently used first; otherwise tab bar order.
+     */
+    getCycleOrder(mode) {
+        const barOrder = this.getTabs().map(t => t.window).filter(w => w);
+        if (mode !== 'mru') return barOrder;
+
+        const recent = [this._activeWindow, ...this._history]
+            .filter((w, i, all) => w && this._snappedWindows.has(w) && all.indexOf(w) === i);
+        return recent.concat(barOrder.filter(w => !recent.includes(w)));
+    }
+
+    /**
+     * The window the next/previous cycling step lands on.
+     * @param {'linear'|'wrap'|'mru'} mode - 'linear' stops at the ends
+     * @param {boolean} backward
+     * @returns {Meta.Window|null}
+     */
+    getCycleTarget(mode, backward) {
+        const order = this.getCycleOrder(mode);
+        if (order.length < 2) return null;
+
+        const currentIndex = order.indexOf(this._activeWindow);
+        if (currentIndex === -1) return null;
+        const step = backward ? -1 : 1;
+        if (mode === 'linear') return order[currentIndex + step] ?? null;
+        return order[(currentIndex + step + order.length) % order.length];
+    }
+
     // Fix 6: Only one definition of cycleTabNext (the more encapsulated version)
-    cycleTabNext() {
+    cycleTabNext(mode = 'linear') {
         try {
-            const tabs = this.getTabs();
-            if (tabs.length < 2) return;
-
-            const currentIndex = tabs.findIndex(t => t.window === this._activeWindow);
-            if (currentIndex !== -1 && currentIndex < tabs.length - 1) {
-                const nextTab = tabs[currentIndex + 1];
-                if (nextTab && nextTab.window) {
-                    this.activateWindow(nextTab.window);
-                }
-            }
+            const next = this.getCycleTarget(mode, false);
+            if (next) this.activateWindow(next);
         } catch (e) {
             logError(e, 'TabbedTiling: Error in Zone.cycleTabNext');
         }
     }
 
     // Fix 6: Only one definition of cycleTabPrevious (the more encapsulated version)
-    cycleTabPrevious() {
+    cycleTabPrevious(mode = 'linear') {
         try {
-            const tabs = this.getTabs();
-            if (tabs.length < 2) return;
-
-            const currentIndex = tabs.findIndex(t => t.window === this._activeWindow);
-            if (currentIndex > 0) {
-                const prevTab = tabs[currentIndex - 1];
-                if (prevTab && prevTab.window) {
-                    this.activateWindow(prevTab.window);
-                }
-            }
+            const previous = this.getCycleTarget(mode, true);
+            if (previous) this.activateWindow(previous);
         } catch (e) {
             logError(e, 'TabbedTiling: Error in Zone.cycleTabPrevious');
         }
     }
 
+    /**
+     * Activate the tab at a position in the bar (0-based).
+     * @param {number} index
+     */
+    activateTabAt(index) {
+        try {
+            const tab = this.getTabs()[index];
+            if (tab?.window) this.activateWindow(tab.window);
+        } catch (e) {
+            logError(e, 'TabbedTiling: Error in Zone.activateTabAt');
+        }
+    }
+
+    /**
+     * Switch back to the previously active tab, per the MRU history.
+     * Repeating it toggles between the two most recent tabs.
+     */
+    activateLastUsedTab() {
+        try {
+            const previous = this._history.find(w =>
+                w && w !== this._activeWindow && this._snappedWindows.has(w));
+            if (previous) this.activateWindow(previous);
+        } catch (e) {
+            logError(e, 'TabbedTiling: Error in Zone.activateLastUsedTab');
+        }
+    }
+
     // Fix 10: Add null check and try-catch to activateWindow
     activateWindow(window) {
         if (!this._tabBar || !window) return;
         try {
             if (this._snappedWindows.has(window)) {
                 window.activate(global.get_current_time());
-                this._tabBar.setActiveTab(window);
+                this._selectTab(window);
                 // Immediately update the yellow "globally focused" highlight for this tab.
                 // This ensures the tab turns yellow even before the compositor reports focus.
                 if (this._tabBar && this._tabBar.reflectGlobalFocus)
                     this._tabBar.reflectGlobalFocus(window);            
-                // Record MRU (most recent first), dedupe, cap to 5
-                this._activeWindow = window;
-                this._history = this._history.filter(w => w && w !== window && this._snappedWindows.has(w));
-                this._history.unshift(window);
-                if (this._history.length > 5)
-                    this._history.length = 5;            
             }
         } catch (e) {
             logError(e, 'TabbedTiling: Error in Zone.activateWindow');
         }
     }
 
+    // Make `window` the zone's selected tab without focusing it.
+    _selectTab(window) {
+        this._tabBar.setActiveTab(window);
+        // Record MRU (most recent first), dedupe, cap
+        this._activeWindow = window;
+        this._history = this._history.filter(w => w && w !== window && this._snappedWindows.has(w));
+        this._history.unshift(window);
+        if (this._history.length > MRU_HISTORY_LIMIT)
+            this._history.length = MRU_HISTORY_LIMIT;
+    }
+
     // Called by WindowManager when the global focus changes.
     reflectGlobalFocus(focusedWindow) {
         if (this._tabBar)
@@ -504,6 +717,22 @@ export class Zone {
         return this._snappedWindows.has(window);
     }
 
+    /**
+     * Show or hide this zone tree's tab bars and divider when its workspace
+     * becomes active or inactive.
+     * @param {boolean} active
+     */
+    setWorkspaceActive(active) {
+        this._isWorkspaceActive = active;
+        this.childZones.forEach(child => child.setWorkspaceActive(active));
+        this._updateDividerPosition();
+        this._updateVisibility();
+    }
+
+    get isWorkspaceActive() {
+        return this._isWorkspaceActive;
+    }
+
     setForceHidden(hidden) {
         if (this._forceHidden === hidden) {
             return;
@@ -514,7 +743,7 @@ export class Zone {
 
     _updateVisibility() {
         const hasWindows = this._snappedWindows.size > 0;
-        const shouldBeVisible = hasWindows && !this._forceHidden;
+        const shouldBeVisible = hasWindows && !this._forceHidden && this._isWorkspaceActive;
         if (shouldBeVisible)
             this._tabBar.show();
         else
@@ -525,11 +754,41 @@ export class Zone {
         this._tabBar.reorderTabs(this.name);
     }
 
+    setManualTabOrder(keys) {
+        this._tabBar?.setManualOrder(keys);
+    }
+
+    /**
+     * Pin or unpin a window's tab; pinned tabs come first in the bar.
+     * @param {Meta.Window} window
+     * @param {boolean} pinned
+     */
+    setTabPinned(window, pinned) {
+        const tab = this.getTabs().find(t => t.window === window);
+        if (!tab) return;
+        tab.setPinned(pinned);
+        this._tabBar.reorderTabs(this.name);
+    }
+
     getSnappedWindows() {
         // Return a copy to allow safe iteration while the original set might be modified.
         return new Set(this._snappedWindows);
     }
 
+    /**
+     * The window whose tab is currently selected, if any.
+     * @returns {Meta.Window|null}
+     */
+    getActiveWindow() {
+        return this._activeWindow ?? null;
+    }
+
+    _emitWindowsChanged() {
+        // Zone.destroy() unsnaps everything; that isn't a user change
+        if (this._isDestroyed) return;
+        this.emit('windows-changed', this);
+    }
+
     getAllLeafZones() {
         if (this.childZones.length === 0) {
             return [this];
@@ -579,45 +838,215 @@ export class Zone {
         }
 
         this.splitDirection = direction;
+        this.splitRatio = 0.5;
         const windowsToMove = [...this.getSnappedWindows()];
         windowsToMove.forEach(w => this.unsnapWindow(w)); // Unsnap but keep track
 
-        // Fix 2: Only copy config properties, not internal state
-        const childData1 = {};
-        const childData2 = {};
-        for (const key of SAFE_ZONE_PROPS) {
-            if (key in this) {
-                childData1[key] = this[key];
-                childData2[key] = this[key];
-            }
+        const baseName = this.name ?? 'Zone';
+        this._buildChildZones([{ name: `${baseName}.1` }, { name: `${baseName}.2` }]);
+
+        // Move original windows to the first child
+        windowsToMove.forEach(w => this.childZones[0].snapWindow(w));
+
+        this.setTabBarVisible(false);
+        this._updateActionButtons();
+        this.emit('layout-changed', this);
+    }
+
+    /**
+     * Geometry of the two children for the current splitDirection, in the
+     * same monitor-relative coordinates as this zone.
+     */
+    _childGeometry() {
+        const { x, y, width, height } = this;
+        const ratio = this._getSplitRatio();
+        if (this.splitDirection === 'horizontal') {
+            const newHeight = Math.floor(height * ratio);
+            return [
+                { x, y, width, height: newHeight },
+                { x, y: y + newHeight, width, height: height - newHeight },
+            ];
         }
-        // Clear childZones on the child data (they are new leaf zones)
-        childData1.childZones = [];
-        childData2.childZones = [];
-        childData1.splitDirection = 'none';
-        childData2.splitDirection = 'none';
+        const newWidth = Math.floor(width * ratio);
+        return [
+            { x, y, width: newWidth, height },
+            { x: x + newWidth, y, width: width - newWidth, height },
+        ];
+    }
+
+    /**
+     * Create the two child zones. `childDataList` supplies per-child config
+     * (name, nested childZones, ...); anything missing is inherited from this
+     * zone. Child geometry is always derived from ours, so a persisted tree
+     * follows edits to the parent rectangle.
+     */
+    _buildChildZones(childDataList) {
+        const geometry = this._childGeometry();
+        this.childZones = childDataList.slice(0, 2).map((childConfig, i) => {
+            // Fix 2: Only copy config properties, not internal state
+            const childData = {};
+            for (const key of SAFE_ZONE_PROPS) {
+                if (key in this) {
+                    childData[key] = this[key];
+                }
+            }
+            // Children are leaves unless the persisted tree says otherwise
+            childData.childZones = [];
+            childData.splitDirection = 'none';
+            delete childData.splitRatio;
+            for (const key of SAFE_ZONE_PROPS) {
+                if (key in childConfig) {
+                    childData[key] = childConfig[key];
+                }
+            }
+            // Child geometry is always in pixels, derived from ours, and
+            // children sit on our (already resolved) monitor
+            delete childData.units;
+            delete childData.clipToWorkArea;
+            delete childData.monitorConnector;
+            delete childData.monitorId;
+            Object.assign(childData, geometry[i]);
+
+            const child = new Zone(childData, this._tabBar._config, this._windowTracker, this);
+            this._forwardChildSignals(child);
+            // New children join whatever layer the tab bars are currently in
+            if (this._isTabBarInChrome) child.setLayer(false);
+            if (!this._isWorkspaceActive) child.setWorkspaceActive(false);
+            return child;
+        });
+        this._createDivider();
+    }
+
+    _getSplitRatio() {
+        const ratio = Number(this.splitRatio);
+        if (!Number.isFinite(ratio)) return 0.5;
+        return Math.min(MAX_SPLIT_RATIO, Math.max(MIN_SPLIT_RATIO, ratio));
+    }
 
-        if (direction === 'horizontal') {
-            const newHeight = Math.floor(this.height / 2);
-            childData1.height = newHeight;
-            childData2.height = this.height - newHeight;
-            childData2.y = this.y + newHeight;
-        } else { // vertical
-            const newWidth = Math.floor(this.width / 2);
-            childData1.width = newWidth;
-            childData2.width = this.width - newWidth;
-            childData2.x = this.x + newWidth;
+    /**
+     * Change the split ratio and re-lay out the subtree. Tab bars follow
+     * immediately; snapped windows are resized at most every
+     * DIVIDER_RESIZE_INTERVAL_MS so a fast drag doesn't flood Mutter.
+     */
+    setSplitRatio(ratio) {
+        if (this.childZones.length === 0) return;
+        this.splitRatio = Math.round(Math.min(MAX_SPLIT_RATIO, Math.max(MIN_SPLIT_RATIO, ratio)) * 1000) / 1000;
+        this._relayoutChildren(false);
+        if (!this._dividerResizeId) {
+            this._dividerResizeId = this._safeTimeoutAdd(GLib.PRIORITY_DEFAULT, DIVIDER_RESIZE_INTERVAL_MS, () => {
+                this._dividerResizeId = 0;
+                this._relayoutChildren(true);
+                return GLib.SOURCE_REMOVE;
+            });
         }
+    }
 
-        const child1 = new Zone(childData1, this._tabBar._config, this._windowTracker, this);
-        const child2 = new Zone(childData2, this._tabBar._config, this._windowTracker, this);
-        this.childZones = [child1, child2];
+    _relayoutChildren(placeWindows) {
+        const geometry = this._childGeometry();
+        this.childZones.forEach((child, i) => {
+            Object.assign(child, geometry[i]);
+            child._updateTabBarPosition();
+            child._tabBar?._updateTabSizes();
+            if (child.childZones.length > 0) {
+                child._relayoutChildren(placeWindows);
+            } else if (placeWindows) {
+                child.getSnappedWindows().forEach(w => {
+                    try {
+                        if (w && w.get_compositor_private()) child._placeWindow(w);
+                    } catch (e) {
+                        logError(e, 'TabbedTiling: Error resizing window for new split ratio');
+                    }
+                });
+            }
+        });
+        this._updateDividerPosition();
+    }
 
-        // Move original windows to the first child
-        windowsToMove.forEach(w => child1.snapWindow(w));
+    _createDivider() {
+        this._destroyDivider();
+        const divider = new SplitDivider(this.splitDirection);
+        divider.connect('drag-motion', (_actor, x, y) => this._onDividerDragged(x, y));
+        divider.connect('drag-end', () => {
+            // Make sure the final ratio is applied, then persist it
+            this._relayoutChildren(true);
+            this.emit('layout-changed', this);
+        });
+        this._divider = divider;
+        // Start in the background like tab bars; setLayer() promotes it.
+        Main.layoutManager._backgroundGroup.add_child(divider);
+        if (this._isTabBarInChrome) this._setDividerLayer(false);
+        this._updateDividerPosition();
+    }
 
-        this.setTabBarVisible(false);
-        this._updateActionButtons();
+    _onDividerDragged(stageX, stageY) {
+        const rect = this.rect;
+        if (!rect) return;
+        const ratio = this.splitDirection === 'horizontal'
+            ? (stageY - rect.y) / rect.height
+            : (stageX - rect.x) / rect.width;
+        this.setSplitRatio(ratio);
+    }
+
+    _updateDividerPosition() {
+        if (!this._divider) return;
+        const rect = this.rect;
+        const first = this.childZones[0];
+        if (!rect || !first || !this._isWorkspaceActive) {
+            this._divider.hide();
+            return;
+        }
+        const half = Math.floor(DIVIDER_THICKNESS / 2);
+        if (this.splitDirection === 'horizontal') {
+            this._divider.set_position(rect.x, rect.y + first.height - half);
+            this._divider.set_size(rect.width, DIVIDER_THICKNESS);
+        } else {
+            this._divider.set_position(rect.x + first.width - half, rect.y);
+            this._divider.set_size(DIVIDER_THICKNESS, rect.height);
+        }
+        this._divider.show();
+    }
+
+    _destroyDivider() {
+        if (!this._divider) return;
+        try {
+            if (this._isDividerInChrome) {
+                Main.layoutManager.removeChrome(this._divider);
+            } else {
+                const parent = this._divider.get_parent?.();
+                if (parent) parent.remove_child(this._divider);
+            }
+        } catch (e) {
+            // Best-effort removal from parent
+        }
+        try {
+            this._divider.destroy();
+        } catch (e) { }
+        this._divider = null;
+        this._isDividerInChrome = false;
+    }
+
+    /**
+     * Serializable config for this zone and its split subtree, in the same
+     * shape as the profile's zones.json entries.
+     */
+    toConfig() {
+        const data = {};
+        for (const key of SAFE_ZONE_PROPS) {
+            if (key !== 'childZones' && this[key] !== undefined) {
+                data[key] = this[key];
+            }
+        }
+        if (this._configRect) {
+            Object.assign(data, this._configRect);
+            if (this._configMonitorIndex !== undefined) data.monitorIndex = this._configMonitorIndex;
+        }
+        if (this.childZones.length > 0) {
+            data.childZones = this.childZones.map(child => child.toConfig());
+        } else {
+            delete data.splitDirection;
+            delete data.splitRatio;
+        }
+        return data;
     }
 
     merge() {
@@ -632,6 +1061,8 @@ export class Zone {
         this.childZones.forEach(child => child.destroy());
         this.childZones = [];
         this.splitDirection = 'none';
+        delete this.splitRatio;
+        this._destroyDivider();
 
         // Re-snap all collected windows to this now-merged zone, validating each
         windowsToMove.forEach(w => {
@@ -646,6 +1077,12 @@ export class Zone {
 
         this._updateVisibility();
         this._updateActionButtons();
+        this.emit('layout-changed', this);
+    }
+
+    _forwardChildSignals(child) {
+        for (const name of BUBBLED_SIGNALS)
+            child.connect(name, (_child, ...args) => this.emit(name, ...args));
     }
 
     _updateActionButtons() {
@@ -665,6 +1102,7 @@ export class Zone {
             [...this.childZones].forEach(child => child.destroy());
             this.childZones = [];
         }
+        this._destroyDivider();
         // Unsnap all windows BEFORE clearing source IDs so any new sources
         // created by unsnapWindow are tracked and cleaned up below.
         [...this._snappedWindows].forEach(win => this.unsnapWindow(win));
@@ -691,5 +1129,6 @@ export class Zone {
             } catch (e) { }
             this._tabBar = null;
         }
+        this.disconnectAll();
     }
 }
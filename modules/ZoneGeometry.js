@@ -0,0 +1,70 @@
+// modules/ZoneGeometry.js — Zone rectangles in pixels or in percent of a monitor
+//
+// Zones store x, y, width and height relative to their monitor. With
+// `units: 'percent'` the values are percentages of the monitor's size and are
+// resolved to pixels when the zone is loaded, so one profile fits 1080p, 1440p
+// and 4K panels alike. Zones without `units` are in pixels.
+//
+// Shared by the Shell process and the prefs window; no Shell imports here.
+
+export const ZONE_UNITS = ['px', 'percent'];
+
+export function isPercentZone(zoneData) {
+    return zoneData?.units === 'percent';
+}
+
+/**
+ * Pixel rectangle of a zone, relative to its monitor.
+ * @param {object} zoneData - Zone config ({ x, y, width, height, units })
+ * @param {{width: number, height: number}|null} monitor - Monitor (or
+ *   resolution) percentages are taken of
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function resolveZoneRect(zoneData, monitor) {
+    const x = Number(zoneData?.x ?? 0);
+    const y = Number(zoneData?.y ?? 0);
+    const width = Number(zoneData?.width ?? 0);
+    const height = Number(zoneData?.height ?? 0);
+    if (!isPercentZone(zoneData)) return { x, y, width, height };
+    if (!monitor) return { x: 0, y: 0, width: 0, height: 0 };
+
+    // Round the edges rather than the sizes so neighbouring zones stay flush
+    const toPx = (percent, total) => Math.round(total * percent / 100);
+    const left = toPx(x, monitor.width);
+    const top = toPx(y, monitor.height);
+    return {
+        x: left,
+        y: top,
+        width: toPx(x + width, monitor.width) - left,
+        height: toPx(y + height, monitor.height) - top,
+    };
+}
+
+/**
+ * Convert a pixel rectangle to percentages (two decimals) of a monitor.
+ * @param {{x: number, y: number, width: number, height: number}} rect
+ * @param {{width: number, height: number}} monitor
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function toPercentRect(rect, monitor) {
+    const toPercent = (px, total) => total > 0 ? Math.round(px / total * 10000) / 100 : 0;
+    return {
+        x: toPercent(rect.x, monitor.width),
+        y: toPercent(rect.y, monitor.height),
+        width: toPercent(rect.width, monitor.width),
+        height: toPercent(rect.height, monitor.height),
+    };
+}
+
+/**
+ * Intersection of two rectangles. When they don't overlap, the result is an
+ * empty rectangle at the nearest edge of `bounds`.
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function clipRect(rect, bounds) {
+    const x = Math.min(Math.max(rect.x, bounds.x), bounds.x + bounds.width);
+    const y = Math.min(Math.max(rect.y, bounds.y), bounds.y + bounds.height);
+    const right = Math.max(x, Math.min(rect.x + rect.width, bounds.x + bounds.width));
+    const bottom = Math.max(y, Math.min(rect.y + rect.height, bounds.y + bounds.height));
+    return { x, y, width: right - x, height: bottom - y };
+}
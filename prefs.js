@@ -3,11 +3,12 @@ import Gdk from 'gi://Gdk';
 import Gtk from 'gi://Gtk';
 import {ExtensionPreferences} from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
 
-import {loadConfig} from './prefs/ConfigIO.js';
+import {loadConfig, getLoadProblems} from './prefs/ConfigIO.js';
 import {buildProfilesPage} from './prefs/ProfilesPage.js';
 import {buildAppearancePage} from './prefs/AppearancePage.js';
 import {buildBehaviorPage} from './prefs/BehaviorPage.js';
 import {buildAboutPage} from './prefs/AboutPage.js';
+import {showProblemsDialog} from './prefs/ProblemsDialog.js';
 
 // ---------------------------------------------------------------------------
 // Scoped CSS for the prefs window
@@ -145,5 +146,19 @@ export default class TabbedTilingPrefs extends ExtensionPreferences {
         window.add(buildAppearancePage(window, window, config));
         window.add(buildBehaviorPage(window, window, settings, config));
         window.add(buildAboutPage(window, window));
+
+        // The pages above have loaded every file they use by now
+        const problems = getLoadProblems();
+        if (problems.length > 0) {
+            const toast = new Adw.Toast({
+                title: problems.length === 1
+                    ? 'Found a problem in the settings files'
+                    : `Found ${problems.length} problems in the settings files`,
+                button_label: 'Details',
+                timeout: 0,
+            });
+            toast.connect('button-clicked', () => showProblemsDialog(window, problems));
+            window.add_toast(toast);
+        }
     }
 }
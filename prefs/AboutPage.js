@@ -15,7 +15,14 @@ import {
     loadProfileZones,
     saveProfiles,
     saveProfileZones,
+    checkConfigFiles,
+    describeFile,
+    CONFIG_FILENAME,
+    PROFILES_FILENAME,
+    BACKUP_LIMIT,
 } from './ConfigIO.js';
+import { showProblemsDialog } from './ProblemsDialog.js';
+import { showBackupBrowser } from './BackupBrowser.js';
 
 const log = msg => console.log(`[TabbedTiling.AboutPage] ${msg}`);
 
@@ -117,10 +124,58 @@ export function buildAboutPage(window, toastOverlay) {
 
     const maintenanceGroup = new Adw.PreferencesGroup({
         title: 'Maintenance',
-        description: 'Reset, export, or import extension data',
+        description: 'Check, restore, reset, export, or import extension data',
     });
     page.add(maintenanceGroup);
 
+    // --- Check Settings Files ---
+    {
+        const row = new Adw.ActionRow({
+            title: 'Check Settings Files',
+            subtitle: 'Validate the configuration and every profile',
+        });
+        const checkBtn = new Gtk.Button({
+            label: 'Check',
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+        });
+        checkBtn.connect('clicked', () => {
+            const problems = checkConfigFiles();
+            if (problems.length > 0)
+                showProblemsDialog(window, problems);
+            else
+                toastOverlay.add_toast(new Adw.Toast({ title: 'No problems found' }));
+        });
+        row.add_suffix(checkBtn);
+        maintenanceGroup.add(row);
+    }
+
+    // --- Restore from Backup ---
+    {
+        const row = new Adw.ActionRow({
+            title: 'Restore from Backup',
+            subtitle: `Earlier versions of the settings files (last ${BACKUP_LIMIT} of each)`,
+        });
+        const browseBtn = new Gtk.Button({
+            label: 'Browse…',
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+        });
+        browseBtn.connect('clicked', () => {
+            showBackupBrowser(window, toastOverlay, backup => {
+                // The extension only watches config.json and profiles.json;
+                // touch config.json so it reloads a restored zones.json too
+                const name = describeFile(backup.source);
+                if (name !== CONFIG_FILENAME && name !== PROFILES_FILENAME)
+                    saveConfig(loadConfig());
+                // The pages hold the old values and would save them back
+                window.close();
+            });
+        });
+        row.add_suffix(browseBtn);
+        maintenanceGroup.add(row);
+    }
+
     // --- Reset All Settings ---
     {
         const row = new Adw.ActionRow({
@@ -0,0 +1,171 @@
+// prefs/BackupBrowser.js — Browse and restore backups of the settings files
+// Runs in the prefs process only (GTK4 / libadwaita).
+// Lists the versions ConfigStore.js keeps in backups/, shows what restoring
+// one would change and puts it back in place.
+
+import GLib from 'gi://GLib';
+import Gtk from 'gi://Gtk';
+import Adw from 'gi://Adw';
+
+import { listAllBackups, restoreBackup, readText, describeFile } from './ConfigIO.js';
+import { diffLines, summarizeDiff, trimContext } from './LineDiff.js';
+
+// Adwaita green and red, readable on light and dark backgrounds
+const ADDED_COLOR = '#26a269';
+const REMOVED_COLOR = '#c01c28';
+
+function formatDate(date) {
+    return GLib.DateTime.new_from_unix_local(Math.floor(date.getTime() / 1000)).format('%x %X');
+}
+
+// Pretty-print JSON so files written with other formatting compare line by line
+function normalize(text) {
+    if (text === null) return '';
+    try {
+        return JSON.stringify(JSON.parse(text), null, 2);
+    } catch (e) {
+        return text;
+    }
+}
+
+// Lines that change when the current file is replaced with the backup
+function diffAgainstCurrent(backup) {
+    return diffLines(normalize(readText(backup.source)), normalize(readText(backup.file)));
+}
+
+function describeChanges(ops) {
+    const { added, removed } = summarizeDiff(ops);
+    if (added === 0 && removed === 0) return 'Same as the current file';
+    return `Restoring changes ${added + removed} lines (+${added} −${removed})`;
+}
+
+/**
+ * Show the backup browser.
+ * @param {Gtk.Widget} parent - Widget the dialog is presented on
+ * @param {Adw.ToastOverlay} toastOverlay - Toast overlay for feedback
+ * @param {function({file: Gio.File, source: Gio.File}): void} onRestored -
+ *   Called after a backup was put back in place
+ */
+export function showBackupBrowser(parent, toastOverlay, onRestored) {
+    const dialog = new Adw.Dialog({
+        title: 'Restore from Backup',
+        content_width: 560,
+        content_height: 600,
+    });
+    const navigationView = new Adw.NavigationView();
+    dialog.set_child(navigationView);
+
+    const confirmRestore = backup => {
+        const name = describeFile(backup.source);
+        const confirm = new Adw.AlertDialog({
+            heading: `Restore ${name}?`,
+            body: `${name} is replaced with the version from ${formatDate(backup.date)}. ` +
+                'The current version is backed up first. The preferences window ' +
+                'closes afterwards so it doesn\'t save over the restored file.',
+        });
+        confirm.add_response('cancel', 'Cancel');
+        confirm.add_response('restore', 'Restore');
+        confirm.set_response_appearance('restore', Adw.ResponseAppearance.DESTRUCTIVE);
+        confirm.set_default_response('cancel');
+        confirm.set_close_response('cancel');
+        confirm.connect('response', (_dlg, response) => {
+            if (response !== 'restore') return;
+            if (!restoreBackup(backup)) {
+                toastOverlay.add_toast(new Adw.Toast({ title: `Could not restore ${name}` }));
+                return;
+            }
+            dialog.close();
+            onRestored(backup);
+        });
+        confirm.present(dialog);
+    };
+
+    const showDiff = backup => {
+        const ops = diffAgainstCurrent(backup);
+        const buffer = new Gtk.TextBuffer();
+        buffer.create_tag('added', { foreground: ADDED_COLOR });
+        buffer.create_tag('removed', { foreground: REMOVED_COLOR });
+        buffer.create_tag('gap', { foreground: 'gray' });
+
+        const { added, removed } = summarizeDiff(ops);
+        if (added === 0 && removed === 0) {
+            buffer.set_text('The backup is the same as the current file.', -1);
+        } else {
+            for (const { op, text } of trimContext(ops)) {
+                const tag = { '+': 'added', '-': 'removed', '…': 'gap' }[op];
+                const line = op === '…' ? '  …\n' : `${op} ${text}\n`;
+                if (tag)
+                    buffer.insert_with_tags_by_name(buffer.get_end_iter(), line, tag);
+                else
+                    buffer.insert(buffer.get_end_iter(), line, -1);
+            }
+        }
+
+        const textView = new Gtk.TextView({
+            buffer,
+            editable: false,
+            cursor_visible: false,
+            monospace: true,
+            top_margin: 12,
+            bottom_margin: 12,
+            left_margin: 12,
+            right_margin: 12,
+        });
+
+        const restoreBtn = new Gtk.Button({ label: 'Restore', css_classes: ['suggested-action'] });
+        restoreBtn.connect('clicked', () => confirmRestore(backup));
+        const header = new Adw.HeaderBar();
+        header.pack_end(restoreBtn);
+
+        const toolbarView = new Adw.ToolbarView({
+            content: new Gtk.ScrolledWindow({ child: textView, vexpand: true }),
+        });
+        toolbarView.add_top_bar(header);
+        toolbarView.add_top_bar(new Gtk.Label({
+            label: `${describeFile(backup.source)}: lines marked − are removed and + are added by restoring`,
+            wrap: true,
+            margin_top: 6,
+            margin_bottom: 6,
+            margin_start: 12,
+            margin_end: 12,
+            css_classes: ['dim-label', 'caption'],
+        }));
+        navigationView.push(new Adw.NavigationPage({
+            title: formatDate(backup.date),
+            child: toolbarView,
+        }));
+    };
+
+    // Root page: every file with backups, newest version first
+    const files = listAllBackups();
+    let content;
+    if (files.length === 0) {
+        content = new Adw.StatusPage({
+            icon_name: 'document-open-recent-symbolic',
+            title: 'No Backups Yet',
+            description: 'An earlier version of a settings file is kept each time it is saved, at most every five minutes.',
+        });
+    } else {
+        content = new Adw.PreferencesPage();
+        for (const { source, backups } of files) {
+            const group = new Adw.PreferencesGroup({ title: describeFile(source) });
+            content.add(group);
+            for (const backup of backups) {
+                const row = new Adw.ActionRow({
+                    title: formatDate(backup.date),
+                    subtitle: describeChanges(diffAgainstCurrent(backup)),
+                    activatable: true,
+                });
+                row.add_suffix(new Gtk.Image({ icon_name: 'go-next-symbolic' }));
+                row.connect('activated', () => showDiff(backup));
+                group.add(row);
+            }
+        }
+    }
+
+    const rootView = new Adw.ToolbarView({ content });
+    rootView.add_top_bar(new Adw.HeaderBar());
+    navigationView.add(new Adw.NavigationPage({ title: 'Restore from Backup', child: rootView }));
+
+    dialog.present(parent);
+}
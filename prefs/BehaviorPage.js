@@ -3,10 +3,13 @@
 
 import Gtk from 'gi://Gtk';
 import Adw from 'gi://Adw';
+import GLib from 'gi://GLib';
 
-import { saveConfig } from './ConfigIO.js';
+import { saveConfig, loadWindowSnapshot } from './ConfigIO.js';
 import { AutoSaver } from './AutoSaver.js';
 import { KeybindingRow } from './KeybindingRow.js';
+import { RuleEditorRow } from './RuleEditorRow.js';
+import { findMatchingRule, describeRuleTarget } from '../modules/PlacementRules.js';
 
 const log = msg => console.log(`[TabbedTiling.BehaviorPage] ${msg}`);
 
@@ -33,6 +36,7 @@ export function buildBehaviorPage(window, toastOverlay, settings, config) {
     config.exclusions ??= { list: [], criteria: 'wmClass' };
     config.exclusions.list ??= [];
     config.exclusions.criteria ??= 'wmClass';
+    if (!Array.isArray(config.rules)) config.rules = [];
 
     const autoSaver = new AutoSaver(
         () => saveConfig(config),
@@ -87,9 +91,10 @@ export function buildBehaviorPage(window, toastOverlay, settings, config) {
     }
 
     // --- Sorting Criteria ---
+    let sortingOrderRow = null;
     {
-        const labels = ['Window Title', 'App Name', 'WM_CLASS'];
-        const values = ['windowTitle', 'appName', 'wmClass'];
+        const labels = ['Window Title', 'App Name', 'WM_CLASS', 'Manual (drag to reorder)'];
+        const values = ['windowTitle', 'appName', 'wmClass', 'manual'];
         const model = Gtk.StringList.new(labels);
         const row = new Adw.ComboRow({
             title: 'Sorting Criteria',
@@ -99,6 +104,8 @@ export function buildBehaviorPage(window, toastOverlay, settings, config) {
         row.set_selected(Math.max(0, values.indexOf(config.tabBar.sortingCriteria ?? 'windowTitle')));
         row.connect('notify::selected', () => {
             config.tabBar.sortingCriteria = values[row.selected];
+            // Sort direction has no meaning for a hand-arranged order
+            sortingOrderRow?.set_sensitive(values[row.selected] !== 'manual');
             autoSaver.queue();
         });
         tabBehaviorGroup.add(row);
@@ -113,6 +120,7 @@ export function buildBehaviorPage(window, toastOverlay, settings, config) {
             title: 'Sorting Order',
             subtitle: 'Sort direction for tabs',
             model: model,
+            sensitive: config.tabBar.sortingCriteria !== 'manual',
         });
         row.set_selected(Math.max(0, values.indexOf(config.tabBar.sortingOrder ?? 'ASC')));
         row.connect('notify::selected', () => {
@@ -120,6 +128,39 @@ export function buildBehaviorPage(window, toastOverlay, settings, config) {
             autoSaver.queue();
         });
         tabBehaviorGroup.add(row);
+        sortingOrderRow = row;
+    }
+
+    // --- Tab Cycling ---
+    {
+        const labels = ['Stop at first/last tab', 'Wrap around', 'Most recently used'];
+        const values = ['linear', 'wrap', 'mru'];
+        const model = Gtk.StringList.new(labels);
+        const row = new Adw.ComboRow({
+            title: 'Tab Cycling',
+            subtitle: 'Order used by the next/previous tab shortcuts',
+            model: model,
+        });
+        row.set_selected(Math.max(0, values.indexOf(config.tabBar.cyclingMode ?? 'linear')));
+        row.connect('notify::selected', () => {
+            config.tabBar.cyclingMode = values[row.selected];
+            autoSaver.queue();
+        });
+        tabBehaviorGroup.add(row);
+    }
+
+    // --- Switcher Popup ---
+    {
+        const row = new Adw.SwitchRow({
+            title: 'Show Tab Switcher',
+            subtitle: 'Show a switcher while the shortcut\'s modifier keys are held',
+            active: config.tabBar.cyclingPopup ?? true,
+        });
+        row.connect('notify::active', () => {
+            config.tabBar.cyclingPopup = row.get_active();
+            autoSaver.queue();
+        });
+        tabBehaviorGroup.add(row);
     }
 
     // =======================================================================
@@ -128,7 +169,7 @@ export function buildBehaviorPage(window, toastOverlay, settings, config) {
 
     const shortcutsGroup = new Adw.PreferencesGroup({
         title: 'Keyboard Shortcuts',
-        description: 'Configure keyboard shortcuts for tab navigation',
+        description: 'Configure keyboard shortcuts for tab and zone navigation',
     });
     page.add(shortcutsGroup);
 
@@ -158,6 +199,73 @@ export function buildBehaviorPage(window, toastOverlay, settings, config) {
     shortcutsGroup.add(toggleLayer);
     keybindingRows.push(toggleLayer);
 
+    const lastUsedTab = new KeybindingRow(
+        settings, 'activate-last-used-tab',
+        'Last Used Tab',
+        'Switch back to the previously active tab in the focused zone'
+    );
+    shortcutsGroup.add(lastUsedTab);
+    keybindingRows.push(lastUsedTab);
+
+    const toggleFloating = new KeybindingRow(
+        settings, 'toggle-floating',
+        'Float Window',
+        'Take the focused window out of its zone, or put a floating window back'
+    );
+    shortcutsGroup.add(toggleFloating);
+    keybindingRows.push(toggleFloating);
+
+    const jumpToTabExpander = new Adw.ExpanderRow({
+        title: 'Jump to Tab',
+        subtitle: 'Activate a tab of the focused zone by its position',
+    });
+    for (let n = 1; n <= 9; n++) {
+        const row = new KeybindingRow(
+            settings, `activate-tab-${n}`,
+            `Tab ${n}`,
+            ''
+        );
+        jumpToTabExpander.add_row(row);
+        keybindingRows.push(row);
+    }
+    shortcutsGroup.add(jumpToTabExpander);
+
+    // --- Zone navigation ---
+    const directionLabels = { left: 'Left', right: 'Right', up: 'Up', down: 'Down' };
+    for (const [direction, label] of Object.entries(directionLabels)) {
+        const row = new KeybindingRow(
+            settings, `move-window-${direction}`,
+            `Move Window ${label}`,
+            `Move the focused window to the neighbouring zone (${direction})`
+        );
+        shortcutsGroup.add(row);
+        keybindingRows.push(row);
+    }
+    for (const [direction, label] of Object.entries(directionLabels)) {
+        const row = new KeybindingRow(
+            settings, `focus-zone-${direction}`,
+            `Focus Zone ${label}`,
+            `Activate the selected tab of the neighbouring zone (${direction})`
+        );
+        shortcutsGroup.add(row);
+        keybindingRows.push(row);
+    }
+
+    const sendToZoneExpander = new Adw.ExpanderRow({
+        title: 'Send Window to Zone',
+        subtitle: 'Zones are numbered in profile order; split zones count each part',
+    });
+    for (let n = 1; n <= 9; n++) {
+        const row = new KeybindingRow(
+            settings, `send-to-zone-${n}`,
+            `Zone ${n}`,
+            ''
+        );
+        sendToZoneExpander.add_row(row);
+        keybindingRows.push(row);
+    }
+    shortcutsGroup.add(sendToZoneExpander);
+
     // =======================================================================
     // GROUP 3: Window Exclusions
     // =======================================================================
@@ -258,6 +366,127 @@ export function buildBehaviorPage(window, toastOverlay, settings, config) {
         exclusionRows.push(itemRow);
     }
 
+    // =======================================================================
+    // GROUP 4: Placement Rules
+    // =======================================================================
+
+    const rulesGroup = new Adw.PreferencesGroup({
+        title: 'Placement Rules',
+        description: 'Send matching new windows to a zone, a monitor, or leave them floating. ' +
+            'Rules are checked top to bottom before the primary zone; the first match wins.',
+    });
+    page.add(rulesGroup);
+
+    const addRuleBtn = new Gtk.Button({
+        icon_name: 'list-add-symbolic',
+        valign: Gtk.Align.CENTER,
+        css_classes: ['flat'],
+        tooltip_text: 'Add rule',
+    });
+    rulesGroup.set_header_suffix(addRuleBtn);
+
+    let ruleRows = [];
+
+    /**
+     * Recreate the rule rows from config.rules (after removal or reordering).
+     */
+    function rebuildRuleRows() {
+        for (const row of ruleRows) rulesGroup.remove(row);
+        ruleRows = config.rules.map((rule, index) => {
+            const row = new RuleEditorRow(rule, index);
+            row.connect('rule-changed', () => {
+                config.rules[row.ruleIndex] = row.getRuleData();
+                autoSaver.queue();
+                refreshRulePreview();
+            });
+            row.connect('rule-removed', () => {
+                config.rules.splice(row.ruleIndex, 1);
+                rebuildRuleRows();
+                autoSaver.queue();
+                refreshRulePreview();
+            });
+            row.connect('rule-raised', () => {
+                const i = row.ruleIndex;
+                if (i === 0) return;
+                [config.rules[i - 1], config.rules[i]] = [config.rules[i], config.rules[i - 1]];
+                rebuildRuleRows();
+                autoSaver.queue();
+                refreshRulePreview();
+            });
+            rulesGroup.add(row);
+            return row;
+        });
+    }
+
+    addRuleBtn.connect('clicked', () => {
+        config.rules.push({ enabled: true, wmClass: '', target: 'zone', zone: '' });
+        rebuildRuleRows();
+        ruleRows[ruleRows.length - 1]?.set_expanded(true);
+        autoSaver.queue();
+        refreshRulePreview();
+    });
+
+    // --- Live preview against the windows the extension reports as open ---
+    const previewGroup = new Adw.PreferencesGroup({
+        title: 'Test Against Open Windows',
+        description: 'Where each open window would be placed if it opened now',
+    });
+    page.add(previewGroup);
+
+    const refreshBtn = new Gtk.Button({
+        icon_name: 'view-refresh-symbolic',
+        valign: Gtk.Align.CENTER,
+        css_classes: ['flat'],
+        tooltip_text: 'Reload the open window list',
+    });
+    previewGroup.set_header_suffix(refreshBtn);
+
+    let snapshot = loadWindowSnapshot();
+    let previewRows = [];
+
+    /**
+     * Re-evaluate the current (unsaved) rules against the window snapshot.
+     */
+    function refreshRulePreview() {
+        for (const row of previewRows) previewGroup.remove(row);
+        previewRows = [];
+
+        if (snapshot.windows.length === 0) {
+            const row = new Adw.ActionRow({
+                title: 'No window list available',
+                subtitle: 'The extension publishes open windows while it is enabled',
+            });
+            previewGroup.add(row);
+            previewRows.push(row);
+            return;
+        }
+
+        for (const win of snapshot.windows) {
+            const match = findMatchingRule(config.rules, win);
+            const row = new Adw.ActionRow({
+                title: GLib.markup_escape_text(win.title || '(untitled)', -1),
+                subtitle: GLib.markup_escape_text(
+                    [win.wmClass, win.appId, win.role].filter(Boolean).join(' · '), -1),
+            });
+            row.add_suffix(new Gtk.Label({
+                label: match
+                    ? `Rule ${match.index + 1} → ${describeRuleTarget(match.rule)}`
+                    : 'Primary zone',
+                css_classes: match ? ['accent'] : ['dim-label'],
+            }));
+            previewGroup.add(row);
+            previewRows.push(row);
+        }
+    }
+
+    refreshBtn.connect('clicked', () => {
+        snapshot = loadWindowSnapshot();
+        refreshRulePreview();
+    });
+
+    rebuildRuleRows();
+    refreshRulePreview();
+
     // =======================================================================
     // Cleanup on window close
     // =======================================================================
@@ -0,0 +1,146 @@
+// prefs/EditHistory.js — Undo/redo stack for edits in the preferences window
+// Runs in the prefs process only (no GI imports).
+// Each entry knows how to undo and redo itself. Rapid edits of the same thing
+// (spin button steps, canvas drags) merge into one entry, so one undo takes
+// back the whole change rather than its last step.
+
+const log = msg => console.log(`[TabbedTiling.EditHistory] ${msg}`);
+
+// Most entries kept; older ones are dropped
+const HISTORY_LIMIT = 50;
+// Edits with the same merge key closer together than this become one entry
+const MERGE_MS = 1000;
+
+/**
+ * EditHistory — undo/redo stack.
+ *
+ * Usage:
+ *   const history = new EditHistory(() => updateButtons());
+ *   // After every change:
+ *   history.push({ label: 'Delete zone', undo: () => ..., redo: () => ... });
+ *   // Ctrl+Z / Ctrl+Shift+Z:
+ *   history.undo();
+ *   history.redo();
+ */
+export class EditHistory {
+    /**
+     * @param {Function} [onChanged] - Called whenever canUndo/canRedo may have changed
+     */
+    constructor(onChanged = null) {
+        this._onChanged = onChanged;
+        this._undoStack = [];
+        this._redoStack = [];
+        // Set while an entry runs, so the changes it makes aren't recorded
+        this._applying = false;
+    }
+
+    /** @type {boolean} */
+    get canUndo() {
+        return this._undoStack.length > 0;
+    }
+
+    /** @type {boolean} */
+    get canRedo() {
+        return this._redoStack.length > 0;
+    }
+
+    /**
+     * The entry the next undo() takes back, or null.
+     * @type {object|null}
+     */
+    get lastEntry() {
+        return this._undoStack.at(-1) ?? null;
+    }
+
+    /**
+     * Whether an undo or redo is being applied right now.
+     * @type {boolean}
+     */
+    get applying() {
+        return this._applying;
+    }
+
+    /**
+     * Record a change that has just been made. Clears the redo stack.
+     * @param {object} entry
+     * @param {string} entry.label - Shown to the user, e.g. 'Delete zone'
+     * @param {Function} entry.undo - Puts things back as they were before
+     * @param {Function} entry.redo - Makes the change again
+     * @param {*} [entry.mergeKey] - Entries with the same key in quick
+     *   succession merge, keeping the first undo and the last redo
+     * @returns {object|null} The recorded entry, or null while applying
+     */
+    push(entry) {
+        if (this._applying) return null;
+
+        const now = Date.now();
+        const top = this._undoStack.at(-1);
+        if (entry.mergeKey !== undefined && top?.mergeKey === entry.mergeKey &&
+            now - top.time < MERGE_MS && this._redoStack.length === 0) {
+            top.redo = entry.redo;
+            top.time = now;
+        } else {
+            this._undoStack.push({ ...entry, time: now });
+            if (this._undoStack.length > HISTORY_LIMIT)
+                this._undoStack.shift();
+        }
+        this._redoStack = [];
+        this._notify();
+        return this.lastEntry;
+    }
+
+    /**
+     * Undo the newest entry.
+     * @returns {string|null} Its label, or null if there was nothing to undo
+     */
+    undo() {
+        return this._apply(this._undoStack, this._redoStack, 'undo');
+    }
+
+    /**
+     * Redo the entry undone last.
+     * @returns {string|null} Its label, or null if there was nothing to redo
+     */
+    redo() {
+        return this._apply(this._redoStack, this._undoStack, 'redo');
+    }
+
+    /**
+     * Forget all entries, e.g. when switching to another profile.
+     */
+    clear() {
+        this._undoStack = [];
+        this._redoStack = [];
+        this._notify();
+    }
+
+    // -----------------------------------------------------------------------
+    // Private
+    // -----------------------------------------------------------------------
+
+    _apply(from, to, method) {
+        const entry = from.pop();
+        if (!entry) return null;
+
+        this._applying = true;
+        try {
+            entry[method]();
+        } catch (e) {
+            log(`Error in ${method} of "${entry.label}": ${e}`);
+        } finally {
+            this._applying = false;
+        }
+        // An undone entry never merges with the next edit
+        to.push({ ...entry, time: 0 });
+        this._notify();
+        return entry.label;
+    }
+
+    _notify() {
+        try {
+            this._onChanged?.();
+        } catch (e) {
+            log(`Error in onChanged: ${e}`);
+        }
+    }
+}
@@ -0,0 +1,223 @@
+// prefs/LayoutTemplates.js — Layout templates for the Zone Generator
+// Runs in the prefs process only; no GTK here.
+//
+// A template turns its parameters into a layout tree of binary splits:
+//   leaf:  {}
+//   split: { direction, ratio, children: [first, second] }
+// with the same meaning as a zone's split tree ('vertical' = left / right,
+// 'horizontal' = top / bottom, ratio = share of the first child). The
+// generator lays the tree out as separate zones or as one split zone.
+
+// Split zones keep each child between 10% and 90% (see Zone.js)
+const MIN_SPLIT_RATIO = 0.1;
+const MAX_SPLIT_RATIO = 0.9;
+
+const MAX_RATIO_PARTS = 16;
+
+/**
+ * Split into as many parts as there are weights, as a chain of binary splits.
+ * @param {string} direction - 'vertical' (columns) or 'horizontal' (rows)
+ * @param {number[]} weights - Relative sizes of the parts
+ * @param {function(number): object} [makePart] - Subtree for part i
+ */
+function weightedSplit(direction, weights, makePart = () => ({})) {
+    const build = start => {
+        if (start === weights.length - 1) return makePart(start);
+        const rest = weights.slice(start).reduce((a, b) => a + b, 0);
+        return {
+            direction,
+            ratio: weights[start] / rest,
+            children: [makePart(start), build(start + 1)],
+        };
+    };
+    return build(0);
+}
+
+/**
+ * Parse a ratio list such as "1:2:1" (also accepts commas or spaces).
+ * @returns {number[]} The weights, or [] when the text isn't a valid list
+ */
+export function parseRatios(text) {
+    const parts = String(text ?? '').split(/[\s:,]+/).filter(Boolean);
+    const weights = parts.map(Number);
+    if (weights.length === 0 || weights.length > MAX_RATIO_PARTS) return [];
+    return weights.every(w => Number.isFinite(w) && w > 0) ? weights : [];
+}
+
+/**
+ * Available templates. Parameters are 'int' (min/max), 'choice' (stored as
+ * the option index) or 'text'.
+ */
+export const LAYOUT_TEMPLATES = [
+    {
+        id: 'columns',
+        title: 'Columns',
+        params: [
+            { key: 'count', title: 'Columns', type: 'int', min: 1, max: 16, default: 2 },
+        ],
+        build: p => weightedSplit('vertical', Array(p.count).fill(1)),
+    },
+    {
+        id: 'rows',
+        title: 'Rows',
+        params: [
+            { key: 'count', title: 'Rows', type: 'int', min: 1, max: 16, default: 2 },
+        ],
+        build: p => weightedSplit('horizontal', Array(p.count).fill(1)),
+    },
+    {
+        id: 'grid',
+        title: 'Grid',
+        params: [
+            { key: 'columns', title: 'Columns', type: 'int', min: 1, max: 8, default: 2 },
+            { key: 'rows', title: 'Rows', type: 'int', min: 1, max: 8, default: 2 },
+        ],
+        build: p => weightedSplit('vertical', Array(p.columns).fill(1),
+            () => weightedSplit('horizontal', Array(p.rows).fill(1))),
+    },
+    {
+        id: 'master-stack',
+        title: 'Master and Stack',
+        params: [
+            { key: 'masterPercent', title: 'Master Width', subtitle: 'Percent of the monitor width', type: 'int', min: 20, max: 80, default: 60 },
+            { key: 'stackCount', title: 'Stacked Zones', type: 'int', min: 1, max: 8, default: 2 },
+            { key: 'masterSide', title: 'Master Side', type: 'choice', options: ['Left', 'Right'], default: 0 },
+        ],
+        build: p => {
+            const stack = weightedSplit('horizontal', Array(p.stackCount).fill(1));
+            const master = p.masterPercent / 100;
+            return p.masterSide === 0
+                ? { direction: 'vertical', ratio: master, children: [{}, stack] }
+                : { direction: 'vertical', ratio: 1 - master, children: [stack, {}] };
+        },
+    },
+    {
+        id: 'wide-centre',
+        title: 'Wide Centre',
+        params: [
+            { key: 'centrePercent', title: 'Centre Width', subtitle: 'Percent of the monitor width', type: 'int', min: 20, max: 80, default: 50 },
+        ],
+        build: p => {
+            const side = (100 - p.centrePercent) / 2;
+            return weightedSplit('vertical', [side, p.centrePercent, side]);
+        },
+    },
+    {
+        id: 'thirds',
+        title: 'One Third / Two Thirds',
+        params: [
+            { key: 'wideSide', title: 'Wide Side', type: 'choice', options: ['Left', 'Right'], default: 1 },
+        ],
+        build: p => weightedSplit('vertical', p.wideSide === 0 ? [2, 1] : [1, 2]),
+    },
+    {
+        id: 'ratios',
+        title: 'Custom Ratios',
+        params: [
+            { key: 'ratios', title: 'Ratios', subtitle: 'Relative sizes, e.g. 1:2:1', type: 'text', default: '1:2:1' },
+            { key: 'direction', title: 'Direction', type: 'choice', options: ['Columns', 'Rows'], default: 0 },
+        ],
+        build: p => {
+            const weights = parseRatios(p.ratios);
+            if (weights.length === 0) return null;
+            return weightedSplit(p.direction === 0 ? 'vertical' : 'horizontal', weights);
+        },
+    },
+];
+
+/**
+ * Template by id; unknown ids get the first template (equal columns).
+ */
+export function getTemplate(id) {
+    return LAYOUT_TEMPLATES.find(t => t.id === id) ?? LAYOUT_TEMPLATES[0];
+}
+
+/**
+ * A template's parameters: saved values where valid, defaults otherwise.
+ * @param {object} template
+ * @param {object} [saved]
+ * @returns {object}
+ */
+export function resolveTemplateParams(template, saved = {}) {
+    const params = {};
+    for (const param of template.params) {
+        const value = saved?.[param.key];
+        if (param.type === 'int') {
+            const n = Math.round(Number(value));
+            params[param.key] = Number.isFinite(n)
+                ? Math.min(param.max, Math.max(param.min, n)) : param.default;
+        } else if (param.type === 'choice') {
+            params[param.key] = Number.isInteger(value) && value >= 0 && value < param.options.length
+                ? value : param.default;
+        } else {
+            params[param.key] = typeof value === 'string' ? value : param.default;
+        }
+    }
+    return params;
+}
+
+/**
+ * Layout tree of a template, or null when its parameters don't describe a
+ * layout (e.g. an unparsable ratio list).
+ */
+export function buildLayoutTree(templateId, params) {
+    const template = getTemplate(templateId);
+    return template.build(resolveTemplateParams(template, params));
+}
+
+/**
+ * Leaf rectangles of a layout tree inside `rect`, in depth-first order.
+ * Edges are rounded so neighbouring rectangles stay flush.
+ * @returns {Array<{x: number, y: number, width: number, height: number}>}
+ */
+export function layoutRects(tree, rect) {
+    const rects = [];
+    const walk = (node, left, top, right, bottom) => {
+        if (!node.children) {
+            const x = Math.round(left);
+            const y = Math.round(top);
+            rects.push({ x, y, width: Math.round(right) - x, height: Math.round(bottom) - y });
+            return;
+        }
+        if (node.direction === 'horizontal') {
+            const split = top + (bottom - top) * node.ratio;
+            walk(node.children[0], left, top, right, split);
+            walk(node.children[1], left, split, right, bottom);
+        } else {
+            const split = left + (right - left) * node.ratio;
+            walk(node.children[0], left, top, split, bottom);
+            walk(node.children[1], split, top, right, bottom);
+        }
+    };
+    walk(tree, rect.x, rect.y, rect.x + rect.width, rect.y + rect.height);
+    return rects;
+}
+
+/**
+ * Whether every split of the tree fits the ratio limits of split zones.
+ */
+export function fitsSplitLimits(tree) {
+    if (!tree.children) return true;
+    return tree.ratio >= MIN_SPLIT_RATIO && tree.ratio <= MAX_SPLIT_RATIO &&
+        tree.children.every(fitsSplitLimits);
+}
+
+/**
+ * Split properties of a zone laid out by the tree (splitDirection,
+ * splitRatio and named childZones), to merge into the zone's config.
+ * @param {object} tree
+ * @param {string} name - Name of the zone; children are named "<name>.1", "<name>.2"
+ * @returns {object}
+ */
+export function layoutToSplitZone(tree, name) {
+    if (!tree.children) return {};
+    const ratio = Math.min(MAX_SPLIT_RATIO, Math.max(MIN_SPLIT_RATIO, tree.ratio));
+    return {
+        splitDirection: tree.direction,
+        splitRatio: Math.round(ratio * 1000) / 1000,
+        childZones: tree.children.map((child, i) => {
+            const childName = `${name}.${i + 1}`;
+            return { name: childName, ...layoutToSplitZone(child, childName) };
+        }),
+    };
+}
@@ -0,0 +1,92 @@
+// prefs/LineDiff.js — Line-by-line diff of two texts
+// Pure logic with no GI imports; the backup browser uses it to show what
+// restoring a backup would change.
+
+/**
+ * Diff two texts line by line (longest common subsequence).
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{op: ' '|'-'|'+', text: string}>} Unchanged, removed and added lines
+ */
+export function diffLines(oldText, newText) {
+    const a = oldText.split('\n');
+    const b = newText.split('\n');
+
+    // Only the part between the common head and tail needs the full table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const n = endA - start;
+    const m = endB - start;
+    // lcs[i][j]: length of the longest common subsequence of a[start + i..] and b[start + j..]
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = a[start + i] === b[start + j]
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const ops = a.slice(0, start).map(text => ({ op: ' ', text }));
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+        if (i < n && j < m && a[start + i] === b[start + j]) {
+            ops.push({ op: ' ', text: a[start + i] });
+            i++;
+            j++;
+        } else if (i < n && (j >= m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            ops.push({ op: '-', text: a[start + i] });
+            i++;
+        } else {
+            ops.push({ op: '+', text: b[start + j] });
+            j++;
+        }
+    }
+    for (const text of a.slice(endA)) ops.push({ op: ' ', text });
+    return ops;
+}
+
+/**
+ * Count the added and removed lines of a diff.
+ * @param {Array<{op: string}>} ops - From diffLines()
+ * @returns {{added: number, removed: number}}
+ */
+export function summarizeDiff(ops) {
+    return {
+        added: ops.filter(o => o.op === '+').length,
+        removed: ops.filter(o => o.op === '-').length,
+    };
+}
+
+/**
+ * Keep only the changed lines and `context` unchanged lines around them.
+ * Each run of dropped lines becomes one { op: '…', text: '' } entry.
+ * @param {Array<{op: string, text: string}>} ops - From diffLines()
+ * @param {number} [context=3]
+ * @returns {Array<{op: string, text: string}>}
+ */
+export function trimContext(ops, context = 3) {
+    const keep = ops.map(() => false);
+    ops.forEach((o, i) => {
+        if (o.op === ' ') return;
+        for (let k = Math.max(0, i - context); k <= Math.min(ops.length - 1, i + context); k++)
+            keep[k] = true;
+    });
+
+    const result = [];
+    ops.forEach((o, i) => {
+        if (keep[i])
+            result.push(o);
+        else if (result.at(-1)?.op !== '…')
+            result.push({ op: '…', text: '' });
+    });
+    return result;
+}
@@ -0,0 +1,107 @@
+// prefs/MonitorInfo.js — Connected monitors as seen from the prefs process
+// Runs in the prefs process only (GTK4). Gdk reports logical (scaled)
+// geometry, the same coordinate space zones are defined in.
+//
+// Gdk's monitor order need not match the Shell's monitor numbers, which
+// zones use as `monitorIndex`, and Gdk has no EDID serials. While the
+// extension runs, both come from its ListMonitors D-Bus call, matched to
+// the Gdk monitors by connector.
+
+import Gdk from 'gi://Gdk';
+import Gio from 'gi://Gio';
+
+import { BUS_NAME, OBJECT_PATH, INTERFACE_XML } from '../modules/DBusService.js';
+
+const log = msg => console.log(`[TabbedTiling.MonitorInfo] ${msg}`);
+
+let _proxy = null;
+
+/**
+ * The Shell's monitors, as returned by the extension's ListMonitors.
+ * @returns {Array<{index: number, connectors: string[], ids: string[]}>}
+ *   Empty when the extension isn't running
+ */
+function shellMonitorIdentities() {
+    try {
+        if (!_proxy) {
+            const Proxy = Gio.DBusProxy.makeProxyWrapper(INTERFACE_XML);
+            _proxy = new Proxy(Gio.DBus.session, BUS_NAME, OBJECT_PATH);
+        }
+        if (!_proxy.g_name_owner) return [];
+        const [json] = _proxy.ListMonitorsSync();
+        return JSON.parse(json);
+    } catch (e) {
+        log(`Could not get the monitors from the extension: ${e}`);
+        return [];
+    }
+}
+
+/**
+ * List the connected monitors, ordered by monitor index. Without the
+ * extension, indices follow Gdk's order.
+ * @returns {Array<{index: number, connector: string, ids: string[], model: string, x: number, y: number, width: number, height: number, scale: number}>}
+ */
+export function listMonitors() {
+    const monitors = [];
+    try {
+        const shellMonitors = shellMonitorIdentities();
+        const model = Gdk.Display.get_default()?.get_monitors();
+        const count = model?.get_n_items() ?? 0;
+        for (let i = 0; i < count; i++) {
+            const monitor = model.get_item(i);
+            const { x, y, width, height } = monitor.get_geometry();
+            const name = [monitor.get_manufacturer(), monitor.get_model()].filter(Boolean).join(' ');
+            const connector = monitor.get_connector() ?? '';
+            const shellMonitor = connector && shellMonitors.find(m => m.connectors.includes(connector));
+            monitors.push({
+                index: shellMonitor ? shellMonitor.index : i,
+                connector,
+                ids: shellMonitor ? shellMonitor.ids : [],
+                model: name,
+                x,
+                y,
+                width,
+                height,
+                // Fractional scale needs GTK 4.14; older versions round it
+                scale: monitor.get_scale?.() ?? monitor.get_scale_factor(),
+            });
+        }
+    } catch (e) {
+        log(`Could not list monitors: ${e}`);
+    }
+    return monitors.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Monitors in the identity format of MonitorIdentity.js, for resolving the
+ * monitor of zones bound to a connector or display. Without the extension
+ * there are no EDID ids, so zones bound by `monitorId` fall back to their
+ * connector or index.
+ * @returns {Array<{index: number, connectors: string[], ids: string[]}>}
+ */
+export function monitorIdentities(monitors = listMonitors()) {
+    return monitors.map(m => ({ index: m.index, connectors: m.connector ? [m.connector] : [], ids: m.ids }));
+}
+
+/**
+ * One-line label, e.g. "Monitor 1 · DP-2 · Dell U2720Q · 2560×1440 at 150%".
+ * @returns {string}
+ */
+export function describeMonitor(monitor) {
+    const parts = [`Monitor ${monitor.index}`, monitor.connector, monitor.model];
+    let size = `${monitor.width}×${monitor.height}`;
+    if (monitor.scale && monitor.scale !== 1) size += ` at ${Math.round(monitor.scale * 100)}%`;
+    return [...parts.filter(Boolean), size].join(' · ');
+}
+
+/**
+ * Call `callback` whenever monitors are connected or disconnected.
+ * @param {function(): void} callback
+ * @returns {function(): void} Disconnects the callback
+ */
+export function connectMonitorsChanged(callback) {
+    const model = Gdk.Display.get_default()?.get_monitors();
+    if (!model) return () => {};
+    const id = model.connect('items-changed', () => callback());
+    return () => model.disconnect(id);
+}
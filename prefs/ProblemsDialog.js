@@ -0,0 +1,42 @@
+// prefs/ProblemsDialog.js — Lists problems found in the settings files
+// Runs in the prefs process only (GTK4 / libadwaita).
+
+import Gtk from 'gi://Gtk';
+import Adw from 'gi://Adw';
+
+/**
+ * Show the problems ConfigSchema.js reported while loading the settings files.
+ * @param {Gtk.Widget} parent - Widget the dialog is presented on
+ * @param {Array<{file: string, path: string, reason: string}>} problems
+ */
+export function showProblemsDialog(parent, problems) {
+    const dialog = new Adw.AlertDialog({
+        heading: 'Problems in the Settings Files',
+        body: 'These values were repaired or left out when the files were loaded. ' +
+            'Saving from this window writes the repaired values back.',
+    });
+
+    const list = new Gtk.ListBox({
+        selection_mode: Gtk.SelectionMode.NONE,
+        css_classes: ['boxed-list'],
+    });
+    for (const { file, path, reason } of problems) {
+        list.append(new Adw.ActionRow({
+            title: path ? `${file} › ${path}` : file,
+            subtitle: reason,
+            subtitle_selectable: true,
+            use_markup: false,
+        }));
+    }
+    dialog.set_extra_child(new Gtk.ScrolledWindow({
+        child: list,
+        hscrollbar_policy: Gtk.PolicyType.NEVER,
+        propagate_natural_height: true,
+        max_content_height: 360,
+    }));
+
+    dialog.add_response('close', 'Close');
+    dialog.set_default_response('close');
+    dialog.set_close_response('close');
+    dialog.present(parent);
+}
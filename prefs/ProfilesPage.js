@@ -13,39 +13,37 @@ import {
     saveProfileZones,
     savePreviewZones,
     clearPreview,
-    getConfigDir,
-    ensureDirectoryExists,
+    createProfile,
+    duplicateProfile,
+    renameProfile,
+    deleteProfile,
 } from './ConfigIO.js';
 import { AutoSaver } from './AutoSaver.js';
+import { EditHistory } from './EditHistory.js';
+import { showProblemsDialog } from './ProblemsDialog.js';
 import { ZoneEditorRow } from './ZoneEditorRow.js';
+import { ZoneLayoutCanvas } from './ZoneLayoutCanvas.js';
+import { listMonitors, monitorIdentities, describeMonitor, connectMonitorsChanged } from './MonitorInfo.js';
+import { resolveMonitorIndex } from '../modules/MonitorIdentity.js';
+import { prepare } from '../modules/ConfigSchema.js';
+import { TemplateGallery } from './TemplateGallery.js';
+import {
+    LAYOUT_TEMPLATES,
+    getTemplate,
+    resolveTemplateParams,
+    buildLayoutTree,
+    layoutRects,
+    layoutToSplitZone,
+    fitsSplitLimits,
+} from './LayoutTemplates.js';
+import { describeFingerprint } from '../modules/MonitorFingerprint.js';
+import { ZONE_UNITS, toPercentRect } from '../modules/ZoneGeometry.js';
 
 const log = msg => console.log(`[TabbedTiling.ProfilesPage] ${msg}`);
 
-// ---------------------------------------------------------------------------
-// Helper: delete a directory recursively
-// ---------------------------------------------------------------------------
-
-function _deleteDirRecursive(dir) {
-    try {
-        const enumerator = dir.enumerate_children(
-            'standard::name,standard::type',
-            Gio.FileQueryInfoFlags.NONE,
-            null
-        );
-        let info;
-        while ((info = enumerator.next_file(null)) !== null) {
-            const child = dir.get_child(info.get_name());
-            if (info.get_file_type() === Gio.FileType.DIRECTORY) {
-                _deleteDirRecursive(child);
-            } else {
-                child.delete(null);
-            }
-        }
-        dir.delete(null);
-    } catch (e) {
-        log(`Error deleting directory: ${e}`);
-    }
-}
+// What the Zone Generator creates from a template, with labels
+const OUTPUT_VALUES = ['zones', 'split'];
+const OUTPUT_LABELS = ['Separate Zones', 'One Split Zone'];
 
 // ---------------------------------------------------------------------------
 // Main export
@@ -74,12 +72,14 @@ export function buildProfilesPage(window, toastOverlay, config) {
 
     // Zone rows storage
     let zoneRows = [];
+    // Profile-wide default for zones without their own clipToWorkArea
+    let profileClipToWorkArea = false;
 
     // Auto-saver for zones
     const zoneSaver = new AutoSaver(
         () => {
             const zones = zoneRows.map(r => r.getZoneData());
-            const ok = saveProfileZones(activeProfile, { zones });
+            const ok = saveProfileZones(activeProfile, { zones, clipToWorkArea: profileClipToWorkArea });
             // Touch config.json so the extension's file monitor triggers a reload
             if (ok) saveConfig(config);
             return ok;
@@ -88,6 +88,21 @@ export function buildProfilesPage(window, toastOverlay, config) {
         'Zones saved'
     );
 
+    // Undo/redo of zone edits and profile imports. Cleared when another
+    // profile's zones are loaded.
+    let undoToast = null;
+    const history = new EditHistory(() => {
+        undoBtn.set_sensitive(history.canUndo);
+        redoBtn.set_sensitive(history.canRedo);
+        // A toast's Undo button only takes back its own change
+        if (undoToast && history.lastEntry !== undoToast.entry) {
+            undoToast.toast.dismiss();
+            undoToast = null;
+        }
+    });
+    // Zones as they were after the last recorded change
+    let zonesState = null;
+
     // Live Edit state
     let liveEditActive = false;
     let liveEditTimerId = 0;
@@ -156,6 +171,8 @@ export function buildProfilesPage(window, toastOverlay, config) {
         profileCombo.set_selected(
             Math.max(0, profilesData.profiles.findIndex(p => p.name === activeProfile))
         );
+        refreshMonitorsRow();
+        refreshWorkspaceRows();
     };
 
     // Profile combo selection change
@@ -169,6 +186,7 @@ export function buildProfilesPage(window, toastOverlay, config) {
         profilesData.activeProfile = newName;
         saveProfiles(profilesData);
         loadZonesForProfile(activeProfile);
+        refreshMonitorsRow();
 
         const toast = new Adw.Toast({ title: `Switched to: ${activeProfile}` });
         toastOverlay.add_toast(toast);
@@ -218,13 +236,43 @@ export function buildProfilesPage(window, toastOverlay, config) {
     exportBtn.connect('clicked', () => _exportProfile());
     actionsBox.append(exportBtn);
 
+    // --- Monitor setup the profile is linked to ---
+    const monitorsRow = new Adw.ActionRow({ title: 'Linked Monitors' });
+    const unlinkBtn = new Gtk.Button({
+        icon_name: 'edit-clear-symbolic',
+        tooltip_text: 'Unlink Monitors',
+        valign: Gtk.Align.CENTER,
+        css_classes: ['flat'],
+    });
+    monitorsRow.add_suffix(unlinkBtn);
+    profileGroup.add(monitorsRow);
+
+    function refreshMonitorsRow() {
+        const fingerprint = profilesData.profiles.find(p => p.name === activeProfile)?.monitorFingerprint;
+        monitorsRow.set_subtitle(fingerprint
+            ? `Activated automatically when these are connected: ${describeFingerprint(fingerprint)}`
+            : 'Not linked. Use "Use for These Monitors" in the panel menu to switch to this profile automatically.');
+        unlinkBtn.set_visible(!!fingerprint);
+    }
+
+    unlinkBtn.connect('clicked', () => {
+        const profile = profilesData.profiles.find(p => p.name === activeProfile);
+        if (!profile) return;
+        delete profile.monitorFingerprint;
+        saveProfiles(profilesData);
+        refreshMonitorsRow();
+        toastOverlay.add_toast(new Adw.Toast({ title: `"${activeProfile}" unlinked from its monitors` }));
+    });
+
+    refreshMonitorsRow();
+
     // =======================================================================
     // GROUP 2: Zone Generator (collapsible via ExpanderRow)
     // =======================================================================
 
     const generatorGroup = new Adw.PreferencesGroup({
         title: 'Zone Generator',
-        description: 'Quickly create evenly-split horizontal zones for a monitor',
+        description: 'Create zones for a monitor from a layout template',
     });
     page.add(generatorGroup);
 
@@ -236,6 +284,12 @@ export function buildProfilesPage(window, toastOverlay, config) {
     generatorExpander.add_css_class('generator-expander-row');
     generatorGroup.add(generatorExpander);
 
+    // Connected monitor; picking one fills in the values below
+    let detectedMonitors = [];
+    let syncingDetectedRow = false;
+    const detectedRow = new Adw.ComboRow({ title: 'Monitor' });
+    generatorExpander.add_row(detectedRow);
+
     // Monitor Index
     const monAdj = new Gtk.Adjustment({
         lower: 0, upper: 16, step_increment: 1, page_increment: 1,
@@ -301,18 +355,47 @@ export function buildProfilesPage(window, toastOverlay, config) {
     });
     generatorExpander.add_row(startYRow);
 
-    // Number of Zones
-    const numZonesAdj = new Gtk.Adjustment({
-        lower: 1, upper: 16, step_increment: 1, page_increment: 1,
-        value: config.zoneGenerator?.numZones ?? 2,
+    // Layout template, with the parameters of every template remembered
+    let templateId = getTemplate(config.zoneGenerator?.template).id;
+    const templateParams = JSON.parse(JSON.stringify(config.zoneGenerator?.templateParams ?? {}));
+
+    const getTemplateParams = id => resolveTemplateParams(getTemplate(id), templateParams[id]);
+
+    const gallery = new TemplateGallery(templateId);
+    LAYOUT_TEMPLATES.forEach(t => gallery.setParams(t.id, getTemplateParams(t.id)));
+    generatorExpander.add_row(new Gtk.ListBoxRow({
+        child: gallery,
+        activatable: false,
+        selectable: false,
+    }));
+
+    // Units of the generated zones
+    const unitsRow = new Adw.ComboRow({
+        title: 'Units',
+        subtitle: 'Percent zones fit any resolution of the monitor',
+        model: Gtk.StringList.new(['Pixels', 'Percent of Monitor']),
+        selected: Math.max(0, ZONE_UNITS.indexOf(config.zoneGenerator?.units ?? 'px')),
+    });
+
+    // Separate zones, or one zone whose split tree follows the template
+    const outputRow = new Adw.ComboRow({
+        title: 'Create As',
+        subtitle: 'A split zone keeps every split between 10% and 90%',
+        model: Gtk.StringList.new(OUTPUT_LABELS),
+        selected: Math.max(0, OUTPUT_VALUES.indexOf(config.zoneGenerator?.output ?? 'zones')),
+    });
+
+    // Gaps of the generated zones
+    const gapsAdj = new Gtk.Adjustment({
+        lower: 0, upper: 256, step_increment: 1, page_increment: 8,
+        value: config.zoneGenerator?.gaps ?? 8,
     });
-    const numZonesRow = new Adw.SpinRow({
-        title: 'Number of Zones',
-        subtitle: 'How many equal-width zones to create',
-        adjustment: numZonesAdj,
+    const gapsRow = new Adw.SpinRow({
+        title: 'Gaps',
+        subtitle: 'Applied to all sides of every zone',
+        adjustment: gapsAdj,
         numeric: true,
     });
-    generatorExpander.add_row(numZonesRow);
 
     // Generate button row
     const genBtnRow = new Adw.ActionRow({
@@ -326,7 +409,52 @@ export function buildProfilesPage(window, toastOverlay, config) {
     genBtn.add_css_class('suggested-action');
     genBtnRow.add_suffix(genBtn);
     genBtnRow.activatable_widget = genBtn;
-    generatorExpander.add_row(genBtnRow);
+
+    // Parameter rows of the selected template, followed by the rows above
+    let templateRows = [];
+
+    function rebuildTemplateRows() {
+        [...templateRows, unitsRow, outputRow, gapsRow, genBtnRow].forEach(r => {
+            if (r.get_parent()) generatorExpander.remove(r);
+        });
+        templateRows = [];
+
+        const values = getTemplateParams(templateId);
+        const setValue = (key, value) => {
+            templateParams[templateId] = { ...getTemplateParams(templateId), [key]: value };
+            gallery.setParams(templateId, getTemplateParams(templateId));
+            saveGeneratorState();
+        };
+
+        for (const param of getTemplate(templateId).params) {
+            let row;
+            if (param.type === 'int') {
+                const adj = new Gtk.Adjustment({
+                    lower: param.min, upper: param.max, step_increment: 1, page_increment: 5,
+                    value: values[param.key],
+                });
+                row = new Adw.SpinRow({ title: param.title, adjustment: adj, numeric: true });
+                adj.connect('value-changed', () => setValue(param.key, Math.round(adj.get_value())));
+            } else if (param.type === 'choice') {
+                row = new Adw.ComboRow({
+                    title: param.title,
+                    model: Gtk.StringList.new(param.options),
+                    selected: values[param.key],
+                });
+                row.connect('notify::selected', () => setValue(param.key, row.get_selected()));
+            } else {
+                row = new Adw.EntryRow({ title: param.title, text: values[param.key] });
+                row.connect('changed', () => setValue(param.key, row.get_text()));
+            }
+            // Entry rows have no subtitle
+            if (param.subtitle && row instanceof Adw.ActionRow) row.set_subtitle(param.subtitle);
+            else if (param.subtitle) row.set_tooltip_text(param.subtitle);
+            generatorExpander.add_row(row);
+            templateRows.push(row);
+        }
+
+        [unitsRow, outputRow, gapsRow, genBtnRow].forEach(r => generatorExpander.add_row(r));
+    }
 
     // Persist generator values on change
     const saveGeneratorState = () => {
@@ -336,10 +464,16 @@ export function buildProfilesPage(window, toastOverlay, config) {
             resH: resHAdj.get_value(),
             startX: startXAdj.get_value(),
             startY: startYAdj.get_value(),
-            numZones: numZonesAdj.get_value(),
+            template: templateId,
+            templateParams,
+            output: OUTPUT_VALUES[outputRow.get_selected()],
+            units: ZONE_UNITS[unitsRow.get_selected()],
+            gaps: gapsAdj.get_value(),
         };
         generatorResW = resWAdj.get_value();
         generatorResH = resHAdj.get_value();
+        layoutCanvas.setFallbackResolution(generatorResW, generatorResH);
+        syncDetectedRow();
         saveConfig(config);
     };
 
@@ -348,7 +482,52 @@ export function buildProfilesPage(window, toastOverlay, config) {
     resHAdj.connect('value-changed', saveGeneratorState);
     startXAdj.connect('value-changed', saveGeneratorState);
     startYAdj.connect('value-changed', saveGeneratorState);
-    numZonesAdj.connect('value-changed', saveGeneratorState);
+
+    // Select the monitor the values below describe, or "Custom"
+    function syncDetectedRow() {
+        const index = Math.round(monAdj.get_value());
+        const match = detectedMonitors.findIndex(m => m.index === index &&
+            m.width === Math.round(resWAdj.get_value()) && m.height === Math.round(resHAdj.get_value()));
+        syncingDetectedRow = true;
+        detectedRow.set_selected(match >= 0 ? match : detectedMonitors.length);
+        syncingDetectedRow = false;
+    }
+
+    function refreshDetectedRow() {
+        detectedMonitors = listMonitors();
+        syncingDetectedRow = true;
+        detectedRow.set_model(Gtk.StringList.new([...detectedMonitors.map(describeMonitor), 'Custom']));
+        syncingDetectedRow = false;
+        detectedRow.set_subtitle(detectedMonitors.length > 0
+            ? 'Fills in the monitor index and resolution'
+            : 'No monitors detected; enter the values below');
+        syncDetectedRow();
+    }
+
+    detectedRow.connect('notify::selected', () => {
+        if (syncingDetectedRow) return;
+        const monitor = detectedMonitors[detectedRow.get_selected()];
+        if (!monitor) return; // Custom keeps the values as they are
+        monAdj.set_value(monitor.index);
+        resWAdj.set_value(monitor.width);
+        resHAdj.set_value(monitor.height);
+        // Zones are relative to their monitor, so start at its top-left corner
+        startXAdj.set_value(0);
+        startYAdj.set_value(0);
+    });
+
+    refreshDetectedRow();
+    unitsRow.connect('notify::selected', saveGeneratorState);
+    outputRow.connect('notify::selected', saveGeneratorState);
+    gapsAdj.connect('value-changed', saveGeneratorState);
+
+    gallery.connect('template-selected', (_gallery, id) => {
+        templateId = id;
+        rebuildTemplateRows();
+        saveGeneratorState();
+    });
+
+    rebuildTemplateRows();
 
     // Generate Zones button handler
     genBtn.connect('clicked', () => {
@@ -357,12 +536,15 @@ export function buildProfilesPage(window, toastOverlay, config) {
         const resH = Math.round(resHAdj.get_value());
         const startX = Math.round(startXAdj.get_value());
         const startY = Math.round(startYAdj.get_value());
-        const numZones = Math.round(numZonesAdj.get_value());
+
+        const tree = buildLayoutTree(templateId, getTemplateParams(templateId));
+        if (!tree) {
+            toastOverlay.add_toast(new Adw.Toast({ title: 'Enter the ratios as numbers, e.g. 1:2:1' }));
+            return;
+        }
 
         // Check if zones already exist for this monitor
-        const existingForMonitor = zoneRows.filter(
-            r => r.getZoneData().monitorIndex === monitorIndex
-        );
+        const existingForMonitor = zoneRows.filter(r => isOnMonitor(r, monitorIndex));
 
         if (existingForMonitor.length > 0) {
             // Confirm replacement
@@ -376,39 +558,70 @@ export function buildProfilesPage(window, toastOverlay, config) {
             dialog.set_default_response('cancel');
             dialog.connect('response', (_dlg, response) => {
                 if (response === 'replace') {
-                    _doGenerateZones(monitorIndex, resW, resH, startX, startY, numZones);
+                    _doGenerateZones(monitorIndex, resW, resH, startX, startY, tree);
                 }
             });
             dialog.present(window);
         } else {
-            _doGenerateZones(monitorIndex, resW, resH, startX, startY, numZones);
+            _doGenerateZones(monitorIndex, resW, resH, startX, startY, tree);
         }
     });
 
-    function _doGenerateZones(monitorIndex, resW, resH, startX, startY, numZones) {
+    // Whether a zone row is placed on this monitor (index or connector)
+    function isOnMonitor(row, monitorIndex) {
+        return resolveMonitorIndex(row.getZoneData(), monitorIdentities(detectedMonitors)) === monitorIndex;
+    }
+
+    function _doGenerateZones(monitorIndex, resW, resH, startX, startY, tree) {
         // Remove existing zones for this monitor
-        const rowsToRemove = zoneRows.filter(
-            r => r.getZoneData().monitorIndex === monitorIndex
-        );
+        const rowsToRemove = zoneRows.filter(r => isOnMonitor(r, monitorIndex));
         rowsToRemove.forEach(r => {
             zonesGroup.remove(r);
             zoneRows = zoneRows.filter(row => row !== r);
         });
 
-        // Generate equal-width zones
-        const zoneWidth = Math.floor(resW / numZones);
-        const newZones = [];
-        for (let i = 0; i < numZones; i++) {
-            newZones.push({
+        // Lay the template out in the area right of / below the start offsets
+        const area = {
+            x: startX,
+            y: startY,
+            width: Math.max(1, resW - startX),
+            height: Math.max(1, resH - startY),
+        };
+        const percent = ZONE_UNITS[unitsRow.get_selected()] === 'percent';
+        const toUnits = rect => percent
+            ? { ...toPercentRect(rect, { width: resW, height: resH }), units: 'percent' }
+            : rect;
+        const gap = Math.round(gapsAdj.get_value());
+        const gaps = () => ({ top: gap, right: gap, bottom: gap, left: gap });
+        // Zones for a detected monitor follow its connector if GNOME renumbers monitors
+        const connector = detectedMonitors[detectedRow.get_selected()]?.connector;
+        const binding = connector ? { monitorConnector: connector } : {};
+
+        let newZones;
+        if (OUTPUT_VALUES[outputRow.get_selected()] === 'split' && tree.children) {
+            newZones = [{
+                name: 'Zone 1',
+                monitorIndex: monitorIndex,
+                ...binding,
+                ...toUnits(area),
+                gaps: gaps(),
+                isPrimary: true,
+                ...layoutToSplitZone(tree, 'Zone 1'),
+            }];
+            if (!fitsSplitLimits(tree)) {
+                toastOverlay.add_toast(new Adw.Toast({
+                    title: 'Some splits were limited to 10–90%; use separate zones for narrower ones',
+                }));
+            }
+        } else {
+            newZones = layoutRects(tree, area).map((rect, i) => ({
                 name: `Zone ${i + 1}`,
                 monitorIndex: monitorIndex,
-                x: startX + i * zoneWidth,
-                y: startY,
-                width: i === numZones - 1 ? resW - i * zoneWidth : zoneWidth,
-                height: resH,
-                gaps: { top: 8, right: 8, bottom: 8, left: 8 },
+                ...binding,
+                ...toUnits(rect),
+                gaps: gaps(),
                 isPrimary: i === 0,
-            });
+            }));
         }
 
         // Add new zone rows (above manage row)
@@ -423,10 +636,68 @@ export function buildProfilesPage(window, toastOverlay, config) {
         // Save immediately
         zoneSaver.saveNow();
         writeLivePreview();
+        refreshZoneOverview();
+        const entry = recordZoneEdit('Generate zones');
+        if (rowsToRemove.length > 0)
+            showUndoToast(`Replaced ${rowsToRemove.length} zone(s) on Monitor ${monitorIndex}`, entry);
     }
 
     // =======================================================================
-    // GROUP 3: Zones
+    // GROUP 3: Layout
+    // =======================================================================
+
+    const layoutGroup = new Adw.PreferencesGroup({
+        title: 'Layout',
+        description: 'Drag on a monitor to draw a zone. Drag a zone to move it, or its edges to resize it. Edges snap to the monitor and to other zones.',
+    });
+    page.add(layoutGroup);
+
+    const layoutCanvas = new ZoneLayoutCanvas(generatorResW, generatorResH);
+    layoutCanvas.add_css_class('card');
+    layoutGroup.add(layoutCanvas);
+
+    // Canvas and missing-monitor warning, after any change to the zones
+    const refreshZoneOverview = () => {
+        const zones = zoneRows.map(r => r.getZoneData());
+        layoutCanvas.setZones(zones);
+
+        const connected = new Set(detectedMonitors.map(m => m.index));
+        const identities = monitorIdentities(detectedMonitors);
+        const missing = [...new Set(zones.map(z => resolveMonitorIndex(z, identities)))]
+            .filter(i => !connected.has(i))
+            .sort((a, b) => a - b);
+        // Without Gdk monitors there is nothing to compare against
+        missingMonitorsRow.set_visible(missing.length > 0 && connected.size > 0);
+        missingMonitorsRow.set_subtitle(missing.length === 1
+            ? `Zones on monitor ${missing[0]} won't appear until it is connected`
+            : `Zones on monitors ${missing.join(', ')} won't appear until they are connected`);
+    };
+
+    // Moved or resized on the canvas: update the row, which saves and
+    // refreshes the live preview like any other edit
+    layoutCanvas.connect('zone-modified', (_canvas, index) => {
+        const geometry = layoutCanvas.getZoneGeometry(index);
+        if (geometry) zoneRows[index]?.setGeometry(geometry);
+    });
+
+    layoutCanvas.connect('zone-drawn', (_canvas, monitorIndex, x, y, width, height) => {
+        const connector = detectedMonitors.find(m => m.index === monitorIndex)?.connector;
+        _appendZoneRow({
+            name: `Zone ${zoneRows.length + 1}`,
+            monitorIndex,
+            ...(connector ? { monitorConnector: connector } : {}),
+            x,
+            y,
+            width,
+            height,
+            gaps: { top: 8, right: 8, bottom: 8, left: 8 },
+            isPrimary: false,
+        });
+        layoutCanvas.selectZone(zoneRows.length - 1);
+    });
+
+    // =======================================================================
+    // GROUP 4: Zones
     // =======================================================================
 
     const zonesGroup = new Adw.PreferencesGroup({
@@ -443,6 +714,31 @@ export function buildProfilesPage(window, toastOverlay, config) {
     });
     zonesGroup.add(liveEditRow);
 
+    // Profile-wide work area clipping
+    const clipRow = new Adw.SwitchRow({
+        title: 'Avoid Panels and Docks',
+        subtitle: 'Shrink zones to the area not covered by panels and docks, unless a zone overrides it',
+        active: false,
+    });
+    zonesGroup.add(clipRow);
+
+    // Zones referencing monitor indices that aren't connected
+    const missingMonitorsRow = new Adw.ActionRow({
+        title: 'Monitors Not Connected',
+        visible: false,
+    });
+    const missingIcon = new Gtk.Image({ icon_name: 'dialog-warning-symbolic' });
+    missingIcon.add_css_class('warning');
+    missingMonitorsRow.add_prefix(missingIcon);
+    zonesGroup.add(missingMonitorsRow);
+
+    clipRow.connect('notify::active', () => {
+        if (clipRow.get_active() === profileClipToWorkArea) return;
+        profileClipToWorkArea = clipRow.get_active();
+        zoneSaver.queue();
+        recordZoneEdit('Avoid panels and docks');
+    });
+
     liveEditRow.connect('notify::active', () => {
         liveEditActive = liveEditRow.get_active();
         if (liveEditActive) {
@@ -463,6 +759,25 @@ export function buildProfilesPage(window, toastOverlay, config) {
     });
     manageRow.add_suffix(manageBox);
 
+    // Undo / Redo buttons
+    const undoBtn = new Gtk.Button({
+        icon_name: 'edit-undo-symbolic',
+        tooltip_text: 'Undo (Ctrl+Z)',
+        valign: Gtk.Align.CENTER,
+        sensitive: false,
+    });
+    undoBtn.connect('clicked', undoEdit);
+    manageBox.append(undoBtn);
+
+    const redoBtn = new Gtk.Button({
+        icon_name: 'edit-redo-symbolic',
+        tooltip_text: 'Redo (Ctrl+Shift+Z)',
+        valign: Gtk.Align.CENTER,
+        sensitive: false,
+    });
+    redoBtn.connect('clicked', redoEdit);
+    manageBox.append(redoBtn);
+
     // Add Zone button
     const addZoneBtn = new Gtk.Button({
         icon_name: 'list-add-symbolic',
@@ -472,7 +787,7 @@ export function buildProfilesPage(window, toastOverlay, config) {
     manageBox.append(addZoneBtn);
 
     addZoneBtn.connect('clicked', () => {
-        const newZone = {
+        _appendZoneRow({
             name: `Zone ${zoneRows.length + 1}`,
             monitorIndex: 0,
             x: 0,
@@ -481,15 +796,7 @@ export function buildProfilesPage(window, toastOverlay, config) {
             height: 600,
             gaps: { top: 8, right: 8, bottom: 8, left: 8 },
             isPrimary: false,
-        };
-        const row = _createZoneRow(newZone, zoneRows.length);
-        zoneRows.push(row);
-        // Insert above the manage row
-        zonesGroup.remove(manageRow);
-        zonesGroup.add(row);
-        zonesGroup.add(manageRow);
-        zoneSaver.queue();
-        writeLivePreview();
+        });
     });
 
     // Delete All button
@@ -510,7 +817,7 @@ export function buildProfilesPage(window, toastOverlay, config) {
 
         const dialog = new Adw.AlertDialog({
             heading: 'Delete All Zones?',
-            body: `Are you sure you want to delete all ${zoneRows.length} zone(s) from "${activeProfile}"? This cannot be undone.`,
+            body: `Are you sure you want to delete all ${zoneRows.length} zone(s) from "${activeProfile}"?`,
         });
         dialog.add_response('cancel', 'Cancel');
         dialog.add_response('delete', 'Delete All');
@@ -525,9 +832,9 @@ export function buildProfilesPage(window, toastOverlay, config) {
                 zoneRows = [];
                 zoneSaver.saveNow();
                 writeLivePreview();
+                refreshZoneOverview();
 
-                const toast = new Adw.Toast({ title: 'All zones deleted' });
-                toastOverlay.add_toast(toast);
+                showUndoToast('All zones deleted', recordZoneEdit('Delete all zones'));
             }
         });
         dialog.present(window);
@@ -541,6 +848,9 @@ export function buildProfilesPage(window, toastOverlay, config) {
         row.connect('zone-changed', () => {
             zoneSaver.queue();
             writeLivePreview();
+            refreshZoneOverview();
+            // Steps of one spin button or canvas drag undo together
+            recordZoneEdit('Edit zone', row);
         });
         row.connect('zone-removed', () => {
             zonesGroup.remove(row);
@@ -549,18 +859,114 @@ export function buildProfilesPage(window, toastOverlay, config) {
             zoneRows.forEach((r, i) => { r.zoneIndex = i; });
             zoneSaver.saveNow();
             writeLivePreview();
+            refreshZoneOverview();
+            const entry = recordZoneEdit('Delete zone');
+            showUndoToast(`${row.getZoneData().name || 'Zone'} deleted`, entry);
         });
         return row;
     }
 
+    // Helper: add a new zone at the end of the list (above the manage row)
+    function _appendZoneRow(zoneData) {
+        const row = _createZoneRow(zoneData, zoneRows.length);
+        zoneRows.push(row);
+        zonesGroup.remove(manageRow);
+        zonesGroup.add(row);
+        zonesGroup.add(manageRow);
+        zoneSaver.queue();
+        writeLivePreview();
+        refreshZoneOverview();
+        recordZoneEdit('Add zone');
+    }
+
+    // Zones and profile settings as saved to zones.json, deep-copied so
+    // later edits of the rows don't change it
+    function currentZonesState() {
+        return JSON.parse(JSON.stringify({
+            zones: zoneRows.map(r => r.getZoneData()),
+            clipToWorkArea: profileClipToWorkArea,
+        }));
+    }
+
+    /**
+     * Record the change just made to the zones as one undo step.
+     * @param {string} label - e.g. 'Delete zone'
+     * @param {*} [mergeKey] - Quick edits with the same key merge
+     * @returns {object|null} The history entry
+     */
+    function recordZoneEdit(label, mergeKey) {
+        const before = zonesState;
+        const after = currentZonesState();
+        zonesState = after;
+        return history.push({
+            label,
+            mergeKey,
+            undo: () => restoreZones(before),
+            redo: () => restoreZones(after),
+        });
+    }
+
+    // Show zones from the history and save them
+    function restoreZones(state) {
+        showZones(JSON.parse(JSON.stringify(state)));
+        zonesState = state;
+        zoneSaver.saveNow();
+    }
+
+    // Toast with an Undo button for a destructive change
+    function showUndoToast(title, entry) {
+        if (!entry) return;
+        const toast = new Adw.Toast({
+            title,
+            button_label: 'Undo',
+            // Shown right away instead of after the "Zones saved" toast
+            priority: Adw.ToastPriority.HIGH,
+        });
+        toast.connect('button-clicked', () => {
+            if (history.lastEntry === entry) history.undo();
+        });
+        toast.connect('dismissed', () => {
+            if (undoToast?.toast === toast) undoToast = null;
+        });
+        undoToast = { toast, entry };
+        toastOverlay.add_toast(toast);
+    }
+
+    const undoEdit = () => history.undo() !== null;
+    const redoEdit = () => history.redo() !== null;
+
+    // Ctrl+Z / Ctrl+Shift+Z anywhere on the page. Bubbled up after text
+    // fields had them, so a focused entry or spin button undoes its own typing
+    // first; with nothing to undo there, they reach the zone history.
+    const shortcuts = new Gtk.ShortcutController({
+        propagation_phase: Gtk.PropagationPhase.BUBBLE,
+    });
+    shortcuts.add_shortcut(new Gtk.Shortcut({
+        trigger: Gtk.ShortcutTrigger.parse_string('<Control>z'),
+        action: Gtk.CallbackAction.new(undoEdit),
+    }));
+    shortcuts.add_shortcut(new Gtk.Shortcut({
+        trigger: Gtk.ShortcutTrigger.parse_string('<Control><Shift>z'),
+        action: Gtk.CallbackAction.new(redoEdit),
+    }));
+    page.add_controller(shortcuts);
+
     // Load zones for a profile and rebuild the list
     function loadZonesForProfile(profileName) {
+        showZones(loadProfileZones(profileName));
+        zonesState = currentZonesState();
+        history.clear();
+    }
+
+    // Replace the zone rows with the given zones.json data
+    function showZones(data) {
         // Remove existing zone rows
         zoneRows.forEach(r => zonesGroup.remove(r));
         zoneRows = [];
 
-        const data = loadProfileZones(profileName);
         const zones = data.zones || [];
+        profileClipToWorkArea = !!data.clipToWorkArea;
+        clipRow.set_active(profileClipToWorkArea);
 
         // Remove manage row so zone rows go above it
         zonesGroup.remove(manageRow);
@@ -574,11 +980,76 @@ export function buildProfilesPage(window, toastOverlay, config) {
 
         // Update live preview if active
         if (liveEditActive) writeLivePreview();
+        layoutCanvas.selectZone(-1);
+        refreshZoneOverview();
     }
 
     // Initial zone load
     loadZonesForProfile(activeProfile);
 
+    // Values never changed from the defaults are taken from the first monitor
+    const generatorUntouched = monAdj.get_value() === 0 && startXAdj.get_value() === 0 &&
+        startYAdj.get_value() === 0 && resWAdj.get_value() === 1920 && resHAdj.get_value() === 1080;
+    if (generatorUntouched && detectedMonitors.length > 0) detectedRow.set_selected(0);
+
+    const disconnectMonitors = connectMonitorsChanged(() => {
+        refreshDetectedRow();
+        layoutCanvas.refreshMonitors();
+        refreshZoneOverview();
+    });
+
+    // =======================================================================
+    // GROUP 5: Workspaces
+    // =======================================================================
+
+    const workspacesGroup = new Adw.PreferencesGroup({
+        title: 'Workspaces',
+        description: 'Every workspace has its own zones and tabs. Pick a profile per workspace, or let it follow the active profile.',
+    });
+    page.add(workspacesGroup);
+
+    let workspaceRows = [];
+
+    // The configured workspace count, extended to cover existing mappings
+    const getWorkspaceCount = () => {
+        let count = 4;
+        try {
+            count = new Gio.Settings({ schema_id: 'org.gnome.desktop.wm.preferences' }).get_int('num-workspaces');
+        } catch (e) {
+            log(`Could not read workspace count: ${e}`);
+        }
+        const mapped = Object.keys(profilesData.workspaceProfiles ?? {}).map(Number).filter(Number.isInteger);
+        return Math.max(count, ...mapped.map(i => i + 1));
+    };
+
+    function refreshWorkspaceRows() {
+        workspaceRows.forEach(r => workspacesGroup.remove(r));
+        workspaceRows = [];
+
+        const names = profilesData.profiles.map(p => p.name);
+        for (let i = 0; i < getWorkspaceCount(); i++) {
+            const mapped = profilesData.workspaceProfiles?.[i];
+            const row = new Adw.ComboRow({
+                title: `Workspace ${i + 1}`,
+                model: Gtk.StringList.new(['Active Profile', ...names]),
+                selected: names.includes(mapped) ? names.indexOf(mapped) + 1 : 0,
+            });
+            row.connect('notify::selected', () => {
+                const selected = row.get_selected();
+                profilesData.workspaceProfiles ??= {};
+                if (selected > 0)
+                    profilesData.workspaceProfiles[i] = names[selected - 1];
+                else
+                    delete profilesData.workspaceProfiles[i];
+                saveProfiles(profilesData);
+            });
+            workspacesGroup.add(row);
+            workspaceRows.push(row);
+        }
+    }
+
+    refreshWorkspaceRows();
+
     // =======================================================================
     // Dialog Implementations
     // =======================================================================
@@ -607,15 +1078,9 @@ export function buildProfilesPage(window, toastOverlay, config) {
                     toastOverlay.add_toast(errToast);
                     return;
                 }
-                profilesData.profiles.push({ name, createdAt: new Date().toISOString() });
-                saveProfiles(profilesData);
-
-                // Create profile directory with empty zones
-                try {
-                    ensureDirectoryExists(`profiles/${name}`);
-                    saveProfileZones(name, { zones: [] });
-                } catch (e) {
-                    log(`Error creating profile directory: ${e}`);
+                if (!createProfile(profilesData, name)) {
+                    toastOverlay.add_toast(new Adw.Toast({ title: `Could not create profile "${name}"` }));
+                    return;
                 }
 
                 refreshProfileCombo();
@@ -652,16 +1117,9 @@ export function buildProfilesPage(window, toastOverlay, config) {
                     return;
                 }
 
-                // Copy zones from current profile
-                const currentZones = loadProfileZones(activeProfile);
-                profilesData.profiles.push({ name, createdAt: new Date().toISOString() });
-                saveProfiles(profilesData);
-
-                try {
-                    ensureDirectoryExists(`profiles/${name}`);
-                    saveProfileZones(name, currentZones);
-                } catch (e) {
-                    log(`Error duplicating profile: ${e}`);
+                if (!duplicateProfile(profilesData, activeProfile, name)) {
+                    toastOverlay.add_toast(new Adw.Toast({ title: `Could not duplicate profile as "${name}"` }));
+                    return;
                 }
 
                 refreshProfileCombo();
@@ -698,24 +1156,11 @@ export function buildProfilesPage(window, toastOverlay, config) {
                     return;
                 }
 
-                const profile = profilesData.profiles.find(p => p.name === activeProfile);
-                if (!profile) return;
-
-                // Rename the directory
-                try {
-                    const configDir = getConfigDir();
-                    const oldDir = configDir.get_child('profiles').get_child(activeProfile);
-                    if (oldDir.query_exists(null)) {
-                        oldDir.set_display_name(newName, null);
-                    }
-                } catch (e) {
-                    log(`Error renaming profile directory: ${e}`);
+                if (!renameProfile(profilesData, activeProfile, newName)) {
+                    toastOverlay.add_toast(new Adw.Toast({ title: `Could not rename profile to "${newName}"` }));
+                    return;
                 }
-
-                profile.name = newName;
-                profilesData.activeProfile = newName;
                 activeProfile = newName;
-                saveProfiles(profilesData);
 
                 refreshProfileCombo();
                 loadZonesForProfile(activeProfile);
@@ -745,27 +1190,9 @@ export function buildProfilesPage(window, toastOverlay, config) {
 
         dialog.connect('response', (_dlg, response) => {
             if (response === 'delete') {
-                const idx = profilesData.profiles.findIndex(p => p.name === activeProfile);
-                if (idx === -1) return;
-
                 const deletedName = activeProfile;
-                profilesData.profiles.splice(idx, 1);
-
-                // Switch to first remaining profile
-                profilesData.activeProfile = profilesData.profiles[0].name;
+                if (!deleteProfile(profilesData, deletedName)) return;
                 activeProfile = profilesData.activeProfile;
-                saveProfiles(profilesData);
-
-                // Delete profile directory
-                try {
-                    const configDir = getConfigDir();
-                    const profileDir = configDir.get_child('profiles').get_child(deletedName);
-                    if (profileDir.query_exists(null)) {
-                        _deleteDirRecursive(profileDir);
-                    }
-                } catch (e) {
-                    log(`Error deleting profile directory: ${e}`);
-                }
 
                 refreshProfileCombo();
                 loadZonesForProfile(activeProfile);
@@ -806,16 +1233,13 @@ export function buildProfilesPage(window, toastOverlay, config) {
                 const imported = JSON.parse(json);
 
                 // Accept either { zones: [...] } or a raw array
-                let zones;
-                if (Array.isArray(imported)) {
-                    zones = imported;
-                } else if (imported && Array.isArray(imported.zones)) {
-                    zones = imported.zones;
-                } else {
+                if (!Array.isArray(imported) && !Array.isArray(imported?.zones)) {
                     const toast = new Adw.Toast({ title: 'Invalid format: expected zones array' });
                     toastOverlay.add_toast(toast);
                     return;
                 }
+                const { value: zonesData, problems } = prepare(
+                    'zones', Array.isArray(imported) ? { zones: imported } : imported, { file: file.get_basename() });
 
                 // Prompt for new profile name
                 const nameDialog = new Adw.AlertDialog({
@@ -842,19 +1266,31 @@ export function buildProfilesPage(window, toastOverlay, config) {
                             return;
                         }
 
-                        profilesData.profiles.push({ name, createdAt: new Date().toISOString() });
-                        saveProfiles(profilesData);
-
-                        try {
-                            ensureDirectoryExists(`profiles/${name}`);
-                            saveProfileZones(name, { zones });
-                        } catch (e) {
-                            log(`Error importing profile: ${e}`);
+                        if (!createProfile(profilesData, name, zonesData)) {
+                            toastOverlay.add_toast(new Adw.Toast({ title: `Could not import profile "${name}"` }));
+                            return;
                         }
 
                         refreshProfileCombo();
-                        const toast = new Adw.Toast({ title: `Profile "${name}" imported` });
-                        toastOverlay.add_toast(toast);
+                        const entry = history.push({
+                            label: 'Import profile',
+                            undo: () => {
+                                if (deleteProfile(profilesData, name)) refreshProfileCombo();
+                            },
+                            redo: () => {
+                                if (createProfile(profilesData, name, zonesData)) refreshProfileCombo();
+                            },
+                        });
+                        if (problems.length > 0) {
+                            const toast = new Adw.Toast({
+                                title: `Profile "${name}" imported with ${problems.length} repaired values`,
+                                button_label: 'Details',
+                            });
+                            toast.connect('button-clicked', () => showProblemsDialog(window, problems));
+                            toastOverlay.add_toast(toast);
+                        } else {
+                            showUndoToast(`Profile "${name}" imported`, entry);
+                        }
                     }
                 });
                 nameDialog.present(window);
@@ -911,6 +1347,7 @@ export function buildProfilesPage(window, toastOverlay, config) {
             liveEditTimerId = 0;
         }
         if (liveEditActive) clearLivePreview();
+        disconnectMonitors();
         zoneSaver.destroy();
         return false; // allow default close
     });
@@ -0,0 +1,228 @@
+// prefs/RuleEditorRow.js — Placement rule editor widget for settings UI
+// Runs in the prefs process only (GTK4 / libadwaita).
+// Provides an expandable row for editing one window placement rule.
+
+import GObject from 'gi://GObject';
+import GLib from 'gi://GLib';
+import Gtk from 'gi://Gtk';
+import Adw from 'gi://Adw';
+
+import { RULE_TARGETS, normalizeRule, getRuleError, describeRuleTarget } from '../modules/PlacementRules.js';
+
+const TARGET_LABELS = ['Zone', 'Monitor', 'Float (don\'t tile)'];
+
+// ---------------------------------------------------------------------------
+// RuleEditorRow
+// ---------------------------------------------------------------------------
+
+/**
+ * An Adw.ExpanderRow with the match criteria and target of a placement rule.
+ *
+ * Signals:
+ *   rule-changed — emitted on any property modification (for auto-save + preview)
+ *   rule-removed — emitted when the delete button is pressed
+ *   rule-raised  — emitted when the user moves the rule up one position
+ */
+export const RuleEditorRow = GObject.registerClass({
+    GTypeName: 'RuleEditorRow',
+    Signals: {
+        'rule-changed': {},
+        'rule-removed': {},
+        'rule-raised': {},
+    },
+}, class RuleEditorRow extends Adw.ExpanderRow {
+    /**
+     * @param {Object} ruleData - Rule configuration object
+     * @param {number} index - Rule index for identification
+     */
+    constructor(ruleData, index) {
+        super({
+            expanded: false,
+        });
+
+        this._index = index;
+        this._rule = normalizeRule(ruleData);
+
+        this.add_css_class('zone-editor-row');
+
+        this._refreshTitle();
+        this._buildCriteriaSection();
+        this._buildTargetSection();
+        this._buildHeaderButtons();
+    }
+
+    // -----------------------------------------------------------------------
+    // Public API
+    // -----------------------------------------------------------------------
+
+    /**
+     * Returns the current rule data object (suitable for serialization).
+     * @returns {Object}
+     */
+    getRuleData() {
+        return { ...this._rule };
+    }
+
+    /**
+     * The rule index (for external identification).
+     * @type {number}
+     */
+    get ruleIndex() {
+        return this._index;
+    }
+
+    set ruleIndex(val) {
+        this._index = val;
+        this._refreshTitle();
+    }
+
+    // -----------------------------------------------------------------------
+    // Section Builders
+    // -----------------------------------------------------------------------
+
+    _buildCriteriaSection() {
+        this._addSectionHeader('Match');
+
+        const fields = [
+            ['wmClass', 'WM_CLASS contains'],
+            ['appId', 'App ID'],
+            ['title', 'Title (regular expression)'],
+            ['role', 'Window Role'],
+        ];
+        for (const [key, title] of fields) {
+            const row = new Adw.EntryRow({ title, text: this._rule[key] });
+            row.connect('changed', () => {
+                this._rule[key] = row.get_text().trim();
+                if (key === 'title') {
+                    if (getRuleError(this._rule)) row.add_css_class('error');
+                    else row.remove_css_class('error');
+                }
+                this._refreshTitle();
+                this._emitChanged();
+            });
+            if (key === 'title' && getRuleError(this._rule))
+                row.add_css_class('error');
+            this.add_row(row);
+        }
+    }
+
+    _buildTargetSection() {
+        this._addSectionHeader('Target');
+
+        const targetRow = new Adw.ComboRow({
+            title: 'Send To',
+            model: Gtk.StringList.new(TARGET_LABELS),
+        });
+        targetRow.set_selected(Math.max(0, RULE_TARGETS.indexOf(this._rule.target)));
+        this.add_row(targetRow);
+
+        const zoneRow = new Adw.EntryRow({
+            title: 'Zone Name',
+            text: this._rule.zone,
+        });
+        zoneRow.connect('changed', () => {
+            this._rule.zone = zoneRow.get_text();
+            this._refreshTitle();
+            this._emitChanged();
+        });
+        this.add_row(zoneRow);
+
+        const monAdj = new Gtk.Adjustment({
+            lower: 0, upper: 63, step_increment: 1, page_increment: 5, value: this._rule.monitor,
+        });
+        const monRow = new Adw.SpinRow({
+            title: 'Monitor Index',
+            subtitle: 'Uses the primary zone on that monitor, or its first zone',
+            adjustment: monAdj,
+            numeric: true,
+        });
+        monAdj.connect('value-changed', () => {
+            this._rule.monitor = monAdj.get_value();
+            this._refreshTitle();
+            this._emitChanged();
+        });
+        this.add_row(monRow);
+
+        const syncTargetRows = () => {
+            zoneRow.set_visible(this._rule.target === 'zone');
+            monRow.set_visible(this._rule.target === 'monitor');
+        };
+        targetRow.connect('notify::selected', () => {
+            this._rule.target = RULE_TARGETS[targetRow.selected];
+            syncTargetRows();
+            this._refreshTitle();
+            this._emitChanged();
+        });
+        syncTargetRows();
+
+        const enabledRow = new Adw.SwitchRow({
+            title: 'Enabled',
+            active: this._rule.enabled,
+        });
+        enabledRow.connect('notify::active', () => {
+            this._rule.enabled = enabledRow.get_active();
+            this._refreshTitle();
+            this._emitChanged();
+        });
+        this.add_row(enabledRow);
+    }
+
+    _buildHeaderButtons() {
+        const raiseBtn = new Gtk.Button({
+            icon_name: 'go-up-symbolic',
+            valign: Gtk.Align.CENTER,
+            tooltip_text: 'Move Up (earlier rules win)',
+            css_classes: ['flat'],
+        });
+        raiseBtn.connect('clicked', () => this.emit('rule-raised'));
+        this.add_suffix(raiseBtn);
+
+        const deleteBtn = new Gtk.Button({
+            icon_name: 'user-trash-symbolic',
+            valign: Gtk.Align.CENTER,
+            tooltip_text: 'Delete Rule',
+            css_classes: ['flat', 'destructive-action'],
+        });
+        deleteBtn.connect('clicked', () => this.emit('rule-removed'));
+        this.add_suffix(deleteBtn);
+    }
+
+    // -----------------------------------------------------------------------
+    // Helpers
+    // -----------------------------------------------------------------------
+
+    /**
+     * Adds a visual section header as an ActionRow with bold markup.
+     * @param {string} label - Section title
+     */
+    _addSectionHeader(label) {
+        const headerRow = new Adw.ActionRow({
+            title: `<b>${label}</b>`,
+            activatable: false,
+            selectable: false,
+        });
+        headerRow.add_css_class('property-row');
+        headerRow.set_use_markup(true);
+        this.add_row(headerRow);
+    }
+
+    _refreshTitle() {
+        const r = this._rule;
+        const criteria = [
+            r.wmClass && `class ~ ${r.wmClass}`,
+            r.appId && `app ${r.appId}`,
+            r.title && `title /${r.title}/`,
+            r.role && `role ${r.role}`,
+        ].filter(Boolean);
+        // Row titles are parsed as markup; patterns may contain '<' or '&'
+        const title = criteria.length ? criteria.join(', ') : `Rule ${this._index + 1} (no criteria)`;
+        this.set_title(GLib.markup_escape_text(title, -1));
+        this.set_subtitle(GLib.markup_escape_text(
+            `→ ${describeRuleTarget(r)}${r.enabled ? '' : ' · disabled'}`, -1));
+    }
+
+    _emitChanged() {
+        this.emit('rule-changed');
+    }
+});
+
@@ -0,0 +1,141 @@
+// prefs/TemplateGallery.js — Layout template picker for the Zone Generator
+// Runs in the prefs process only (GTK4 / libadwaita).
+// Shows every layout template as a small thumbnail drawn from its parameters.
+
+import GObject from 'gi://GObject';
+import Gtk from 'gi://Gtk';
+
+import { LAYOUT_TEMPLATES, buildLayoutTree, layoutRects } from './LayoutTemplates.js';
+
+const THUMBNAIL_WIDTH = 88;
+const THUMBNAIL_HEIGHT = 50;
+
+// Adwaita blue, as on the layout canvas
+const ZONE_RGB = [0.21, 0.52, 0.89];
+
+// ---------------------------------------------------------------------------
+// TemplateGallery
+// ---------------------------------------------------------------------------
+
+/**
+ * A Gtk.FlowBox with one thumbnail per layout template.
+ *
+ * Signals:
+ *   template-selected (templateId) — the user picked another template
+ */
+export const TemplateGallery = GObject.registerClass({
+    GTypeName: 'TemplateGallery',
+    Signals: {
+        'template-selected': { param_types: [GObject.TYPE_STRING] },
+    },
+}, class TemplateGallery extends Gtk.FlowBox {
+    /**
+     * @param {string} selectedId - Template selected initially
+     */
+    constructor(selectedId) {
+        super({
+            selection_mode: Gtk.SelectionMode.SINGLE,
+            homogeneous: true,
+            min_children_per_line: 2,
+            max_children_per_line: LAYOUT_TEMPLATES.length,
+            column_spacing: 6,
+            row_spacing: 6,
+            margin_top: 12,
+            margin_bottom: 12,
+            margin_start: 12,
+            margin_end: 12,
+        });
+
+        // Template id -> { child, area, params }
+        this._items = new Map();
+        this._selecting = false;
+
+        for (const template of LAYOUT_TEMPLATES) {
+            const area = new Gtk.DrawingArea({
+                content_width: THUMBNAIL_WIDTH,
+                content_height: THUMBNAIL_HEIGHT,
+                halign: Gtk.Align.CENTER,
+            });
+            const item = { area, params: {} };
+            area.set_draw_func((_area, cr, width, height) => {
+                this._drawThumbnail(cr, width, height, template.id, item.params);
+                cr.$dispose();
+            });
+
+            const box = new Gtk.Box({
+                orientation: Gtk.Orientation.VERTICAL,
+                spacing: 4,
+                margin_top: 6,
+                margin_bottom: 6,
+            });
+            box.append(area);
+            const label = new Gtk.Label({
+                label: template.title,
+                wrap: true,
+                justify: Gtk.Justification.CENTER,
+                max_width_chars: 12,
+            });
+            label.add_css_class('caption');
+            box.append(label);
+
+            item.child = new Gtk.FlowBoxChild({ child: box, tooltip_text: template.title });
+            this.append(item.child);
+            this._items.set(template.id, item);
+        }
+
+        this.selectTemplate(selectedId);
+
+        this.connect('selected-children-changed', () => {
+            const [selected] = this.get_selected_children();
+            if (this._selecting || !selected) return;
+            for (const [id, item] of this._items) {
+                if (item.child === selected) this.emit('template-selected', id);
+            }
+        });
+    }
+
+    /**
+     * Select a template without emitting template-selected.
+     * @param {string} templateId
+     */
+    selectTemplate(templateId) {
+        const item = this._items.get(templateId);
+        if (!item) return;
+        this._selecting = true;
+        this.select_child(item.child);
+        this._selecting = false;
+    }
+
+    /**
+     * Redraw a template's thumbnail with these parameters.
+     * @param {string} templateId
+     * @param {object} params
+     */
+    setParams(templateId, params) {
+        const item = this._items.get(templateId);
+        if (!item) return;
+        item.params = { ...params };
+        item.area.queue_draw();
+    }
+
+    _drawThumbnail(cr, width, height, templateId, params) {
+        const fg = this.get_color();
+        const [zr, zg, zb] = ZONE_RGB;
+        cr.setLineWidth(1);
+
+        cr.setSourceRGBA(fg.red, fg.green, fg.blue, 0.08);
+        cr.rectangle(0, 0, width, height);
+        cr.fill();
+
+        const tree = buildLayoutTree(templateId, params);
+        if (!tree) return;
+        for (const r of layoutRects(tree, { x: 2, y: 2, width: width - 4, height: height - 4 })) {
+            cr.setSourceRGBA(zr, zg, zb, 0.3);
+            cr.rectangle(r.x + 1, r.y + 1, r.width - 2, r.height - 2);
+            cr.fill();
+            cr.setSourceRGBA(zr, zg, zb, 0.9);
+            cr.rectangle(r.x + 1.5, r.y + 1.5, r.width - 3, r.height - 3);
+            cr.stroke();
+        }
+    }
+});
@@ -7,17 +7,31 @@ import Gdk from 'gi://Gdk';
 import Gtk from 'gi://Gtk';
 import Adw from 'gi://Adw';
 
+import { ZONE_UNITS, isPercentZone, resolveZoneRect, toPercentRect } from '../modules/ZoneGeometry.js';
+import { listMonitors } from './MonitorInfo.js';
+
+// Units of the position and size values (see ZoneGeometry.js), with their labels
+const UNIT_LABELS = ['Pixels', 'Percent of Monitor'];
+
+// clipToWorkArea as stored (undefined follows the profile), with labels
+const CLIP_VALUES = [undefined, true, false];
+const CLIP_LABELS = ['Profile Default', 'Yes', 'No'];
+
+// Split directions as stored in zones.json, with their labels
+const SPLIT_VALUES = ['none', 'horizontal', 'vertical'];
+const SPLIT_LABELS = ['None', 'Horizontal (top / bottom)', 'Vertical (left / right)'];
+
 // ---------------------------------------------------------------------------
 // ZoneEditorRow
 // ---------------------------------------------------------------------------
 
 /**
  * An Adw.ExpanderRow that organizes zone editing into logical sections:
- * Identity, Position & Size, Gaps, and Actions.
+ * Identity, Position & Size, Gaps, Split, and Actions.
  *
  * Signals:
  *   zone-changed — emitted on any property modification (for auto-save + live preview)
- *   zone-removed — emitted when the user confirms zone deletion
+ *   zone-removed — emitted when the delete button is clicked (the page offers Undo)
  */
 export const ZoneEditorRow = GObject.registerClass({
     GTypeName: 'ZoneEditorRow',
@@ -65,13 +79,30 @@ export const ZoneEditorRow = GObject.registerClass({
         this._zone = {
             name: zoneData?.name ?? '',
             monitorIndex: zoneData?.monitorIndex ?? 0,
+            // Optional bindings that win over monitorIndex (see MonitorIdentity.js)
+            monitorConnector: zoneData?.monitorConnector || undefined,
+            monitorId: zoneData?.monitorId || undefined,
             x: zoneData?.x ?? 0,
             y: zoneData?.y ?? 0,
             width: zoneData?.width ?? 0,
             height: zoneData?.height ?? 0,
+            units: isPercentZone(zoneData) ? 'percent' : 'px',
+            clipToWorkArea: typeof zoneData?.clipToWorkArea === 'boolean' ? zoneData.clipToWorkArea : undefined,
             gaps: normGaps,
             isPrimary: zoneData?.isPrimary ?? false,
+            // Split tree created in the shell (or here); children's geometry
+            // is derived from this zone by the extension, so only their
+            // names and nested splits matter.
+            splitDirection: zoneData?.splitDirection ?? 'none',
+            splitRatio: zoneData?.splitRatio ?? 0.5,
+            childZones: Array.isArray(zoneData?.childZones)
+                ? JSON.parse(JSON.stringify(zoneData.childZones))
+                : [],
         };
+        if (this._zone.childZones.length !== 2 || !SPLIT_VALUES.includes(this._zone.splitDirection)) {
+            this._zone.splitDirection = 'none';
+            this._zone.childZones = [];
+        }
 
         // Set initial title and subtitle
         this._refreshTitle();
@@ -81,6 +112,7 @@ export const ZoneEditorRow = GObject.registerClass({
         this._buildIdentitySection();
         this._buildPositionSizeSection();
         this._buildGapsSection();
+        this._buildSplitSection();
 
         // Add delete button to the collapsed header (always visible)
         this._buildHeaderDeleteButton();
@@ -96,7 +128,30 @@ export const ZoneEditorRow = GObject.registerClass({
      */
     getZoneData() {
         const { name, monitorIndex, x, y, width, height, gaps, isPrimary } = this._zone;
-        return { name, monitorIndex, x, y, width, height, gaps, isPrimary };
+        const data = { name, monitorIndex, x, y, width, height, gaps, isPrimary };
+        // Pixel zones are stored without `units`, as before percentages existed
+        if (this._zone.units === 'percent') data.units = 'percent';
+        if (this._zone.monitorConnector) data.monitorConnector = this._zone.monitorConnector;
+        if (this._zone.monitorId) data.monitorId = this._zone.monitorId;
+        if (this._zone.clipToWorkArea !== undefined) data.clipToWorkArea = this._zone.clipToWorkArea;
+        if (this._zone.splitDirection !== 'none') {
+            data.splitDirection = this._zone.splitDirection;
+            data.splitRatio = this._zone.splitRatio ?? 0.5;
+            data.childZones = JSON.parse(JSON.stringify(this._zone.childZones));
+        }
+        return data;
+    }
+
+    /**
+     * Replace position and size, e.g. after a drag on the layout canvas.
+     * Values are in the zone's current units; emits zone-changed.
+     * @param {{x: number, y: number, width: number, height: number}} rect
+     */
+    setGeometry({ x, y, width, height }) {
+        Object.assign(this._zone, { x, y, width, height });
+        this._applyUnitBounds();
+        this._refreshSubtitle();
+        this._emitChanged();
     }
 
     /**
@@ -108,19 +163,8 @@ export const ZoneEditorRow = GObject.registerClass({
         this._resW = resW;
         this._resH = resH;
 
-        // Update spin row upper limits
-        if (this._xSpinRow) {
-            this._xSpinRow.get_adjustment().set_upper(resW);
-        }
-        if (this._ySpinRow) {
-            this._ySpinRow.get_adjustment().set_upper(resH);
-        }
-        if (this._wSpinRow) {
-            this._wSpinRow.get_adjustment().set_upper(resW);
-        }
-        if (this._hSpinRow) {
-            this._hSpinRow.get_adjustment().set_upper(resH);
-        }
+        // Update spin row upper limits (percentages don't depend on it)
+        this._applyUnitBounds();
 
         // Re-clamp current values
         this._clampPosition();
@@ -175,6 +219,47 @@ export const ZoneEditorRow = GObject.registerClass({
         });
         this.add_row(monRow);
 
+        // Connector binding, so GNOME renumbering monitors doesn't move the zone
+        const connectorOptions = this._connectorOptions();
+        const connectorRow = new Adw.ComboRow({
+            title: 'Follow Connector',
+            subtitle: 'Stay on this output even if monitors are renumbered',
+            model: Gtk.StringList.new(connectorOptions.map(o => o.label)),
+        });
+        connectorRow.set_selected(Math.max(0,
+            connectorOptions.findIndex(o => o.connector === this._zone.monitorConnector)));
+        connectorRow.connect('notify::selected', () => {
+            const option = connectorOptions[connectorRow.get_selected()];
+            if (!option || option.connector === this._zone.monitorConnector) return;
+            this._zone.monitorConnector = option.connector;
+            // Keep the fallback index on the same monitor
+            if (option.index !== undefined) monAdj.set_value(option.index);
+            this._refreshSubtitle();
+            this._emitChanged();
+        });
+        this.add_row(connectorRow);
+
+        // Display binding (EDID), so the zone follows a screen to any output
+        const displayOptions = this._displayOptions();
+        const displayRow = new Adw.ComboRow({
+            title: 'Follow Display',
+            subtitle: displayOptions.some(o => o.index !== undefined)
+                ? 'Follow this screen to any output; connector and index are fallbacks'
+                : 'Connected displays are listed while the extension is running',
+            model: Gtk.StringList.new(displayOptions.map(o => o.label)),
+        });
+        displayRow.set_selected(Math.max(0,
+            displayOptions.findIndex(o => o.id === this._zone.monitorId)));
+        displayRow.connect('notify::selected', () => {
+            const option = displayOptions[displayRow.get_selected()];
+            if (!option || option.id === this._zone.monitorId) return;
+            this._zone.monitorId = option.id;
+            if (option.index !== undefined) monAdj.set_value(option.index);
+            this._refreshSubtitle();
+            this._emitChanged();
+        });
+        this.add_row(displayRow);
+
         // Primary Zone
         const primRow = new Adw.SwitchRow({
             title: 'Primary Zone',
@@ -188,11 +273,69 @@ export const ZoneEditorRow = GObject.registerClass({
         this.add_row(primRow);
     }
 
+    /**
+     * Choices for the Follow Connector row: none, every connected output,
+     * and the saved connector if it isn't connected.
+     * @returns {Array<{label: string, connector: string|undefined, index: number|undefined}>}
+     */
+    _connectorOptions() {
+        const options = [{ label: 'Monitor Index Only', connector: undefined, index: undefined }];
+        for (const monitor of listMonitors()) {
+            if (!monitor.connector) continue;
+            const label = [monitor.connector, monitor.model].filter(Boolean).join(' · ');
+            options.push({ label, connector: monitor.connector, index: monitor.index });
+        }
+        const saved = this._zone.monitorConnector;
+        if (saved && !options.some(o => o.connector === saved))
+            options.push({ label: `${saved} (not connected)`, connector: saved, index: undefined });
+        return options;
+    }
+
+    /**
+     * Choices for the Follow Display row: none, every connected display with
+     * an EDID id, and the saved id if that display isn't connected.
+     * @returns {Array<{label: string, id: string|undefined, index: number|undefined}>}
+     */
+    _displayOptions() {
+        const options = [{ label: 'Any Display', id: undefined, index: undefined }];
+        for (const monitor of listMonitors()) {
+            for (const id of monitor.ids) {
+                const label = [monitor.model || id, monitor.connector].filter(Boolean).join(' · ');
+                options.push({ label, id, index: monitor.index });
+            }
+        }
+        const saved = this._zone.monitorId;
+        if (saved && !options.some(o => o.id === saved))
+            options.push({ label: `${saved} (not connected)`, id: saved, index: undefined });
+        return options;
+    }
+
     _buildPositionSizeSection() {
         this._addSectionHeader('Position & Size');
 
-        const resW = this._resW;
-        const resH = this._resH;
+        // Units — switching converts the values using the generator resolution
+        const unitRow = new Adw.ComboRow({
+            title: 'Units',
+            subtitle: 'Percentages fit the zone to any monitor resolution',
+            model: Gtk.StringList.new(UNIT_LABELS),
+        });
+        unitRow.set_selected(Math.max(0, ZONE_UNITS.indexOf(this._zone.units)));
+        unitRow.connect('notify::selected', () => {
+            const units = ZONE_UNITS[unitRow.get_selected()];
+            if (units === this._zone.units) return;
+            const resolution = { width: this._resW, height: this._resH };
+            const rect = units === 'percent'
+                ? toPercentRect(this._zone, resolution)
+                : resolveZoneRect(this._zone, resolution);
+            Object.assign(this._zone, rect, { units });
+            this._applyUnitBounds();
+            this._refreshSubtitle();
+            this._emitChanged();
+        });
+        this.add_row(unitRow);
+
+        const resW = this._limitW;
+        const resH = this._limitH;
 
         // X
         const xAdj = new Gtk.Adjustment({
@@ -205,8 +348,8 @@ export const ZoneEditorRow = GObject.registerClass({
         });
         xAdj.connect('value-changed', () => {
             if (this._updatingValue) return;
-            const v = Math.round(xAdj.get_value());
-            const maxX = Math.max(0, this._resW - this._zone.width);
+            const v = this._roundValue(xAdj.get_value());
+            const maxX = Math.max(0, this._limitW - this._zone.width);
             const clamped = Math.min(Math.max(0, v), maxX);
             this._zone.x = clamped;
             if (clamped !== v) {
@@ -231,8 +374,8 @@ export const ZoneEditorRow = GObject.registerClass({
         });
         yAdj.connect('value-changed', () => {
             if (this._updatingValue) return;
-            const v = Math.round(yAdj.get_value());
-            const maxY = Math.max(0, this._resH - this._zone.height);
+            const v = this._roundValue(yAdj.get_value());
+            const maxY = Math.max(0, this._limitH - this._zone.height);
             const clamped = Math.min(Math.max(0, v), maxY);
             this._zone.y = clamped;
             if (clamped !== v) {
@@ -248,7 +391,7 @@ export const ZoneEditorRow = GObject.registerClass({
 
         // Width
         const wAdj = new Gtk.Adjustment({
-            lower: 0, upper: resW, step_increment: 1, page_increment: 10, value: this._zone.width,
+            lower: 1, upper: resW, step_increment: 1, page_increment: 10, value: this._zone.width,
         });
         const wRow = new Adw.SpinRow({
             title: 'Width',
@@ -257,8 +400,8 @@ export const ZoneEditorRow = GObject.registerClass({
         });
         wAdj.connect('value-changed', () => {
             if (this._updatingValue) return;
-            const v = Math.round(wAdj.get_value());
-            const maxW = Math.max(0, this._resW - this._zone.x);
+            const v = this._roundValue(wAdj.get_value());
+            const maxW = Math.max(0, this._limitW - this._zone.x);
             const clamped = Math.min(Math.max(0, v), maxW);
             this._zone.width = clamped;
             if (clamped !== v) {
@@ -274,7 +417,7 @@ export const ZoneEditorRow = GObject.registerClass({
 
         // Height
         const hAdj = new Gtk.Adjustment({
-            lower: 0, upper: resH, step_increment: 1, page_increment: 10, value: this._zone.height,
+            lower: 1, upper: resH, step_increment: 1, page_increment: 10, value: this._zone.height,
         });
         const hRow = new Adw.SpinRow({
             title: 'Height',
@@ -283,8 +426,8 @@ export const ZoneEditorRow = GObject.registerClass({
         });
         hAdj.connect('value-changed', () => {
             if (this._updatingValue) return;
-            const v = Math.round(hAdj.get_value());
-            const maxH = Math.max(0, this._resH - this._zone.y);
+            const v = this._roundValue(hAdj.get_value());
+            const maxH = Math.max(0, this._limitH - this._zone.y);
             const clamped = Math.min(Math.max(0, v), maxH);
             this._zone.height = clamped;
             if (clamped !== v) {
@@ -297,6 +440,59 @@ export const ZoneEditorRow = GObject.registerClass({
         });
         this._hSpinRow = hRow;
         this.add_row(hRow);
+
+        this._applyUnitBounds();
+
+        // Keep clear of the top bar and docks
+        const clipRow = new Adw.ComboRow({
+            title: 'Avoid Panels and Docks',
+            subtitle: 'Shrink the zone to the area not covered by panels and docks',
+            model: Gtk.StringList.new(CLIP_LABELS),
+        });
+        clipRow.set_selected(Math.max(0, CLIP_VALUES.indexOf(this._zone.clipToWorkArea)));
+        clipRow.connect('notify::selected', () => {
+            this._zone.clipToWorkArea = CLIP_VALUES[clipRow.get_selected()];
+            this._emitChanged();
+        });
+        this.add_row(clipRow);
+    }
+
+    // Largest X/width and Y/height for the current units
+    get _limitW() {
+        return this._zone.units === 'percent' ? 100 : this._resW;
+    }
+
+    get _limitH() {
+        return this._zone.units === 'percent' ? 100 : this._resH;
+    }
+
+    _roundValue(v) {
+        return this._zone.units === 'percent' ? Math.round(v * 100) / 100 : Math.round(v);
+    }
+
+    /**
+     * Set range, precision and values of the position and size rows for the
+     * current units.
+     */
+    _applyUnitBounds() {
+        const percent = this._zone.units === 'percent';
+        const rows = [
+            [this._xSpinRow, this._limitW, 'x'],
+            [this._ySpinRow, this._limitH, 'y'],
+            [this._wSpinRow, this._limitW, 'width'],
+            [this._hSpinRow, this._limitH, 'height'],
+        ];
+        this._updatingValue = true;
+        for (const [row, upper, key] of rows) {
+            if (!row) continue;
+            const adj = row.get_adjustment();
+            adj.set_upper(upper);
+            adj.set_step_increment(percent ? 0.5 : 1);
+            adj.set_page_increment(percent ? 5 : 10);
+            row.set_digits(percent ? 2 : 0);
+            adj.set_value(this._zone[key]);
+        }
+        this._updatingValue = false;
     }
 
     _buildGapsSection() {
@@ -399,6 +595,81 @@ export const ZoneEditorRow = GObject.registerClass({
         this.add_row(gapLeftRow);
     }
 
+    _buildSplitSection() {
+        this._addSectionHeader('Split');
+        this._splitRows = [];
+        this._rebuildSplitRows();
+    }
+
+    /**
+     * One row per node of the split tree (depth-first). The Split section is
+     * the last one, so rebuilt rows are simply appended again.
+     */
+    _rebuildSplitRows() {
+        this._splitRows.forEach(r => this.remove(r));
+        this._splitRows = [];
+
+        const addNode = (node, title, nodeName) => {
+            const row = new Adw.ComboRow({
+                title,
+                subtitle: node === this._zone ? 'Divide this zone into two child zones' : '',
+                model: Gtk.StringList.new(SPLIT_LABELS),
+            });
+            row.set_selected(Math.max(0, SPLIT_VALUES.indexOf(node.splitDirection ?? 'none')));
+            row.connect('notify::selected', () => {
+                const direction = SPLIT_VALUES[row.get_selected()];
+                if (direction === (node.splitDirection ?? 'none')) return;
+                this._setSplit(node, direction, nodeName);
+            });
+            this.add_row(row);
+            this._splitRows.push(row);
+
+            if ((node.childZones?.length ?? 0) === 2) {
+                // Share of the first child, also changeable by dragging the
+                // divider between the two children in the shell
+                const ratioAdj = new Gtk.Adjustment({
+                    lower: 10, upper: 90, step_increment: 1, page_increment: 5,
+                    value: Math.round((node.splitRatio ?? 0.5) * 100),
+                });
+                const ratioRow = new Adw.SpinRow({
+                    title: `${title} Ratio`,
+                    subtitle: node.splitDirection === 'horizontal'
+                        ? 'Height of the top child, in percent' : 'Width of the left child, in percent',
+                    adjustment: ratioAdj,
+                    numeric: true,
+                });
+                ratioAdj.connect('value-changed', () => {
+                    node.splitRatio = Math.round(ratioAdj.get_value()) / 100;
+                    this._emitChanged();
+                });
+                this.add_row(ratioRow);
+                this._splitRows.push(ratioRow);
+
+                const sides = node.splitDirection === 'horizontal'
+                    ? ['Top', 'Bottom'] : ['Left', 'Right'];
+                node.childZones.forEach((child, i) => {
+                    addNode(child, `${title} › ${sides[i]}`, child.name || `${nodeName}.${i + 1}`);
+                });
+            }
+        };
+        addNode(this._zone, 'Split', this._zone.name || `Zone ${this._index + 1}`);
+    }
+
+    _setSplit(node, direction, nodeName) {
+        if (direction === 'none') {
+            node.splitDirection = 'none';
+            node.childZones = [];
+            delete node.splitRatio;
+        } else {
+            if ((node.childZones?.length ?? 0) !== 2)
+                node.childZones = [{ name: `${nodeName}.1` }, { name: `${nodeName}.2` }];
+            node.splitDirection = direction;
+        }
+        this._rebuildSplitRows();
+        this._refreshSubtitle();
+        this._emitChanged();
+    }
+
     _buildHeaderDeleteButton() {
         const deleteBtn = new Gtk.Button({
             icon_name: 'user-trash-symbolic',
@@ -407,7 +678,8 @@ export const ZoneEditorRow = GObject.registerClass({
         });
         deleteBtn.add_css_class('flat');
         deleteBtn.add_css_class('destructive-action');
-        deleteBtn.connect('clicked', () => this._confirmDelete());
+        // No confirmation: the Profiles page offers Undo (and Ctrl+Z)
+        deleteBtn.connect('clicked', () => this.emit('zone-removed'));
         this.add_suffix(deleteBtn);
     }
 
@@ -439,8 +711,10 @@ export const ZoneEditorRow = GObject.registerClass({
 
     _refreshSubtitle() {
         const z = this._zone;
+        const split = z.splitDirection !== 'none' ? ` · split ${z.splitDirection}` : '';
+        const u = z.units === 'percent' ? '%' : '';
         this.set_subtitle(
-            `Monitor ${z.monitorIndex} · ${z.width}×${z.height} at (${z.x}, ${z.y})`
+            `Monitor ${z.monitorConnector ?? z.monitorIndex} · ${z.width}${u}×${z.height}${u} at (${z.x}${u}, ${z.y}${u})${split}`
         );
     }
 
@@ -451,16 +725,16 @@ export const ZoneEditorRow = GObject.registerClass({
     _clampPosition() {
         // Ensure X + Width <= resW and Y + Height <= resH after resolution change
         const z = this._zone;
-        if (z.x + z.width > this._resW) {
-            z.width = Math.max(0, this._resW - z.x);
+        if (z.x + z.width > this._limitW) {
+            z.width = Math.max(0, this._limitW - z.x);
             if (this._wSpinRow) {
                 this._updatingValue = true;
                 this._wSpinRow.get_adjustment().set_value(z.width);
                 this._updatingValue = false;
             }
         }
-        if (z.y + z.height > this._resH) {
-            z.height = Math.max(0, this._resH - z.y);
+        if (z.y + z.height > this._limitH) {
+            z.height = Math.max(0, this._limitH - z.y);
             if (this._hSpinRow) {
                 this._updatingValue = true;
                 this._hSpinRow.get_adjustment().set_value(z.height);
@@ -500,29 +774,4 @@ export const ZoneEditorRow = GObject.registerClass({
             Gtk.STYLE_PROVIDER_PRIORITY_APPLICATION
         );
     }
-
-    /**
-     * Shows an Adw.AlertDialog to confirm zone deletion.
-     */
-    _confirmDelete() {
-        const dialog = new Adw.AlertDialog({
-            heading: 'Delete Zone?',
-            body: `Are you sure you want to delete "${this._zone.name || `Zone ${this._index + 1}`}"? This cannot be undone.`,
-        });
-        dialog.add_response('cancel', 'Cancel');
-        dialog.add_response('delete', 'Delete');
-        dialog.set_response_appearance('delete', Adw.ResponseAppearance.DESTRUCTIVE);
-        dialog.set_default_response('cancel');
-        dialog.set_close_response('cancel');
-
-        dialog.connect('response', (_dlg, response) => {
-            if (response === 'delete') {
-                this.emit('zone-removed');
-            }
-        });
-
-        // Present the dialog relative to this widget's root window
-        const root = this.get_root();
-        dialog.present(root);
-    }
 });
@@ -0,0 +1,523 @@
+// prefs/ZoneLayoutCanvas.js — Mouse-driven zone layout editor for settings UI
+// Runs in the prefs process only (GTK4 / libadwaita).
+// Draws every monitor to scale with its zones, and lets the user draw, move
+// and resize zones with the mouse. Edges snap to the monitor and other zones.
+
+import GObject from 'gi://GObject';
+import Gtk from 'gi://Gtk';
+import PangoCairo from 'gi://PangoCairo';
+
+import { isPercentZone, resolveZoneRect, toPercentRect } from '../modules/ZoneGeometry.js';
+import { listMonitors, monitorIdentities } from './MonitorInfo.js';
+import { resolveMonitorIndex } from '../modules/MonitorIdentity.js';
+
+// Canvas pixels around the monitors
+const PADDING = 12;
+// Canvas pixels from a zone edge that still grab the edge
+const HANDLE_SIZE = 6;
+// Canvas pixels within which edges snap together
+const SNAP_DISTANCE = 8;
+// Smallest zone, in monitor pixels, that can be drawn or resized to
+const MIN_ZONE_SIZE = 50;
+
+// Adwaita blue
+const ZONE_RGB = [0.21, 0.52, 0.89];
+
+// Cursor per grabbed edge combination (see _hitTest)
+const EDGE_CURSORS = {
+    left: 'ew-resize',
+    right: 'ew-resize',
+    top: 'ns-resize',
+    bottom: 'ns-resize',
+    'top-left': 'nwse-resize',
+    'bottom-right': 'nwse-resize',
+    'top-right': 'nesw-resize',
+    'bottom-left': 'nesw-resize',
+};
+
+// ---------------------------------------------------------------------------
+// ZoneLayoutCanvas
+// ---------------------------------------------------------------------------
+
+/**
+ * A Gtk.DrawingArea showing the monitors and zones of a profile.
+ *
+ * Zone positions are kept in the zone's own units; percent zones are
+ * resolved against the monitor they are drawn on and converted back after
+ * every edit. Monitors that zones refer to but that aren't connected are
+ * drawn dashed at the generator resolution, right of the real ones.
+ *
+ * Signals:
+ *   zone-modified (index) — a zone was moved or resized; read it back with
+ *     getZoneGeometry()
+ *   zone-drawn (monitorIndex, x, y, width, height) — the user drew a new
+ *     zone (pixels, relative to the monitor)
+ */
+export const ZoneLayoutCanvas = GObject.registerClass({
+    GTypeName: 'ZoneLayoutCanvas',
+    Signals: {
+        'zone-modified': { param_types: [GObject.TYPE_INT] },
+        'zone-drawn': {
+            param_types: [
+                GObject.TYPE_INT, GObject.TYPE_INT, GObject.TYPE_INT, GObject.TYPE_INT, GObject.TYPE_INT,
+            ],
+        },
+    },
+}, class ZoneLayoutCanvas extends Gtk.DrawingArea {
+    /**
+     * @param {number} resW - Resolution width for monitors that aren't connected
+     * @param {number} resH - Resolution height for monitors that aren't connected
+     */
+    constructor(resW, resH) {
+        super({
+            content_height: 260,
+            hexpand: true,
+        });
+
+        this._resW = resW || 1920;
+        this._resH = resH || 1080;
+        this._zones = [];
+        this._connectedMonitors = listMonitors();
+        this._identities = monitorIdentities(this._connectedMonitors);
+        this._selected = -1;
+        this._drag = null;
+
+        this.set_draw_func((_area, cr, width, height) => {
+            this._draw(cr, width, height);
+            cr.$dispose();
+        });
+
+        const dragGesture = new Gtk.GestureDrag();
+        dragGesture.connect('drag-begin', (_g, x, y) => this._onDragBegin(x, y));
+        dragGesture.connect('drag-update', (_g, dx, dy) => this._onDragUpdate(dx, dy));
+        dragGesture.connect('drag-end', () => this._onDragEnd());
+        this.add_controller(dragGesture);
+
+        const motionController = new Gtk.EventControllerMotion();
+        motionController.connect('motion', (_c, x, y) => this._updateCursor(x, y));
+        this.add_controller(motionController);
+    }
+
+    // -----------------------------------------------------------------------
+    // Public API
+    // -----------------------------------------------------------------------
+
+    /**
+     * Replace the zones shown (zone data as returned by ZoneEditorRow).
+     * @param {Array<Object>} zones
+     */
+    setZones(zones) {
+        this._zones = zones.map(z => JSON.parse(JSON.stringify(z)));
+        if (this._selected >= this._zones.length) this._selected = -1;
+        this.queue_draw();
+    }
+
+    /**
+     * Position and size of a zone, in the zone's own units.
+     * @param {number} index
+     * @returns {{x: number, y: number, width: number, height: number}|null}
+     */
+    getZoneGeometry(index) {
+        const zone = this._zones[index];
+        if (!zone) return null;
+        const { x, y, width, height } = zone;
+        return { x, y, width, height };
+    }
+
+    /**
+     * Update the size used for monitors that aren't connected.
+     * @param {number} resW
+     * @param {number} resH
+     */
+    setFallbackResolution(resW, resH) {
+        this._resW = resW;
+        this._resH = resH;
+        this.queue_draw();
+    }
+
+    /**
+     * Re-read the connected monitors, e.g. after one was plugged in.
+     */
+    refreshMonitors() {
+        this._connectedMonitors = listMonitors();
+        this._identities = monitorIdentities(this._connectedMonitors);
+        this.queue_draw();
+    }
+
+    /**
+     * Highlight a zone (-1 for none).
+     * @param {number} index
+     */
+    selectZone(index) {
+        this._selected = index;
+        this.queue_draw();
+    }
+
+    // -----------------------------------------------------------------------
+    // Geometry
+    // -----------------------------------------------------------------------
+
+    // Zones bound to a connector are shown on the monitor with that connector
+    _monitorIndexOf(zone) {
+        return resolveMonitorIndex(zone, this._identities);
+    }
+
+    /**
+     * Monitors to show, by index: the connected ones plus a placeholder for
+     * every other monitor index a zone refers to.
+     * @returns {Map<number, {x: number, y: number, width: number, height: number, connected: boolean}>}
+     */
+    _getMonitors() {
+        const monitors = new Map();
+        let right = 0;
+        for (const m of this._connectedMonitors) {
+            monitors.set(m.index, { x: m.x, y: m.y, width: m.width, height: m.height, connected: true });
+            right = Math.max(right, m.x + m.width);
+        }
+
+        const wanted = this._zones.map(z => this._monitorIndexOf(z));
+        if (monitors.size === 0) wanted.push(0);
+        for (const index of [...new Set(wanted)].sort((a, b) => a - b)) {
+            if (monitors.has(index)) continue;
+            monitors.set(index, { x: right, y: 0, width: this._resW, height: this._resH, connected: false });
+            right += this._resW;
+        }
+        return monitors;
+    }
+
+    /**
+     * Scale and offset that fit all monitors into the widget.
+     */
+    _computeView(width, height) {
+        const monitors = this._getMonitors();
+        const all = [...monitors.values()];
+        const left = Math.min(...all.map(m => m.x));
+        const top = Math.min(...all.map(m => m.y));
+        const boundsW = Math.max(...all.map(m => m.x + m.width)) - left;
+        const boundsH = Math.max(...all.map(m => m.y + m.height)) - top;
+
+        const scale = Math.max(0.01, Math.min(
+            (width - 2 * PADDING) / boundsW,
+            (height - 2 * PADDING) / boundsH
+        ));
+        return {
+            monitors,
+            scale,
+            originX: (width - boundsW * scale) / 2 - left * scale,
+            originY: (height - boundsH * scale) / 2 - top * scale,
+        };
+    }
+
+    _monitorToCanvas(view, monitor, rect = { x: 0, y: 0, width: monitor.width, height: monitor.height }) {
+        return {
+            x: view.originX + (monitor.x + rect.x) * view.scale,
+            y: view.originY + (monitor.y + rect.y) * view.scale,
+            width: rect.width * view.scale,
+            height: rect.height * view.scale,
+        };
+    }
+
+    _zoneRect(view, index) {
+        const zone = this._zones[index];
+        const monitor = view.monitors.get(this._monitorIndexOf(zone));
+        return monitor ? resolveZoneRect(zone, monitor) : null;
+    }
+
+    /**
+     * What is under a canvas point: a zone (and which of its edges), or an
+     * empty spot on a monitor.
+     */
+    _hitTest(view, x, y) {
+        // Later zones are drawn on top, so they win
+        for (let i = this._zones.length - 1; i >= 0; i--) {
+            const rect = this._zoneRect(view, i);
+            if (!rect) continue;
+            const monitor = view.monitors.get(this._monitorIndexOf(this._zones[i]));
+            const r = this._monitorToCanvas(view, monitor, rect);
+            if (x < r.x - HANDLE_SIZE || x > r.x + r.width + HANDLE_SIZE ||
+                y < r.y - HANDLE_SIZE || y > r.y + r.height + HANDLE_SIZE)
+                continue;
+
+            const vertical = Math.abs(y - r.y) <= HANDLE_SIZE ? 'top'
+                : Math.abs(y - (r.y + r.height)) <= HANDLE_SIZE ? 'bottom' : '';
+            const horizontal = Math.abs(x - r.x) <= HANDLE_SIZE ? 'left'
+                : Math.abs(x - (r.x + r.width)) <= HANDLE_SIZE ? 'right' : '';
+            const edges = [vertical, horizontal].filter(Boolean).join('-');
+            if (!edges && (x < r.x || x > r.x + r.width || y < r.y || y > r.y + r.height))
+                continue;
+            return { index: i, monitor, rect, edges };
+        }
+
+        for (const [index, monitor] of view.monitors) {
+            const r = this._monitorToCanvas(view, monitor);
+            if (x >= r.x && x <= r.x + r.width && y >= r.y && y <= r.y + r.height)
+                return { index: -1, monitorIndex: index, monitor, edges: '' };
+        }
+        return null;
+    }
+
+    /**
+     * Edge positions other edges on this monitor snap to.
+     */
+    _snapLines(view, monitorIndex, monitor, skipIndex) {
+        const xs = [0, monitor.width];
+        const ys = [0, monitor.height];
+        this._zones.forEach((zone, i) => {
+            if (i === skipIndex || this._monitorIndexOf(zone) !== monitorIndex) return;
+            const r = this._zoneRect(view, i);
+            xs.push(r.x, r.x + r.width);
+            ys.push(r.y, r.y + r.height);
+        });
+        return { xs, ys };
+    }
+
+    // The nearest line within the snap distance, or the value itself
+    _snap(value, lines, threshold) {
+        let best = value;
+        for (const line of lines) {
+            if (Math.abs(line - value) <= threshold && Math.abs(line - value) < Math.abs(best - value))
+                best = line;
+        }
+        return best;
+    }
+
+    // -----------------------------------------------------------------------
+    // Mouse handling
+    // -----------------------------------------------------------------------
+
+    _onDragBegin(x, y) {
+        const view = this._computeView(this.get_width(), this.get_height());
+        const hit = this._hitTest(view, x, y);
+        this._drag = null;
+        this._selected = hit?.index ?? -1;
+
+        if (hit && hit.index >= 0) {
+            this._drag = {
+                mode: hit.edges ? 'resize' : 'move',
+                index: hit.index,
+                monitorIndex: this._monitorIndexOf(this._zones[hit.index]),
+                monitor: hit.monitor,
+                start: hit.rect,
+                edges: hit.edges,
+            };
+        } else if (hit) {
+            this._drag = {
+                mode: 'draw',
+                monitorIndex: hit.monitorIndex,
+                monitor: hit.monitor,
+                anchor: {
+                    x: (x - view.originX) / view.scale - hit.monitor.x,
+                    y: (y - view.originY) / view.scale - hit.monitor.y,
+                },
+                draft: null,
+            };
+        }
+        this.queue_draw();
+    }
+
+    _onDragUpdate(dx, dy) {
+        const drag = this._drag;
+        if (!drag) return;
+
+        const view = this._computeView(this.get_width(), this.get_height());
+        const { monitor } = drag;
+        const threshold = SNAP_DISTANCE / view.scale;
+        const { xs, ys } = this._snapLines(view, drag.monitorIndex, monitor, drag.index ?? -1);
+        const clamp = (v, lo, hi) => Math.min(Math.max(v, lo), hi);
+        dx /= view.scale;
+        dy /= view.scale;
+
+        if (drag.mode === 'draw') {
+            const toX = clamp(this._snap(drag.anchor.x + dx, xs, threshold), 0, monitor.width);
+            const toY = clamp(this._snap(drag.anchor.y + dy, ys, threshold), 0, monitor.height);
+            const fromX = clamp(this._snap(drag.anchor.x, xs, threshold), 0, monitor.width);
+            const fromY = clamp(this._snap(drag.anchor.y, ys, threshold), 0, monitor.height);
+            drag.draft = {
+                x: Math.round(Math.min(fromX, toX)),
+                y: Math.round(Math.min(fromY, toY)),
+                width: Math.round(Math.abs(toX - fromX)),
+                height: Math.round(Math.abs(toY - fromY)),
+            };
+            this.queue_draw();
+            return;
+        }
+
+        const s = drag.start;
+        let left = s.x, top = s.y, right = s.x + s.width, bottom = s.y + s.height;
+
+        if (drag.mode === 'move') {
+            // Snap whichever edge is closer to a line, keeping the size
+            const snapShift = (lo, hi, lines) => {
+                const a = this._snap(lo, lines, threshold) - lo;
+                const b = this._snap(hi, lines, threshold) - hi;
+                return Math.abs(a) > 0 && (Math.abs(a) <= Math.abs(b) || b === 0) ? a : b;
+            };
+            left += dx;
+            top += dy;
+            left += snapShift(left, left + s.width, xs);
+            top += snapShift(top, top + s.height, ys);
+            left = clamp(left, 0, Math.max(0, monitor.width - s.width));
+            top = clamp(top, 0, Math.max(0, monitor.height - s.height));
+            right = left + s.width;
+            bottom = top + s.height;
+        } else {
+            const edges = drag.edges.split('-');
+            if (edges.includes('left'))
+                left = clamp(this._snap(left + dx, xs, threshold), 0, right - MIN_ZONE_SIZE);
+            if (edges.includes('right'))
+                right = clamp(this._snap(right + dx, xs, threshold), left + MIN_ZONE_SIZE, monitor.width);
+            if (edges.includes('top'))
+                top = clamp(this._snap(top + dy, ys, threshold), 0, bottom - MIN_ZONE_SIZE);
+            if (edges.includes('bottom'))
+                bottom = clamp(this._snap(bottom + dy, ys, threshold), top + MIN_ZONE_SIZE, monitor.height);
+        }
+
+        left = Math.round(left);
+        top = Math.round(top);
+        this._setZoneRect(drag.index, monitor, {
+            x: left,
+            y: top,
+            width: Math.round(right) - left,
+            height: Math.round(bottom) - top,
+        });
+    }
+
+    _onDragEnd() {
+        const drag = this._drag;
+        this._drag = null;
+        if (drag?.mode === 'draw') {
+            const draft = drag.draft;
+            if (draft && draft.width >= MIN_ZONE_SIZE && draft.height >= MIN_ZONE_SIZE)
+                this.emit('zone-drawn', drag.monitorIndex, draft.x, draft.y, draft.width, draft.height);
+        }
+        this.queue_draw();
+    }
+
+    _setZoneRect(index, monitor, rect) {
+        const zone = this._zones[index];
+        const geometry = isPercentZone(zone) ? toPercentRect(rect, monitor) : rect;
+        if (['x', 'y', 'width', 'height'].every(k => zone[k] === geometry[k])) return;
+        Object.assign(zone, geometry);
+        this.queue_draw();
+        this.emit('zone-modified', index);
+    }
+
+    _updateCursor(x, y) {
+        if (this._drag) return;
+        const view = this._computeView(this.get_width(), this.get_height());
+        const hit = this._hitTest(view, x, y);
+        let cursor = null;
+        if (hit?.index >= 0)
+            cursor = EDGE_CURSORS[hit.edges] ?? 'move';
+        else if (hit)
+            cursor = 'crosshair';
+        this.set_cursor_from_name(cursor);
+    }
+
+    // -----------------------------------------------------------------------
+    // Drawing
+    // -----------------------------------------------------------------------
+
+    _draw(cr, width, height) {
+        const view = this._computeView(width, height);
+        const fg = this.get_color();
+        const [zr, zg, zb] = ZONE_RGB;
+        cr.setLineWidth(1);
+
+        // Monitors
+        for (const [index, monitor] of view.monitors) {
+            const r = this._monitorToCanvas(view, monitor);
+            cr.setSourceRGBA(fg.red, fg.green, fg.blue, 0.06);
+            cr.rectangle(r.x, r.y, r.width, r.height);
+            cr.fill();
+
+            cr.setSourceRGBA(fg.red, fg.green, fg.blue, 0.4);
+            cr.setDash(monitor.connected ? [] : [4, 4], 0);
+            cr.rectangle(r.x + 0.5, r.y + 0.5, r.width - 1, r.height - 1);
+            cr.stroke();
+            cr.setDash([], 0);
+
+            const label = `Monitor ${index} · ${monitor.width}×${monitor.height}${monitor.connected ? '' : ' (not connected)'}`;
+            this._drawText(cr, label, r, fg, 0.55, false);
+        }
+
+        // Zones
+        this._zones.forEach((zone, i) => {
+            const monitor = view.monitors.get(this._monitorIndexOf(zone));
+            const rect = this._zoneRect(view, i);
+            if (!monitor || !rect) return;
+            const r = this._monitorToCanvas(view, monitor, rect);
+            const selected = i === this._selected;
+
+            cr.setSourceRGBA(zr, zg, zb, selected ? 0.45 : 0.25);
+            cr.rectangle(r.x, r.y, r.width, r.height);
+            cr.fill();
+
+            cr.setSourceRGBA(zr, zg, zb, 0.9);
+            cr.setLineWidth(selected ? 2 : 1);
+            cr.rectangle(r.x + 0.5, r.y + 0.5, r.width - 1, r.height - 1);
+            cr.stroke();
+            cr.setLineWidth(1);
+
+            this._drawSplits(cr, zone, r);
+            this._drawText(cr, zone.name || `Zone ${i + 1}`, r, fg, 0.9, true);
+        });
+
+        // Zone being drawn
+        const draft = this._drag?.mode === 'draw' ? this._drag.draft : null;
+        if (draft) {
+            const r = this._monitorToCanvas(view, this._drag.monitor, draft);
+            cr.setSourceRGBA(zr, zg, zb, 0.15);
+            cr.rectangle(r.x, r.y, r.width, r.height);
+            cr.fill();
+            cr.setSourceRGBA(zr, zg, zb, 0.9);
+            cr.setDash([4, 4], 0);
+            cr.rectangle(r.x + 0.5, r.y + 0.5, r.width - 1, r.height - 1);
+            cr.stroke();
+            cr.setDash([], 0);
+        }
+    }
+
+    // Divider lines of a zone's split tree
+    _drawSplits(cr, node, r) {
+        if ((node.childZones?.length ?? 0) !== 2) return;
+        const ratio = node.splitRatio ?? 0.5;
+        let first, second;
+        if (node.splitDirection === 'horizontal') {
+            const h = r.height * ratio;
+            cr.moveTo(r.x, r.y + h);
+            cr.lineTo(r.x + r.width, r.y + h);
+            first = { ...r, height: h };
+            second = { ...r, y: r.y + h, height: r.height - h };
+        } else {
+            const w = r.width * ratio;
+            cr.moveTo(r.x + w, r.y);
+            cr.lineTo(r.x + w, r.y + r.height);
+            first = { ...r, width: w };
+            second = { ...r, x: r.x + w, width: r.width - w };
+        }
+        const [zr, zg, zb] = ZONE_RGB;
+        cr.setSourceRGBA(zr, zg, zb, 0.9);
+        cr.setDash([3, 3], 0);
+        cr.stroke();
+        cr.setDash([], 0);
+        this._drawSplits(cr, node.childZones[0], first);
+        this._drawSplits(cr, node.childZones[1], second);
+    }
+
+    // Text clipped to a rectangle, centred or in its top-left corner
+    _drawText(cr, text, r, fg, alpha, centered) {
+        const layout = this.create_pango_layout(text);
+        const [textW, textH] = layout.get_pixel_size();
+        cr.save();
+        cr.rectangle(r.x, r.y, r.width, r.height);
+        cr.clip();
+        cr.setSourceRGBA(fg.red, fg.green, fg.blue, alpha);
+        if (centered)
+            cr.moveTo(r.x + (r.width - textW) / 2, r.y + (r.height - textH) / 2);
+        else
+            cr.moveTo(r.x + 4, r.y + 2);
+        PangoCairo.show_layout(cr, layout);
+        cr.restore();
+    }
+});